@@ -5,22 +5,90 @@
 //
 // Responsibilities:
 // - Handle admin authentication via Supabase Auth
-// - Click-to-place pin workflow
+// - Show only the actions the signed-in user's role allows; user management
+//   for admins
+// - Click-to-place pin workflow, or place a pin by looking up its address
+// - Reverse geocode map clicks to pre-fill the address
+// - Drag the location marker to reposition new or edited pins
 // - Pin CRUD with form management
-// - Render pin list with edit/delete actions
+// - Optional translated title/summary per public map language
+// - Draw and edit area features (polygons and lines) point by point
+// - Render pin list with edit/delete/history actions
+// - Per-pin change history with revert, and restoring deleted pins
+// - Pin expiry: expiry controls in the form, an Expiring Soon list, and
+//   archiving expired pins to Past
+// - Queue edits while offline and replay them on reconnect
+// - GeoJSON export and import (with map preview)
+// - KML/GPX export for GPS devices
+// - CSV import with column mapping, validation and geocoding
+// - Embed code generator for partner sites (embed.html)
+// - Status management for admins: add, edit, reorder and delete the pin
+//   statuses every page's legend, markers and pickers are built from
+// - Help request moderation queue: approve a public request into a new pin
+//   (pre-filling the pin form), merge it into an existing pin, or reject it
 //
 // Dependencies:
-// - config.js (CONFIG, PIN_STATUS)
-// - map.js (initMap, renderPins, addPinToMap, removePinFromMap, panToPin, getMap)
+// - config.js (CONFIG, AREA_KINDS, PIN_CATEGORIES)
+// - statuses.js (status list, validation)
+// - map.js (pin and area rendering, panToPin, getMap)
 // - storage.js (auth + CRUD functions)
+// - permissions.js (role checks)
+// - offline.js (registerServiceWorker)
+// - outbox.js (offline edit queue)
+// - export.js, import.js (file formats)
+// - geocode.js (address lookup in the pin form and CSV imports)
+// - expiry.js (expiry rules)
+// - permalink.js (buildEmbedUrl)
+// - help-requests.js (request -> pin form values, merge candidates, photo check)
+// - i18n.js (LANGUAGES, DEFAULT_LANGUAGE - pin translation fields)
 // =============================================================================
 
-import { CONFIG, PIN_STATUS } from './config.js';
-import { initMap, renderPins, addPinToMap, removePinFromMap, panToPin, getMap } from './map.js';
+import { CONFIG, AREA_KINDS, PIN_CATEGORIES } from './config.js';
+import {
+    REQUIRED_STATUSES, DEFAULT_STATUSES, getStatuses, getStatus, hasStatus,
+    setStatuses, onStatusesChange, validateStatus
+} from './statuses.js';
+import {
+    initMap, renderPins, addPinToMap, updatePinOnMap, removePinFromMap, panToPin, getMap,
+    showPreviewPins, clearPreviewPins, renderAreas, removeAreaFromMap, getAreaLayer
+} from './map.js';
 import { 
-    getAllPins, savePin, updatePin, deletePin, getPinById,
-    signIn, signOut, getSession, onAuthStateChange 
+    getAllPinsCached, savePin, savePins, updatePin, deletePin, getLastWriteFailure, getPinById,
+    getPinHistory, getDeletedPins, revertPin, restorePin, expirePin,
+    signIn, signOut, getSession, onAuthStateChange,
+    getProfile, getProfiles, updateProfile,
+    getAllAreas, saveArea, updateArea, deleteArea,
+    getAllStatuses, saveStatus, saveStatuses, updateStatus, deleteStatus, subscribeToStatusChanges,
+    getPendingHelpRequests, resolveHelpRequest, subscribeToHelpRequestChanges
 } from './storage.js';
+import {
+    ROLES, canEditPins, canEditStatus, canUpdatePin, canDeletePins, canManageUsers, canManageStatuses,
+    canReviewHelpRequests
+} from './permissions.js';
+import { registerServiceWorker } from './offline.js';
+import {
+    getOutbox, queueCreate, queueUpdate, queueDelete, isPendingId,
+    applyOutbox, replayOutbox, describeEntry
+} from './outbox.js';
+import { pinsToGeoJSON, pinsToKML, pinsToGPX, buildExportFilename, downloadFile } from './export.js';
+import { parseGeoJSON, parseCSV, guessColumnMapping, mapCsvRow, validatePin, IMPORT_FIELDS } from './import.js';
+import { geocode, searchPlaces, reverseGeocode } from './geocode.js';
+import { EXPIRE_ACTIONS, isExpired, getExpiringSoon, formatTimeLeft } from './expiry.js';
+import { buildEmbedUrl } from './permalink.js';
+import { helpRequestToPin, mergeHelpRequestSummary, findNearestPins, isInlinePhoto } from './help-requests.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const IMPORT_BATCH_SIZE = 100;
+
+// How long the embed dialog's Copy button says "Copied"
+const COPY_CONFIRM_MS = 2000;
+
+// Nearest pins offered as merge targets for a help request
+const MERGE_CANDIDATE_COUNT = 5;
 
 // =============================================================================
 // DOM Elements
@@ -33,12 +101,17 @@ const emailInput = document.getElementById('email-input');
 const passwordInput = document.getElementById('password-input');
 const loginError = document.getElementById('login-error');
 const logoutBtn = document.getElementById('logout-btn');
+const userInfo = document.getElementById('user-info');
+const mapInstructions = document.getElementById('map-instructions');
 
 const pinForm = document.getElementById('pin-form');
+const pinFormSource = document.getElementById('pin-form-source');
 const pinTitleInput = document.getElementById('pin-title');
 const pinAddressInput = document.getElementById('pin-address');
 const pinStatusSelect = document.getElementById('pin-status');
+const pinCategorySelect = document.getElementById('pin-category');
 const pinSummaryInput = document.getElementById('pin-summary');
+const pinTranslations = document.getElementById('pin-translations');
 const pinUrlInput = document.getElementById('pin-url');
 const pinUrlTextInput = document.getElementById('pin-url-text');
 const pinShowDonateCheckbox = document.getElementById('pin-show-donate');
@@ -48,17 +121,146 @@ const pinLatInput = document.getElementById('pin-lat');
 const pinLngInput = document.getElementById('pin-lng');
 const pinIdInput = document.getElementById('pin-id');
 const cancelBtn = document.getElementById('cancel-btn');
+const newPinBtn = document.getElementById('new-pin-btn');
+const pinLocateBtn = document.getElementById('pin-locate-btn');
+const pinAddressHint = document.getElementById('pin-address-hint');
+const pinAddressChoices = document.getElementById('pin-address-choices');
+const pinLocationText = document.getElementById('pin-location');
+const pinAddressFollowCheckbox = document.getElementById('pin-address-follow');
+const pinExpiryModeSelect = document.getElementById('pin-expiry-mode');
+const pinExpiryHoursInput = document.getElementById('pin-expiry-hours');
+const pinExpiryDateInput = document.getElementById('pin-expiry-date');
+const pinExpireActionSelect = document.getElementById('pin-expire-action');
+
+const newAreaBtn = document.getElementById('new-area-btn');
+const areaForm = document.getElementById('area-form');
+const areaFormTitle = document.getElementById('area-form-title');
+const areaKindSelect = document.getElementById('area-kind');
+const areaPointsText = document.getElementById('area-points');
+const areaUndoBtn = document.getElementById('area-undo-btn');
+const areaTitleInput = document.getElementById('area-title');
+const areaStatusSelect = document.getElementById('area-status');
+const areaSummaryInput = document.getElementById('area-summary');
+const areaUrlInput = document.getElementById('area-url');
+const areaUrlTextInput = document.getElementById('area-url-text');
+const areaIdInput = document.getElementById('area-id');
+const areaCancelBtn = document.getElementById('area-cancel-btn');
+const areaList = document.getElementById('area-list');
 
 const pinList = document.getElementById('pin-list');
+const expiringContainer = document.getElementById('expiring-container');
+const expiringList = document.getElementById('expiring-list');
+const helpQueueContainer = document.getElementById('help-queue-container');
+const helpQueueCount = document.getElementById('help-queue-count');
+const helpQueue = document.getElementById('help-queue');
+const syncStatus = document.getElementById('sync-status');
+const deletedPinsBtn = document.getElementById('deleted-pins-btn');
+const manageUsersBtn = document.getElementById('manage-users-btn');
+const importGeoJsonLabel = document.querySelector('label[for="import-geojson-input"]');
+const importCsvLabel = document.querySelector('label[for="import-csv-input"]');
+
+const usersModal = document.getElementById('users-modal');
+const usersRows = document.getElementById('users-rows');
+const usersStatus = document.getElementById('users-status');
+const usersCloseBtn = document.getElementById('users-close-btn');
+
+const manageStatusesBtn = document.getElementById('manage-statuses-btn');
+const statusesModal = document.getElementById('statuses-modal');
+const statusesRows = document.getElementById('statuses-rows');
+const statusesStatus = document.getElementById('statuses-status');
+const statusesCloseBtn = document.getElementById('statuses-close-btn');
+const statusForm = document.getElementById('status-form');
+const statusKeyInput = document.getElementById('status-key');
+const statusLabelInput = document.getElementById('status-label');
+const statusColorInput = document.getElementById('status-color');
+const statusEmojiInput = document.getElementById('status-emoji');
+const statusSeverityInput = document.getElementById('status-severity');
+const statusPulseCheckbox = document.getElementById('status-pulse');
+const statusFormError = document.getElementById('status-form-error');
+
+const embedBtn = document.getElementById('embed-btn');
+const embedModal = document.getElementById('embed-modal');
+const embedOptions = document.getElementById('embed-options');
+const embedStatuses = document.getElementById('embed-statuses');
+const embedShowSearchCheckbox = document.getElementById('embed-show-search');
+const embedShowLegendCheckbox = document.getElementById('embed-show-legend');
+const embedCompactCheckbox = document.getElementById('embed-compact');
+const embedUseViewCheckbox = document.getElementById('embed-use-view');
+const embedLanguageSelect = document.getElementById('embed-language');
+const embedWidthInput = document.getElementById('embed-width');
+const embedHeightInput = document.getElementById('embed-height');
+const embedPreview = document.getElementById('embed-preview');
+const embedCode = document.getElementById('embed-code');
+const embedError = document.getElementById('embed-error');
+const embedOpenLink = document.getElementById('embed-open-link');
+const embedCopyBtn = document.getElementById('embed-copy-btn');
+const embedCloseBtn = document.getElementById('embed-close-btn');
+
+const historyModal = document.getElementById('history-modal');
+const historyTitle = document.getElementById('history-modal-title');
+const historySubtitle = document.getElementById('history-subtitle');
+const historyList = document.getElementById('history-list');
+const historyCloseBtn = document.getElementById('history-close-btn');
+
+const exportGeoJsonBtn = document.getElementById('export-geojson-btn');
+const exportKmlBtn = document.getElementById('export-kml-btn');
+const exportGpxBtn = document.getElementById('export-gpx-btn');
+const importGeoJsonInput = document.getElementById('import-geojson-input');
+const importPreview = document.getElementById('import-preview');
+const importSummary = document.getElementById('import-summary');
+const importErrors = document.getElementById('import-errors');
+const importConfirmBtn = document.getElementById('import-confirm-btn');
+const importCancelBtn = document.getElementById('import-cancel-btn');
+
+const importCsvInput = document.getElementById('import-csv-input');
+const csvModal = document.getElementById('csv-modal');
+const csvFileName = document.getElementById('csv-file-name');
+const csvMapping = document.getElementById('csv-mapping');
+const csvSummary = document.getElementById('csv-summary');
+const csvRows = document.getElementById('csv-rows');
+const csvReport = document.getElementById('csv-report');
+const csvProgress = document.getElementById('csv-progress');
+const csvImportBtn = document.getElementById('csv-import-btn');
+const csvCancelBtn = document.getElementById('csv-cancel-btn');
+const csvCloseBtn = document.getElementById('csv-close-btn');
 
 // =============================================================================
 // State
 // =============================================================================
 
+// Draggable marker for the location being set in the pin form
 let tempMarker = null;
 let isEditing = false;
+
+// Expiry of the pin being edited - it may already have passed
+let editingExpiresAt = null;
 let pinsCache = [];
+let areasCache = [];
 let mapInitialized = false;
+let currentProfile = null;
+
+// Bumped per reverse lookup so a slow response can't overwrite a newer one
+let reverseLookupId = 0;
+let isSyncing = false;
+let isArchiving = false;
+
+// Points ([lat, lng]) of the area being drawn (null when not drawing), and
+// the map layer showing its outline and draggable vertex handles
+let areaPoints = null;
+let areaDraftLayer = null;
+let rejectedEntries = [];
+let pendingImport = [];
+
+// { headers, rows, mapping, results } while the CSV dialog is open
+let csvImport = null;
+let isCsvImporting = false;
+
+// Pending public help requests and their map markers, plus the request the
+// pin form is approving or merging ({ request, action }) - resolved when
+// the pin saves
+let helpRequestsCache = [];
+let helpRequestsLayer = null;
+let helpRequestReview = null;
 
 // =============================================================================
 // Auth
@@ -79,13 +281,73 @@ function showLoginScreen() {
     adminPanel.classList.add('is-hidden');
 }
 
-function showAdminPanel() {
+async function showAdminPanel() {
     loginScreen.classList.add('is-hidden');
     adminPanel.classList.remove('is-hidden');
     
+    currentProfile = await getProfile();
+    applyRoleToUI();
+    
     if (!mapInitialized) {
         initAdminMap();
         mapInitialized = true;
+    } else {
+        // A different user may have signed in - re-render their actions
+        renderPinList(pinsCache);
+        renderAreaList(areasCache);
+        loadHelpRequests();
+    }
+}
+
+// Hide or disable controls the signed-in user's role doesn't allow
+// (storage.js enforces the same rules on every write)
+function applyRoleToUI() {
+    const role = ROLES[currentProfile?.role];
+    userInfo.textContent = `${currentProfile?.email || ''} · ${role ? role.label : 'No role'}`;
+    
+    const canEdit = canEditPins(currentProfile);
+    updateMapInstructions();
+    
+    newPinBtn.classList.toggle('is-hidden', !canEdit);
+    newAreaBtn.classList.toggle('is-hidden', !canEdit);
+    importGeoJsonLabel.classList.toggle('is-hidden', !canEdit);
+    importCsvLabel.classList.toggle('is-hidden', !canEdit);
+    deletedPinsBtn.classList.toggle('is-hidden', !canDeletePins(currentProfile));
+    manageUsersBtn.classList.toggle('is-hidden', !canManageUsers(currentProfile));
+    manageStatusesBtn.classList.toggle('is-hidden', !canManageStatuses(currentProfile));
+    
+    renderStatusOptions();
+}
+
+// Fill the pin and area status pickers from the status list, keeping the
+// current choice. Statuses the role can't use are shown but disabled.
+function renderStatusOptions() {
+    [pinStatusSelect, areaStatusSelect].forEach(select => {
+        const current = select.value || 'active';
+        
+        while (select.firstChild) {
+            select.removeChild(select.firstChild);
+        }
+        
+        getStatuses().forEach(status => {
+            const option = document.createElement('option');
+            option.value = status.key;
+            option.textContent = `${status.emoji} ${status.label}`.trim();
+            option.disabled = !canEditStatus(currentProfile, status.key);
+            select.appendChild(option);
+        });
+        
+        select.value = hasStatus(current) ? current : 'active';
+    });
+}
+
+function updateMapInstructions() {
+    if (areaPoints) {
+        mapInstructions.textContent = 'Click the map to add points — drag a point to move it';
+    } else if (canEditPins(currentProfile)) {
+        mapInstructions.textContent = 'Click anywhere on the map to place a pin';
+    } else {
+        mapInstructions.textContent = 'View only — your role cannot add or edit pins';
     }
 }
 
@@ -144,41 +406,64 @@ async function initAdminMap() {
     const map = initMap('map');
     
     // Load existing pins
-    pinsCache = await getAllPins();
+    pinsCache = await fetchPins();
     renderPins(pinsCache);
     renderPinList(pinsCache);
+    loadAreas();
+    loadHelpRequests();
     
-    // Click to place pin
+    // Click to place pin (or add a point to the area being drawn)
     map.on('click', handleMapClick);
+    
+    // Send anything queued during a previous offline session
+    renderSyncStatus();
+    syncOutbox();
+    
+    // Expiry times pass on their own - keep the list and statuses current.
+    // Writes queued after a failed request get retried here too, since no
+    // 'online' event comes when the connection was never reported down.
+    archiveExpiredPins();
+    setInterval(() => {
+        renderPinList(pinsCache);
+        archiveExpiredPins();
+        syncOutbox();
+    }, CONFIG.ExpiryCheckSeconds * 1000);
+}
+
+// Server pins (or the offline snapshot) with queued offline edits applied
+async function fetchPins() {
+    const { pins } = await getAllPinsCached();
+    return applyOutbox(pins);
+}
+
+async function refreshPins() {
+    pinsCache = await fetchPins();
+    renderPins(pinsCache);
+    renderPinList(pinsCache);
+    renderSyncStatus();
 }
 
 function handleMapClick(e) {
+    if (!canEditPins(currentProfile)) return;
+    
     const { lat, lng } = e.latlng;
     
-    // Remove existing temp marker if any
-    if (tempMarker) {
-        getMap().removeLayer(tempMarker);
+    if (areaPoints) {
+        addAreaPoint(lat, lng);
+        return;
     }
     
-    // Create temp marker
-    tempMarker = L.circleMarker([lat, lng], {
-        radius: 10,
-        fillColor: '#888888',
-        color: '#ffffff',
-        weight: 2,
-        opacity: 1,
-        fillOpacity: 0.7
-    }).addTo(getMap());
-    
     // Reset form for new pin
     resetForm();
-    pinLatInput.value = lat;
-    pinLngInput.value = lng;
+    showLocationMarker(lat, lng);
+    setFormLocation(lat, lng);
     isEditing = false;
     
     // Show form
     pinForm.classList.remove('is-hidden');
     pinTitleInput.focus();
+    
+    fillAddressFromLocation(lat, lng);
 }
 
 // =============================================================================
@@ -188,10 +473,14 @@ function handleMapClick(e) {
 async function handlePinSubmit(e) {
     e.preventDefault();
     
+    // resetForm below clears it
+    const review = helpRequestReview;
+    
     const pinData = {
         title: pinTitleInput.value.trim(),
         address: pinAddressInput.value.trim(),
         status: pinStatusSelect.value,
+        category: pinCategorySelect.value || null,
         summary: pinSummaryInput.value.trim(),
         url: pinUrlInput.value.trim(),
         url_text: pinUrlTextInput.value.trim() || 'More Info',
@@ -199,7 +488,8 @@ async function handlePinSubmit(e) {
         lng: parseFloat(pinLngInput.value),
         show_donate: pinShowDonateCheckbox.checked,
         show_volunteer: pinShowVolunteerCheckbox.checked,
-        show_help: pinShowHelpCheckbox.checked
+        show_help: pinShowHelpCheckbox.checked,
+        translations: readTranslationFields()
     };
     
     if (!pinData.title) {
@@ -207,48 +497,90 @@ async function handlePinSubmit(e) {
         return;
     }
     
-    // Remove temp marker
-    if (tempMarker) {
-        getMap().removeLayer(tempMarker);
-        tempMarker = null;
+    const expiry = readExpiryFields();
+    if (!expiry) {
+        alert('Please choose an expiry time in the future');
+        return;
+    }
+    Object.assign(pinData, expiry);
+    
+    if (!Number.isFinite(pinData.lat) || !Number.isFinite(pinData.lng)) {
+        alert('Please set the pin location: click the map or locate the address');
+        return;
+    }
+    
+    // A reviewed request is resolved right after the save, so the save can't
+    // go to the offline outbox - the request would stay pending
+    if (review && !checkOnlineForReview()) return;
+    if (review && !helpRequestsCache.some(request => String(request.id) === String(review.request.id))) {
+        alert('Another coordinator already handled this help request.');
+        handleCancel();
+        return;
     }
     
     if (isEditing) {
         // Update existing pin
         const id = pinIdInput.value;
-        const updated = await updatePin(id, pinData);
         
-        if (updated) {
-            // Refresh map
-            pinsCache = await getAllPins();
-            renderPins(pinsCache);
-            renderPinList(pinsCache);
+        // Pins created offline can only be changed in the outbox
+        if (!navigator.onLine || isPendingId(id)) {
+            queueUpdate(id, pinData);
+            await refreshPins();
+            syncOutbox();
         } else {
-            alert('Failed to update pin. Please try again.');
+            const updated = await updatePin(id, pinData);
+            
+            if (updated) {
+                // Refresh map
+                updatePinOnMap(updated);
+                pinsCache = await fetchPins();
+                renderPinList(pinsCache);
+                await finishHelpRequestReview(review, updated.id);
+            } else if (getLastWriteFailure() === 'network' && review) {
+                alert('Could not reach the server. The help request is still pending — try saving again.');
+                return;
+            } else if (getLastWriteFailure() === 'network') {
+                // navigator.onLine can be wrong on a flaky connection - keep the edit
+                queueUpdate(id, pinData);
+                await refreshPins();
+            } else {
+                // Leave the form filled in so the edit isn't lost
+                alert('The server rejected this change. Check the pin and try again.');
+                return;
+            }
         }
+    } else if (!navigator.onLine) {
+        // Save new pin once we're back online
+        queueCreate(pinData);
+        await refreshPins();
     } else {
         // Save new pin
         const newPin = await savePin(pinData);
         if (newPin) {
             addPinToMap(newPin);
-            pinsCache = await getAllPins();
+            pinsCache = await fetchPins();
             renderPinList(pinsCache);
+            await finishHelpRequestReview(review, newPin.id);
+        } else if (getLastWriteFailure() === 'network' && review) {
+            alert('Could not reach the server. The help request is still pending — try saving again.');
+            return;
+        } else if (getLastWriteFailure() === 'network') {
+            queueCreate(pinData);
+            await refreshPins();
         } else {
-            alert('Failed to save pin. Please try again.');
+            alert('The server rejected this pin. Check the pin and try again.');
+            return;
         }
     }
     
     // Reset form
+    clearLocationMarker();
     resetForm();
     pinForm.classList.add('is-hidden');
 }
 
 function handleCancel() {
-    // Remove temp marker
-    if (tempMarker) {
-        getMap().removeLayer(tempMarker);
-        tempMarker = null;
-    }
+    clearLocationMarker();
     
     resetForm();
     pinForm.classList.add('is-hidden');
@@ -258,16 +590,419 @@ function resetForm() {
     pinTitleInput.value = '';
     pinAddressInput.value = '';
     pinStatusSelect.value = 'active';
+    pinCategorySelect.value = '';
     pinSummaryInput.value = '';
     pinUrlInput.value = '';
     pinUrlTextInput.value = 'More Info';
     pinShowDonateCheckbox.checked = false;
     pinShowVolunteerCheckbox.checked = false;
     pinShowHelpCheckbox.checked = false;
+    fillTranslationFields(null);
     pinLatInput.value = '';
     pinLngInput.value = '';
     pinIdInput.value = '';
     isEditing = false;
+    editingExpiresAt = null;
+    helpRequestReview = null;
+    pinFormSource.classList.add('is-hidden');
+    
+    pinLocationText.textContent = 'Click the map or locate the address';
+    pinAddressFollowCheckbox.checked = true;
+    
+    pinExpiryModeSelect.value = 'never';
+    pinExpiryHoursInput.value = '24';
+    pinExpiryDateInput.value = '';
+    pinExpireActionSelect.value = 'past';
+    updateExpiryFields();
+    
+    reverseLookupId++;
+    hideAddressHint();
+    hideAddressChoices();
+    
+    // Editors limited to other statuses start on one they can use
+    if (pinStatusSelect.selectedOptions[0]?.disabled) {
+        const allowed = [...pinStatusSelect.options].find(option => !option.disabled);
+        if (allowed) {
+            pinStatusSelect.value = allowed.value;
+        }
+    }
+}
+
+// Category options come from config.js; "None" (empty) is in the markup
+function setupPinCategories() {
+    Object.entries(PIN_CATEGORIES).forEach(([key, category]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `${category.icon} ${category.label}`;
+        pinCategorySelect.appendChild(option);
+    });
+}
+
+// =============================================================================
+// Pin Translations
+// =============================================================================
+
+// Title and summary fields for each public map language besides English
+// (see i18n.js)
+function setupTranslationFields() {
+    Object.entries(LANGUAGES)
+        .filter(([code]) => code !== DEFAULT_LANGUAGE)
+        .forEach(([code, language]) => {
+            const group = document.createElement('div');
+            group.className = 'pin-form__translation';
+            
+            const titleLabel = document.createElement('label');
+            titleLabel.htmlFor = `pin-title-${code}`;
+            titleLabel.textContent = `${language.label} title`;
+            
+            const titleInput = document.createElement('input');
+            titleInput.type = 'text';
+            titleInput.id = `pin-title-${code}`;
+            titleInput.className = 'input';
+            titleInput.lang = code;
+            titleInput.dataset.language = code;
+            titleInput.dataset.field = 'title';
+            
+            const summaryLabel = document.createElement('label');
+            summaryLabel.htmlFor = `pin-summary-${code}`;
+            summaryLabel.textContent = `${language.label} summary`;
+            
+            const summaryInput = document.createElement('textarea');
+            summaryInput.id = `pin-summary-${code}`;
+            summaryInput.className = 'input input--textarea';
+            summaryInput.rows = 3;
+            summaryInput.lang = code;
+            summaryInput.dataset.language = code;
+            summaryInput.dataset.field = 'summary';
+            
+            group.appendChild(titleLabel);
+            group.appendChild(titleInput);
+            group.appendChild(summaryLabel);
+            group.appendChild(summaryInput);
+            pinTranslations.appendChild(group);
+        });
+}
+
+// { es: { title, summary }, ... } for the languages filled in, or null if
+// none are
+function readTranslationFields() {
+    const translations = {};
+    
+    pinTranslations.querySelectorAll('[data-language]').forEach(input => {
+        const value = input.value.trim();
+        if (!value) return;
+        
+        const { language, field } = input.dataset;
+        translations[language] = { ...translations[language], [field]: value };
+    });
+    
+    return Object.keys(translations).length > 0 ? translations : null;
+}
+
+function fillTranslationFields(translations) {
+    pinTranslations.querySelectorAll('[data-language]').forEach(input => {
+        const { language, field } = input.dataset;
+        input.value = translations?.[language]?.[field] || '';
+    });
+    
+    // Open when there's something to see
+    pinTranslations.open = Boolean(translations);
+}
+
+// =============================================================================
+// Pin Expiry
+// =============================================================================
+
+function updateExpiryFields() {
+    const mode = pinExpiryModeSelect.value;
+    pinExpiryHoursInput.classList.toggle('is-hidden', mode !== 'hours');
+    pinExpiryDateInput.classList.toggle('is-hidden', mode !== 'date');
+    pinExpireActionSelect.classList.toggle('is-hidden', mode === 'never');
+}
+
+// Expiry fields for the pin, or null if the chosen time isn't in the future
+function readExpiryFields() {
+    const mode = pinExpiryModeSelect.value;
+    
+    if (mode === 'never') {
+        return { expires_at: null, expire_action: 'past' };
+    }
+    
+    let expiresAt;
+    if (mode === 'hours') {
+        const hours = parseFloat(pinExpiryHoursInput.value);
+        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    } else if (editingExpiresAt && pinExpiryDateInput.value === toDateTimeLocal(editingExpiresAt)) {
+        // Unchanged - kept even if it has passed, so expired pins stay editable
+        return {
+            expires_at: editingExpiresAt,
+            expire_action: pinExpireActionSelect.value
+        };
+    } else {
+        // datetime-local values are in the browser's time zone
+        expiresAt = new Date(pinExpiryDateInput.value);
+    }
+    
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+        return null;
+    }
+    
+    return {
+        expires_at: expiresAt.toISOString(),
+        expire_action: pinExpireActionSelect.value
+    };
+}
+
+// ISO timestamp -> "YYYY-MM-DDTHH:MM" in local time for datetime-local inputs
+function toDateTimeLocal(isoString) {
+    const date = new Date(isoString);
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+function renderExpiringList(pins) {
+    while (expiringList.firstChild) {
+        expiringList.removeChild(expiringList.firstChild);
+    }
+    
+    const expiring = getExpiringSoon(
+        pins.filter(pin => pin._pending !== 'delete'),
+        CONFIG.ExpiringSoonHours
+    );
+    expiringContainer.classList.toggle('is-hidden', expiring.length === 0);
+    
+    expiring.forEach(pin => {
+        const status = getStatus(pin.status);
+        
+        const li = document.createElement('li');
+        li.className = 'pin-list__item';
+        li.title = canUpdatePin(currentProfile, pin) ? 'Edit this pin' : '';
+        
+        const info = document.createElement('div');
+        info.className = 'pin-list__info';
+        
+        const dot = document.createElement('span');
+        dot.className = 'pin-list__dot';
+        dot.style.backgroundColor = status.color;
+        
+        const name = document.createElement('span');
+        name.className = 'pin-list__name';
+        name.textContent = pin.title;
+        
+        const badge = document.createElement('span');
+        badge.className = 'pin-list__badge pin-list__badge--expiry';
+        badge.textContent = formatTimeLeft(pin.expires_at);
+        badge.title = `${EXPIRE_ACTIONS[pin.expire_action] || EXPIRE_ACTIONS.past} at ${formatHistoryDate(pin.expires_at)}`;
+        
+        info.appendChild(dot);
+        info.appendChild(name);
+        info.appendChild(badge);
+        li.appendChild(info);
+        
+        // Editing is the quickest way to extend or clear the expiry
+        li.onclick = () => {
+            if (canUpdatePin(currentProfile, pin)) {
+                handleEditPin(pin.id);
+            } else {
+                panToPin(pin);
+            }
+        };
+        
+        expiringList.appendChild(li);
+    });
+}
+
+// Move expired pins to Past for real, so the change lands in their history
+// and every client agrees. The pg_cron job (SECURITY-SETUP.md Step 6) does
+// this on the server; an open admin panel covers setups without it, and
+// expirePin skips pins another tab or the job already archived. Pins set to
+// hide keep their status - the public map just leaves them out.
+async function archiveExpiredPins() {
+    if (isArchiving || !navigator.onLine || adminPanel.classList.contains('is-hidden')) return;
+    
+    const due = pinsCache.filter(pin =>
+        !pin._pending &&
+        pin.expire_action !== 'hide' &&
+        pin.status !== 'past' &&
+        isExpired(pin) &&
+        canUpdatePin(currentProfile, pin, { status: 'past' })
+    );
+    if (due.length === 0) return;
+    
+    isArchiving = true;
+    try {
+        for (const pin of due) {
+            await expirePin(pin.id);
+        }
+        await refreshPins();
+    } finally {
+        isArchiving = false;
+    }
+}
+
+// =============================================================================
+// Address Lookup
+// =============================================================================
+
+// Show (or move) the draggable marker for the location being set in the form
+function showLocationMarker(lat, lng) {
+    if (tempMarker) {
+        tempMarker.setLatLng([lat, lng]);
+        return;
+    }
+    
+    tempMarker = L.marker([lat, lng], {
+        draggable: true,
+        autoPan: true,
+        title: 'Drag to adjust the pin location',
+        icon: L.divIcon({
+            className: 'location-marker',
+            iconSize: [22, 22]
+        })
+    }).addTo(getMap());
+    
+    tempMarker.on('drag', () => {
+        const { lat, lng } = tempMarker.getLatLng();
+        setFormLocation(lat, lng);
+    });
+    
+    tempMarker.on('dragend', () => {
+        const { lat, lng } = tempMarker.getLatLng();
+        if (pinAddressFollowCheckbox.checked) {
+            fillAddressFromLocation(lat, lng, { overwrite: true });
+        }
+    });
+}
+
+function clearLocationMarker() {
+    if (tempMarker) {
+        getMap().removeLayer(tempMarker);
+        tempMarker = null;
+    }
+}
+
+function setFormLocation(lat, lng) {
+    pinLatInput.value = lat;
+    pinLngInput.value = lng;
+    pinLocationText.textContent = `${Number(lat).toFixed(5)}, ${Number(lng).toFixed(5)} — drag the marker to adjust`;
+}
+
+function handleNewPinByAddress() {
+    closeAreaForm();
+    clearLocationMarker();
+    resetForm();
+    pinForm.classList.remove('is-hidden');
+    showAddressHint('Enter the address and press Locate to place the pin.');
+    pinAddressInput.focus();
+}
+
+async function handleLocateAddress() {
+    const query = pinAddressInput.value.trim();
+    hideAddressChoices();
+    
+    if (!query) {
+        showAddressHint('Enter an address to locate.', true);
+        return;
+    }
+    
+    if (!navigator.onLine) {
+        showAddressHint('Address lookup needs a connection. Click the map to place the pin.', true);
+        return;
+    }
+    
+    showAddressHint('Looking up address...');
+    pinLocateBtn.disabled = true;
+    
+    const places = await searchPlaces(query).catch(err => {
+        console.error('Address lookup failed:', err);
+        return null;
+    });
+    
+    pinLocateBtn.disabled = false;
+    
+    if (!places) {
+        showAddressHint('Address lookup failed. Please try again.', true);
+    } else if (places.length === 0) {
+        showAddressHint(`No match for "${query}". Try adding the city, or click the map.`, true);
+    } else if (places.length === 1) {
+        placePinAt(places[0]);
+    } else {
+        showAddressHint('Several places match — pick one:');
+        showAddressChoices(places);
+    }
+}
+
+// Move the form's location to a geocoded place
+function placePinAt(place) {
+    hideAddressChoices();
+    
+    // A reverse lookup from an earlier map click mustn't replace this address
+    reverseLookupId++;
+    
+    showLocationMarker(place.lat, place.lng);
+    setFormLocation(place.lat, place.lng);
+    getMap().setView([place.lat, place.lng], Math.max(getMap().getZoom(), 14));
+    
+    showAddressHint(`✓ Placed at ${place.label}`);
+}
+
+function showAddressChoices(places) {
+    hideAddressChoices();
+    
+    places.forEach(place => {
+        const li = document.createElement('li');
+        
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'address-choices__item';
+        btn.textContent = place.label;
+        btn.onclick = () => placePinAt(place);
+        
+        li.appendChild(btn);
+        pinAddressChoices.appendChild(li);
+    });
+    
+    pinAddressChoices.classList.remove('is-hidden');
+}
+
+function hideAddressChoices() {
+    while (pinAddressChoices.firstChild) {
+        pinAddressChoices.removeChild(pinAddressChoices.firstChild);
+    }
+    pinAddressChoices.classList.add('is-hidden');
+}
+
+// Pre-fill the address for a map click (unless the admin has typed one),
+// or replace it after a drag when overwrite is set
+async function fillAddressFromLocation(lat, lng, { overwrite = false } = {}) {
+    if (!navigator.onLine) return;
+    
+    const lookupId = ++reverseLookupId;
+    showAddressHint('Looking up address...');
+    
+    const result = await reverseGeocode(lat, lng);
+    
+    if (lookupId !== reverseLookupId) return;
+    
+    if (!result) {
+        hideAddressHint();
+        return;
+    }
+    
+    if (overwrite || !pinAddressInput.value.trim()) {
+        pinAddressInput.value = result.address;
+    }
+    showAddressHint(`Nearest address: ${result.display}`);
+}
+
+function showAddressHint(message, isError = false) {
+    pinAddressHint.textContent = message;
+    pinAddressHint.classList.toggle('form-hint--error', isError);
+    pinAddressHint.classList.remove('is-hidden');
+}
+
+function hideAddressHint() {
+    pinAddressHint.classList.add('is-hidden');
 }
 
 // =============================================================================
@@ -275,6 +1010,8 @@ function resetForm() {
 // =============================================================================
 
 function renderPinList(pins) {
+    renderExpiringList(pins);
+    
     // Clear list
     while (pinList.firstChild) {
         pinList.removeChild(pinList.firstChild);
@@ -290,12 +1027,16 @@ function renderPinList(pins) {
     }
     
     pins.forEach(pin => {
-        const status = PIN_STATUS[pin.status] || PIN_STATUS.active;
+        const status = getStatus(pin.status);
         
         const li = document.createElement('li');
         li.className = 'pin-list__item';
         li.dataset.pinId = pin.id;
         
+        if (pin._pending === 'delete') {
+            li.classList.add('pin-list__item--pending-delete');
+        }
+        
         // Info section
         const info = document.createElement('div');
         info.className = 'pin-list__info';
@@ -311,6 +1052,27 @@ function renderPinList(pins) {
         info.appendChild(dot);
         info.appendChild(name);
         
+        // Offline edits waiting to sync
+        if (pin._pending) {
+            const badge = document.createElement('span');
+            badge.className = 'pin-list__badge';
+            badge.textContent = pin._pending === 'delete' ? 'Pending delete' : 'Pending';
+            info.appendChild(badge);
+        }
+        
+        if (pin.expires_at) {
+            const expiry = document.createElement('span');
+            expiry.className = 'pin-list__badge pin-list__badge--expiry';
+            if (!isExpired(pin)) {
+                expiry.textContent = `Expires in ${formatTimeLeft(pin.expires_at)}`;
+            } else if (pin.expire_action === 'hide') {
+                expiry.textContent = 'Hidden (expired)';
+            } else {
+                expiry.textContent = 'Expired';
+            }
+            info.appendChild(expiry);
+        }
+        
         // Actions section
         const actions = document.createElement('div');
         actions.className = 'pin-list__actions';
@@ -324,6 +1086,15 @@ function renderPinList(pins) {
             handleEditPin(pin.id);
         };
         
+        const historyBtn = document.createElement('button');
+        historyBtn.className = 'pin-list__btn';
+        historyBtn.textContent = '🕘';
+        historyBtn.title = 'History';
+        historyBtn.onclick = (e) => {
+            e.stopPropagation();
+            showPinHistory(pin);
+        };
+        
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'pin-list__btn';
         deleteBtn.textContent = '🗑️';
@@ -333,8 +1104,19 @@ function renderPinList(pins) {
             handleDeletePin(pin.id);
         };
         
-        actions.appendChild(editBtn);
-        actions.appendChild(deleteBtn);
+        // Nothing left to do with a pin that's already queued for deletion
+        if (pin._pending !== 'delete') {
+            if (canUpdatePin(currentProfile, pin)) {
+                actions.appendChild(editBtn);
+            }
+            // Pins created offline have no server history yet
+            if (!isPendingId(pin.id)) {
+                actions.appendChild(historyBtn);
+            }
+            if (canDeletePins(currentProfile)) {
+                actions.appendChild(deleteBtn);
+            }
+        }
         
         li.appendChild(info);
         li.appendChild(actions);
@@ -347,64 +1129,1886 @@ function renderPinList(pins) {
 }
 
 async function handleEditPin(id) {
-    const pin = await getPinById(id);
+    // Pending and offline pins only exist locally
+    const pin = pinsCache.find(p => String(p.id) === String(id)) || await getPinById(id);
     if (!pin) return;
     
-    // Remove temp marker if exists
-    if (tempMarker) {
-        getMap().removeLayer(tempMarker);
-        tempMarker = null;
-    }
+    closeAreaForm();
+    clearLocationMarker();
+    resetForm();
     
     // Populate form
     pinTitleInput.value = pin.title;
     pinAddressInput.value = pin.address || '';
     pinStatusSelect.value = pin.status;
+    pinCategorySelect.value = pin.category || '';
     pinSummaryInput.value = pin.summary || '';
     pinUrlInput.value = pin.url || '';
     pinUrlTextInput.value = pin.url_text || 'More Info';
     pinShowDonateCheckbox.checked = pin.show_donate === true;
     pinShowVolunteerCheckbox.checked = pin.show_volunteer === true;
     pinShowHelpCheckbox.checked = pin.show_help === true;
-    pinLatInput.value = pin.lat;
-    pinLngInput.value = pin.lng;
+    fillTranslationFields(pin.translations);
     pinIdInput.value = pin.id;
     isEditing = true;
     
+    if (pin.expires_at) {
+        editingExpiresAt = pin.expires_at;
+        pinExpiryModeSelect.value = 'date';
+        pinExpiryDateInput.value = toDateTimeLocal(pin.expires_at);
+        pinExpireActionSelect.value = pin.expire_action || 'past';
+    }
+    updateExpiryFields();
+    
+    // Drag the handle to move the pin; keep a curated address unless asked
+    setFormLocation(pin.lat, pin.lng);
+    pinAddressFollowCheckbox.checked = false;
+    
     // Show form and pan to pin
     pinForm.classList.remove('is-hidden');
     panToPin(pin);
+    showLocationMarker(pin.lat, pin.lng);
     pinTitleInput.focus();
 }
 
 async function handleDeletePin(id) {
     if (!confirm('Delete this pin?')) return;
     
-    const success = await deletePin(id);
-    
-    if (success) {
-        removePinFromMap(id);
-        pinsCache = await getAllPins();
-        renderPinList(pinsCache);
+    if (!navigator.onLine || isPendingId(id)) {
+        const pin = pinsCache.find(p => String(p.id) === String(id));
+        queueDelete(id, pin ? pin.title : '');
+        await refreshPins();
+    } else {
+        const success = await deletePin(id);
         
-        // Hide form if editing this pin
-        if (pinIdInput.value == id) {
-            resetForm();
-            pinForm.classList.add('is-hidden');
+        if (success) {
+            removePinFromMap(id);
+            pinsCache = await fetchPins();
+            renderPinList(pinsCache);
+        } else if (getLastWriteFailure() === 'network') {
+            const pin = pinsCache.find(p => String(p.id) === String(id));
+            queueDelete(id, pin ? pin.title : '');
+            await refreshPins();
+        } else {
+            alert('Failed to delete pin. Please try again.');
+            return;
         }
-    } else {
-        alert('Failed to delete pin. Please try again.');
+    }
+    
+    // Hide form if editing this pin
+    if (pinIdInput.value == id) {
+        clearLocationMarker();
+        resetForm();
+        pinForm.classList.add('is-hidden');
     }
 }
 
 // =============================================================================
-// Event Listeners
+// Areas
 // =============================================================================
 
-loginForm.onsubmit = handleLogin;
-logoutBtn.onclick = handleLogout;
-pinForm.onsubmit = handlePinSubmit;
-cancelBtn.onclick = handleCancel;
+async function loadAreas() {
+    areasCache = await getAllAreas();
+    renderAreas(areasCache);
+    renderAreaList(areasCache);
+}
+
+function setupAreaKinds() {
+    Object.entries(AREA_KINDS).forEach(([kind, info]) => {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = `${info.label} (${info.description})`;
+        areaKindSelect.appendChild(option);
+    });
+}
+
+function handleNewArea() {
+    // Areas aren't queued in the offline outbox
+    if (!navigator.onLine) {
+        alert('Areas can only be drawn while online.');
+        return;
+    }
+    
+    handleCancel();
+    closeAreaForm();
+    
+    areaFormTitle.textContent = 'New Area';
+    startAreaDraft([]);
+    areaForm.classList.remove('is-hidden');
+}
+
+function handleEditArea(id) {
+    const area = areasCache.find(a => String(a.id) === String(id));
+    if (!area) return;
+    
+    if (!navigator.onLine) {
+        alert('Areas can only be edited while online.');
+        return;
+    }
+    
+    handleCancel();
+    closeAreaForm();
+    
+    areaFormTitle.textContent = 'Edit Area';
+    areaIdInput.value = area.id;
+    areaKindSelect.value = area.kind;
+    areaTitleInput.value = area.title;
+    areaStatusSelect.value = area.status;
+    areaSummaryInput.value = area.summary || '';
+    areaUrlInput.value = area.url || '';
+    areaUrlTextInput.value = area.url_text || 'More Info';
+    
+    // The draft stands in for the saved shape while editing
+    removeAreaFromMap(area.id);
+    startAreaDraft(area.coordinates.map(([lat, lng]) => [lat, lng]));
+    areaForm.classList.remove('is-hidden');
+    
+    getMap().fitBounds(L.latLngBounds(area.coordinates).pad(0.2));
+    areaTitleInput.focus();
+}
+
+function startAreaDraft(points) {
+    areaPoints = points;
+    areaDraftLayer = L.layerGroup().addTo(getMap());
+    renderAreaDraft();
+    updateMapInstructions();
+}
+
+// Redraw the outline and a draggable handle per point
+function renderAreaDraft() {
+    areaDraftLayer.clearLayers();
+    
+    const status = getStatus(areaStatusSelect.value);
+    const style = { color: status.color, weight: 3, dashArray: '6, 6', fillOpacity: 0.15 };
+    const outline = areaKindSelect.value === 'line'
+        ? L.polyline(areaPoints, style)
+        : L.polygon(areaPoints, style);
+    outline.addTo(areaDraftLayer);
+    
+    areaPoints.forEach((point, index) => {
+        const handle = L.marker(point, {
+            draggable: true,
+            title: 'Drag to move this point',
+            icon: L.divIcon({
+                className: 'area-vertex',
+                iconSize: [14, 14]
+            })
+        }).addTo(areaDraftLayer);
+        
+        handle.on('drag', () => {
+            const { lat, lng } = handle.getLatLng();
+            areaPoints[index] = [lat, lng];
+            outline.setLatLngs(areaPoints);
+        });
+    });
+    
+    const kind = AREA_KINDS[areaKindSelect.value];
+    const count = areaPoints.length;
+    areaPointsText.textContent = count >= kind.minPoints
+        ? `${count} points — click the map to add more`
+        : `${count} of at least ${kind.minPoints} points — click the map to add them`;
+    areaUndoBtn.disabled = count === 0;
+}
+
+function addAreaPoint(lat, lng) {
+    areaPoints.push([lat, lng]);
+    renderAreaDraft();
+}
+
+function handleAreaUndo() {
+    areaPoints.pop();
+    renderAreaDraft();
+}
+
+async function handleAreaSubmit(e) {
+    e.preventDefault();
+    
+    const areaData = {
+        title: areaTitleInput.value.trim(),
+        kind: areaKindSelect.value,
+        coordinates: areaPoints,
+        status: areaStatusSelect.value,
+        summary: areaSummaryInput.value.trim(),
+        url: areaUrlInput.value.trim(),
+        url_text: areaUrlTextInput.value.trim() || 'More Info'
+    };
+    
+    if (!areaData.title) {
+        alert('Please enter a title');
+        return;
+    }
+    
+    const kind = AREA_KINDS[areaData.kind];
+    if (areaPoints.length < kind.minPoints) {
+        alert(`Please click the map to add at least ${kind.minPoints} points`);
+        return;
+    }
+    
+    const id = areaIdInput.value;
+    const saved = id ? await updateArea(id, areaData) : await saveArea(areaData);
+    
+    if (!saved) {
+        alert('Failed to save area. Please try again.');
+        return;
+    }
+    
+    closeAreaForm();
+    await loadAreas();
+}
+
+async function handleDeleteArea(id) {
+    if (!confirm('Delete this area?')) return;
+    
+    const success = await deleteArea(id);
+    if (!success) {
+        alert('Failed to delete area. Please try again.');
+        return;
+    }
+    
+    if (areaIdInput.value == id) {
+        closeAreaForm();
+    }
+    await loadAreas();
+}
+
+function closeAreaForm() {
+    if (areaDraftLayer) {
+        getMap().removeLayer(areaDraftLayer);
+        areaDraftLayer = null;
+    }
+    
+    // Bring back the saved shape if it was being edited
+    if (areaIdInput.value) {
+        renderAreas(areasCache);
+    }
+    
+    areaPoints = null;
+    areaIdInput.value = '';
+    areaTitleInput.value = '';
+    areaKindSelect.value = 'polygon';
+    areaSummaryInput.value = '';
+    areaUrlInput.value = '';
+    areaUrlTextInput.value = 'More Info';
+    areaForm.classList.add('is-hidden');
+    updateMapInstructions();
+    
+    // Editors limited to other statuses start on one they can use
+    areaStatusSelect.value = 'active';
+    if (areaStatusSelect.selectedOptions[0]?.disabled) {
+        const allowed = [...areaStatusSelect.options].find(option => !option.disabled);
+        if (allowed) {
+            areaStatusSelect.value = allowed.value;
+        }
+    }
+}
+
+function renderAreaList(areas) {
+    while (areaList.firstChild) {
+        areaList.removeChild(areaList.firstChild);
+    }
+    
+    if (areas.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'pin-list__empty';
+        empty.textContent = 'No areas yet.';
+        empty.style.cssText = 'padding: 16px; text-align: center; color: #64748b; font-size: 14px;';
+        areaList.appendChild(empty);
+        return;
+    }
+    
+    areas.forEach(area => {
+        const status = getStatus(area.status);
+        
+        const li = document.createElement('li');
+        li.className = 'pin-list__item';
+        
+        const info = document.createElement('div');
+        info.className = 'pin-list__info';
+        
+        const swatch = document.createElement('span');
+        swatch.className = `pin-list__dot pin-list__dot--${area.kind}`;
+        swatch.style.backgroundColor = status.color;
+        
+        const name = document.createElement('span');
+        name.className = 'pin-list__name';
+        name.textContent = area.title;
+        
+        const kind = document.createElement('span');
+        kind.className = 'pin-list__badge pin-list__badge--kind';
+        kind.textContent = AREA_KINDS[area.kind]?.label || area.kind;
+        
+        info.appendChild(swatch);
+        info.appendChild(name);
+        info.appendChild(kind);
+        
+        const actions = document.createElement('div');
+        actions.className = 'pin-list__actions';
+        
+        if (canUpdatePin(currentProfile, area)) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'pin-list__btn';
+            editBtn.textContent = '✏️';
+            editBtn.title = 'Edit';
+            editBtn.onclick = (e) => {
+                e.stopPropagation();
+                handleEditArea(area.id);
+            };
+            actions.appendChild(editBtn);
+        }
+        
+        if (canDeletePins(currentProfile)) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pin-list__btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete';
+            deleteBtn.onclick = (e) => {
+                e.stopPropagation();
+                handleDeleteArea(area.id);
+            };
+            actions.appendChild(deleteBtn);
+        }
+        
+        li.appendChild(info);
+        li.appendChild(actions);
+        
+        // Click to zoom to the area
+        li.onclick = () => {
+            const layer = getAreaLayer(area.id);
+            if (layer) {
+                getMap().fitBounds(layer.getBounds().pad(0.2));
+                layer.openPopup();
+            }
+        };
+        
+        areaList.appendChild(li);
+    });
+}
+
+// =============================================================================
+// Pin History
+// =============================================================================
+
+const HISTORY_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Deleted',
+    revert: 'Reverted',
+    restore: 'Restored',
+    expire: 'Expired'
+};
+
+// Fields compared between history versions - everything a CSV can set,
+// plus the expiry settings
+const HISTORY_FIELDS = IMPORT_FIELDS.concat([
+    { key: 'expires_at', label: 'Expires' },
+    { key: 'expire_action', label: 'When Expired' },
+    { key: 'translations', label: 'Translations' }
+]);
+
+async function showPinHistory(pin) {
+    if (!navigator.onLine) {
+        alert('Pin history is not available offline.');
+        return;
+    }
+    
+    historyTitle.textContent = 'Pin History';
+    historySubtitle.textContent = `${pin.title} — loading...`;
+    clearHistoryList();
+    historyModal.classList.remove('is-hidden');
+    
+    const entries = await getPinHistory(pin.id);
+    historySubtitle.textContent = pin.title;
+    
+    if (entries.length === 0) {
+        showHistoryEmpty('No recorded changes for this pin yet.');
+        return;
+    }
+    
+    entries.forEach((entry, index) => {
+        const item = createHistoryEntry(entry);
+        
+        // The newest entry is the current version
+        if (index > 0 && entry.after && canUpdatePin(currentProfile, pin, entry.after)) {
+            const revertBtn = document.createElement('button');
+            revertBtn.type = 'button';
+            revertBtn.className = 'btn btn--ghost btn--small';
+            revertBtn.textContent = 'Revert to this';
+            revertBtn.onclick = () => handleRevertPin(pin, entry);
+            item.querySelector('.history-entry__header').appendChild(revertBtn);
+        }
+        
+        historyList.appendChild(item);
+    });
+}
+
+async function showDeletedPins() {
+    if (!navigator.onLine) {
+        alert('Deleted pins are not available offline.');
+        return;
+    }
+    
+    historyTitle.textContent = 'Recently Deleted';
+    historySubtitle.textContent = 'Loading...';
+    clearHistoryList();
+    historyModal.classList.remove('is-hidden');
+    
+    const entries = await getDeletedPins();
+    historySubtitle.textContent = 'Restoring a pin puts it back on the map with its last saved details.';
+    
+    if (entries.length === 0) {
+        showHistoryEmpty('No deleted pins.');
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const item = createHistoryEntry(entry, entry.before.title);
+        
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'btn btn--ghost btn--small';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.onclick = () => handleRestorePin(entry);
+        item.querySelector('.history-entry__header').appendChild(restoreBtn);
+        
+        historyList.appendChild(item);
+    });
+}
+
+function createHistoryEntry(entry, heading) {
+    const item = document.createElement('li');
+    item.className = 'history-entry';
+    
+    const header = document.createElement('div');
+    header.className = 'history-entry__header';
+    
+    const text = document.createElement('div');
+    
+    const action = document.createElement('div');
+    action.className = 'history-entry__action';
+    action.textContent = heading || HISTORY_ACTION_LABELS[entry.action] || entry.action;
+    
+    const meta = document.createElement('div');
+    meta.className = 'history-entry__meta';
+    meta.textContent = `${entry.changed_by} · ${formatHistoryDate(entry.created_at)}`;
+    
+    text.appendChild(action);
+    text.appendChild(meta);
+    header.appendChild(text);
+    item.appendChild(header);
+    
+    const changes = getChangedFields(entry.before, entry.after);
+    if (changes.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'history-entry__changes';
+        
+        changes.forEach(change => {
+            const li = document.createElement('li');
+            
+            const field = document.createElement('span');
+            field.className = 'history-entry__field';
+            field.textContent = `${change.label}: `;
+            
+            const from = document.createElement('span');
+            from.className = 'history-entry__from';
+            from.textContent = change.from;
+            
+            const to = document.createElement('span');
+            to.className = 'history-entry__to';
+            to.textContent = change.to;
+            
+            li.appendChild(field);
+            li.appendChild(from);
+            li.appendChild(document.createTextNode(' → '));
+            li.appendChild(to);
+            list.appendChild(li);
+        });
+        
+        item.appendChild(list);
+    }
+    
+    return item;
+}
+
+// Fields that differ between two versions (only for edits/reverts -
+// creates and deletes have nothing to compare against)
+function getChangedFields(before, after) {
+    if (!before || !after) return [];
+    
+    return HISTORY_FIELDS
+        .filter(field => toComparable(before[field.key]) !== toComparable(after[field.key]))
+        .map(field => ({
+            label: field.label,
+            from: formatHistoryValue(field.key, before[field.key]),
+            to: formatHistoryValue(field.key, after[field.key])
+        }));
+}
+
+// Objects (translations) compare by content
+function toComparable(value) {
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function formatHistoryValue(key, value) {
+    if (key === 'translations' && value) {
+        return Object.entries(value)
+            .map(([code, text]) => `${LANGUAGES[code]?.label || code}: ${[text.title, text.summary].filter(Boolean).join(' — ')}`)
+            .join('; ');
+    }
+    if (key === 'status') {
+        return hasStatus(value) ? getStatus(value).label : value;
+    }
+    if (key === 'category' && value) {
+        return PIN_CATEGORIES[value]?.label || value;
+    }
+    if (key === 'expires_at' && value) {
+        return formatHistoryDate(value);
+    }
+    if (key === 'expire_action') {
+        return EXPIRE_ACTIONS[value] || value;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'Yes' : 'No';
+    }
+    return value === '' || value == null ? '(empty)' : String(value);
+}
+
+function formatHistoryDate(dateStr) {
+    return new Date(dateStr).toLocaleString([], {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+function clearHistoryList() {
+    while (historyList.firstChild) {
+        historyList.removeChild(historyList.firstChild);
+    }
+}
+
+function showHistoryEmpty(message) {
+    const empty = document.createElement('li');
+    empty.className = 'history-list__empty';
+    empty.textContent = message;
+    historyList.appendChild(empty);
+}
+
+async function handleRevertPin(pin, entry) {
+    if (!confirm(`Revert "${pin.title}" to the version from ${formatHistoryDate(entry.created_at)}?`)) return;
+    
+    const updated = await revertPin(pin.id, entry.after);
+    if (!updated) {
+        alert('Failed to revert pin. Please try again.');
+        return;
+    }
+    
+    updatePinOnMap(updated);
+    pinsCache = await fetchPins();
+    renderPinList(pinsCache);
+    
+    // Don't leave the form holding the pre-revert values
+    if (pinIdInput.value == pin.id) {
+        clearLocationMarker();
+        resetForm();
+        pinForm.classList.add('is-hidden');
+    }
+    
+    showPinHistory(updated);
+}
+
+async function handleRestorePin(entry) {
+    if (!confirm(`Restore "${entry.before.title}"?`)) return;
+    
+    const restored = await restorePin(entry.before);
+    if (!restored) {
+        alert('Failed to restore pin. Please try again.');
+        return;
+    }
+    
+    addPinToMap(restored);
+    pinsCache = await fetchPins();
+    renderPinList(pinsCache);
+    showDeletedPins();
+}
+
+function closeHistoryModal() {
+    historyModal.classList.add('is-hidden');
+}
+
+// =============================================================================
+// User Management
+// =============================================================================
+
+async function showUsers() {
+    usersStatus.textContent = 'Loading...';
+    while (usersRows.firstChild) {
+        usersRows.removeChild(usersRows.firstChild);
+    }
+    usersModal.classList.remove('is-hidden');
+    
+    const profiles = await getProfiles();
+    usersStatus.textContent = profiles.length === 0
+        ? 'Could not load users.'
+        : 'Changes are saved immediately. New users start as viewers.';
+    
+    profiles.forEach(profile => usersRows.appendChild(createUserRow(profile)));
+}
+
+function createUserRow(profile) {
+    const tr = document.createElement('tr');
+    const isSelf = String(profile.id) === String(currentProfile?.id);
+    
+    const emailCell = document.createElement('td');
+    emailCell.textContent = isSelf ? `${profile.email} (you)` : profile.email;
+    
+    // Role
+    const roleCell = document.createElement('td');
+    const roleSelect = document.createElement('select');
+    roleSelect.className = 'input';
+    roleSelect.disabled = isSelf;
+    Object.entries(ROLES).forEach(([key, role]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = role.label;
+        option.title = role.description;
+        roleSelect.appendChild(option);
+    });
+    roleSelect.value = profile.role;
+    roleCell.appendChild(roleSelect);
+    
+    // Statuses an editor may work with (none checked = all)
+    const statusCell = document.createElement('td');
+    const statusGroup = document.createElement('div');
+    statusGroup.className = 'checkbox-group';
+    const allowed = profile.allowed_statuses || [];
+    
+    getStatuses().forEach(status => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = status.key;
+        checkbox.checked = allowed.includes(status.key);
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${status.label}`));
+        statusGroup.appendChild(label);
+    });
+    statusCell.appendChild(statusGroup);
+    
+    const checkboxes = [...statusGroup.querySelectorAll('input')];
+    const syncStatusCheckboxes = () => {
+        checkboxes.forEach(checkbox => {
+            checkbox.disabled = roleSelect.value !== 'editor';
+        });
+    };
+    syncStatusCheckboxes();
+    
+    const save = async () => {
+        const checked = checkboxes.filter(c => c.checked).map(c => c.value);
+        const changes = {
+            role: roleSelect.value,
+            allowed_statuses: checked.length > 0 ? checked : null
+        };
+        
+        usersStatus.textContent = `Saving ${profile.email}...`;
+        const updated = await updateProfile(profile.id, changes);
+        
+        if (updated) {
+            usersStatus.textContent = `Saved ${profile.email}.`;
+        } else {
+            usersStatus.textContent = `Could not save ${profile.email}.`;
+            roleSelect.value = profile.role;
+        }
+        syncStatusCheckboxes();
+    };
+    
+    roleSelect.onchange = save;
+    checkboxes.forEach(checkbox => {
+        checkbox.onchange = save;
+    });
+    
+    tr.appendChild(emailCell);
+    tr.appendChild(roleCell);
+    tr.appendChild(statusCell);
+    return tr;
+}
+
+function closeUsersModal() {
+    usersModal.classList.add('is-hidden');
+}
+
+// =============================================================================
+// Status Management
+// =============================================================================
+
+async function loadStatuses() {
+    setStatuses(await getAllStatuses());
+}
+
+// The status list changed (here or in another admin's session) - rebuild
+// everything that shows statuses
+function handleStatusesChange() {
+    renderStatusOptions();
+    renderEmbedStatuses();
+    
+    if (mapInitialized) {
+        renderPins(pinsCache);
+        renderAreas(areasCache);
+        renderPinList(pinsCache);
+        renderAreaList(areasCache);
+    }
+    if (areaPoints) {
+        renderAreaDraft();
+    }
+    if (!statusesModal.classList.contains('is-hidden')) {
+        renderStatusRows();
+    }
+}
+
+function showStatuses() {
+    statusesStatus.textContent = 'Changes are saved immediately and show on the public map right away.';
+    hideStatusFormError();
+    statusesModal.classList.remove('is-hidden');
+    renderStatusRows();
+}
+
+function renderStatusRows() {
+    // Saves rebuild the table - keep focus on the same field
+    const focused = document.activeElement;
+    const focusedKey = focused?.closest('tr')?.dataset.statusKey;
+    const focusedField = focused?.dataset.field;
+    
+    while (statusesRows.firstChild) {
+        statusesRows.removeChild(statusesRows.firstChild);
+    }
+    
+    const statuses = getStatuses();
+    statuses.forEach((status, index) => {
+        statusesRows.appendChild(createStatusRow(status, index, statuses.length));
+    });
+    
+    if (focusedKey && focusedField) {
+        const row = [...statusesRows.children].find(tr => tr.dataset.statusKey === focusedKey);
+        row?.querySelector(`[data-field="${focusedField}"]`)?.focus();
+    }
+}
+
+function createStatusRow(status, index, count) {
+    const tr = document.createElement('tr');
+    tr.dataset.statusKey = status.key;
+    
+    const keyCell = document.createElement('td');
+    keyCell.textContent = status.key;
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'input';
+    labelInput.value = status.label;
+    labelInput.setAttribute('aria-label', `${status.key} label`);
+    
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.className = 'status-editor__color';
+    colorInput.value = status.color;
+    colorInput.setAttribute('aria-label', `${status.key} color`);
+    
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'input status-editor__emoji';
+    emojiInput.value = status.emoji;
+    emojiInput.setAttribute('aria-label', `${status.key} emoji`);
+    
+    const severityInput = document.createElement('input');
+    severityInput.type = 'number';
+    severityInput.step = '1';
+    severityInput.className = 'input status-editor__severity';
+    severityInput.value = status.severity;
+    severityInput.setAttribute('aria-label', `${status.key} severity`);
+    
+    const pulseCheckbox = document.createElement('input');
+    pulseCheckbox.type = 'checkbox';
+    pulseCheckbox.checked = status.pulse;
+    pulseCheckbox.setAttribute('aria-label', `${status.key} pulses`);
+    
+    const inputs = { label: labelInput, color: colorInput, emoji: emojiInput, severity: severityInput, pulse: pulseCheckbox };
+    Object.entries(inputs).forEach(([field, input]) => {
+        input.dataset.field = field;
+        input.onchange = () => handleStatusEdit(status.key, {
+            label: labelInput.value.trim(),
+            color: colorInput.value,
+            emoji: emojiInput.value.trim(),
+            severity: Number(severityInput.value),
+            pulse: pulseCheckbox.checked
+        });
+    });
+    
+    // Order
+    const orderCell = document.createElement('td');
+    const upBtn = document.createElement('button');
+    upBtn.type = 'button';
+    upBtn.className = 'pin-list__btn';
+    upBtn.textContent = '↑';
+    upBtn.title = 'Move up';
+    upBtn.dataset.field = 'up';
+    upBtn.disabled = index === 0;
+    upBtn.onclick = () => handleMoveStatus(status.key, -1);
+    
+    const downBtn = document.createElement('button');
+    downBtn.type = 'button';
+    downBtn.className = 'pin-list__btn';
+    downBtn.textContent = '↓';
+    downBtn.title = 'Move down';
+    downBtn.dataset.field = 'down';
+    downBtn.disabled = index === count - 1;
+    downBtn.onclick = () => handleMoveStatus(status.key, 1);
+    
+    orderCell.appendChild(upBtn);
+    orderCell.appendChild(downBtn);
+    
+    // Active and Past are built into pin handling - see statuses.js
+    const deleteCell = document.createElement('td');
+    if (!REQUIRED_STATUSES.includes(status.key)) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'pin-list__btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete';
+        deleteBtn.onclick = () => handleDeleteStatus(status.key);
+        deleteCell.appendChild(deleteBtn);
+    }
+    
+    tr.appendChild(keyCell);
+    Object.values(inputs).forEach(input => {
+        const td = document.createElement('td');
+        td.appendChild(input);
+        tr.appendChild(td);
+    });
+    tr.appendChild(orderCell);
+    tr.appendChild(deleteCell);
+    return tr;
+}
+
+// Until an admin first edits them, the built-in statuses only exist in
+// code - store them so they have rows to update
+async function ensureStatusesSaved() {
+    if (getStatuses().every(status => status.id != null)) return true;
+    
+    const saved = await saveStatuses(DEFAULT_STATUSES);
+    if (!saved) return false;
+    
+    await loadStatuses();
+    return true;
+}
+
+async function handleStatusEdit(key, changes) {
+    const status = { ...getStatus(key), ...changes };
+    const errors = validateStatus(status, getStatuses().filter(other => other.key !== key));
+    
+    if (errors.length > 0) {
+        statusesStatus.textContent = errors.join('. ');
+        renderStatusRows();
+        return;
+    }
+    
+    statusesStatus.textContent = `Saving ${status.label}...`;
+    const updated = await ensureStatusesSaved() && await updateStatus(getStatus(key).id, changes);
+    statusesStatus.textContent = updated ? `Saved ${status.label}.` : `Could not save ${status.label}.`;
+    
+    await loadStatuses();
+}
+
+async function handleMoveStatus(key, offset) {
+    statusesStatus.textContent = 'Saving order...';
+    if (!await ensureStatusesSaved()) {
+        statusesStatus.textContent = 'Could not save the order.';
+        return;
+    }
+    
+    const statuses = [...getStatuses()];
+    const index = statuses.findIndex(status => status.key === key);
+    const [moved] = statuses.splice(index, 1);
+    statuses.splice(index + offset, 0, moved);
+    
+    // Renumber from 0 so every status has its own position
+    const results = await Promise.all(statuses.map((status, position) =>
+        status.position === position ? status : updateStatus(status.id, { position })
+    ));
+    statusesStatus.textContent = results.every(Boolean) ? 'Saved order.' : 'Could not save the order.';
+    
+    await loadStatuses();
+}
+
+async function handleDeleteStatus(key) {
+    const status = getStatus(key);
+    const [deletedPins, profiles] = await Promise.all([getDeletedPins(), getProfiles()]);
+    
+    const inUse = pinsCache.filter(pin => pin.status === key).length +
+        areasCache.filter(area => area.status === key).length;
+    
+    if (inUse > 0) {
+        alert(`${status.label} is used by ${inUse} pin${inUse === 1 ? '' : 's'} or area${inUse === 1 ? '' : 's'}. Edit them to use another status first.`);
+        return;
+    }
+    
+    // Deleting drops the status from users' allowed statuses, but an empty
+    // list means every status - so it can't be anyone's only one
+    const onlyStatusOf = profiles.filter(profile =>
+        profile.allowed_statuses?.length === 1 && profile.allowed_statuses[0] === key);
+    
+    if (onlyStatusOf.length > 0) {
+        alert(`${status.label} is the only allowed status for ${onlyStatusOf.map(profile => profile.email).join(', ')}. Change their statuses in Users first.`);
+        return;
+    }
+    
+    // Deleted pins don't block it - restored, they show as the gray stand-in
+    // until they're given another status
+    const deletedCount = deletedPins.filter(entry => entry.before?.status === key).length;
+    const deletedNote = deletedCount > 0
+        ? ` ${deletedCount} pin${deletedCount === 1 ? '' : 's'} in Recently Deleted ${deletedCount === 1 ? 'uses' : 'use'} it and will show as gray "${key}" if restored.`
+        : '';
+    if (!confirm(`Delete the ${status.label} status?${deletedNote}`)) return;
+    
+    const success = await ensureStatusesSaved() && await deleteStatus(getStatus(key).id);
+    if (!success) {
+        alert('Failed to delete status. Please try again.');
+        return;
+    }
+    
+    statusesStatus.textContent = `Deleted ${status.label}.`;
+    await loadStatuses();
+}
+
+async function handleStatusSubmit(e) {
+    e.preventDefault();
+    
+    const statuses = getStatuses();
+    const status = {
+        key: statusKeyInput.value.trim().toLowerCase(),
+        label: statusLabelInput.value.trim(),
+        color: statusColorInput.value,
+        emoji: statusEmojiInput.value.trim(),
+        severity: Number(statusSeverityInput.value),
+        pulse: statusPulseCheckbox.checked,
+        position: Math.max(-1, ...statuses.map(s => s.position)) + 1
+    };
+    
+    const errors = validateStatus(status, statuses);
+    if (errors.length > 0) {
+        showStatusFormError(errors.join('. '));
+        return;
+    }
+    hideStatusFormError();
+    
+    const saved = await ensureStatusesSaved() && await saveStatus(status);
+    if (!saved) {
+        showStatusFormError('Could not save the status. Please try again.');
+        return;
+    }
+    
+    statusForm.reset();
+    statusesStatus.textContent = `Added ${status.label}.`;
+    await loadStatuses();
+}
+
+function showStatusFormError(message) {
+    statusFormError.textContent = message;
+    statusFormError.classList.remove('is-hidden');
+}
+
+function hideStatusFormError() {
+    statusFormError.classList.add('is-hidden');
+}
+
+function closeStatusesModal() {
+    statusesModal.classList.add('is-hidden');
+}
+
+// =============================================================================
+// Help Requests
+// =============================================================================
+
+// Requests sent from the public map's Request Help form. They stay off the
+// map until approved into a new pin or merged into an existing one.
+async function loadHelpRequests() {
+    if (!mapInitialized) return;
+    
+    helpRequestsCache = canReviewHelpRequests(currentProfile) ? await getPendingHelpRequests() : [];
+    renderHelpQueue();
+    renderHelpRequestMarkers();
+}
+
+function renderHelpQueue() {
+    while (helpQueue.firstChild) {
+        helpQueue.removeChild(helpQueue.firstChild);
+    }
+    
+    helpQueueContainer.classList.toggle('is-hidden', helpRequestsCache.length === 0);
+    helpQueueCount.textContent = `${helpRequestsCache.length} pending`;
+    
+    helpRequestsCache.forEach(request => {
+        helpQueue.appendChild(createHelpQueueItem(request));
+    });
+}
+
+function createHelpQueueItem(request) {
+    const li = document.createElement('li');
+    li.className = 'help-queue__item';
+    li.dataset.requestId = request.id;
+    
+    const meta = document.createElement('div');
+    meta.className = 'help-queue__meta';
+    
+    const place = document.createElement('button');
+    place.type = 'button';
+    place.className = 'help-queue__place';
+    place.textContent = request.address || `${Number(request.lat).toFixed(5)}, ${Number(request.lng).toFixed(5)}`;
+    place.title = 'Show on map';
+    place.onclick = () => showHelpRequestOnMap(request);
+    
+    const time = document.createElement('span');
+    time.textContent = formatHistoryDate(request.created_at);
+    
+    meta.appendChild(place);
+    meta.appendChild(time);
+    li.appendChild(meta);
+    
+    const description = document.createElement('p');
+    description.className = 'help-queue__description';
+    description.textContent = request.description;
+    li.appendChild(description);
+    
+    // Contact details are only ever shown here, never on a pin
+    const contact = document.createElement('p');
+    contact.className = 'help-queue__contact';
+    contact.textContent = [request.name, request.contact].filter(Boolean).join(' · ');
+    li.appendChild(contact);
+    
+    // Only inline JPEGs - a URL here would load from someone else's server
+    if (isInlinePhoto(request.photo)) {
+        const photo = document.createElement('img');
+        photo.className = 'help-queue__photo';
+        photo.src = request.photo;
+        photo.alt = 'Photo sent with the request';
+        photo.title = 'Click to enlarge';
+        photo.onclick = () => photo.classList.toggle('help-queue__photo--expanded');
+        li.appendChild(photo);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'help-queue__actions';
+    
+    const approveBtn = document.createElement('button');
+    approveBtn.type = 'button';
+    approveBtn.className = 'btn btn--primary btn--small';
+    approveBtn.textContent = 'Approve';
+    approveBtn.title = 'Create a pin from this request';
+    approveBtn.onclick = () => handleApproveHelpRequest(request);
+    
+    const mergeSelect = createMergeSelect(request);
+    
+    const rejectBtn = document.createElement('button');
+    rejectBtn.type = 'button';
+    rejectBtn.className = 'btn btn--ghost btn--small';
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.onclick = () => handleRejectHelpRequest(request);
+    
+    actions.appendChild(approveBtn);
+    actions.appendChild(mergeSelect);
+    actions.appendChild(rejectBtn);
+    li.appendChild(actions);
+    
+    return li;
+}
+
+// Picker of the nearest pins this user can edit - choosing one merges the
+// request into it
+function createMergeSelect(request) {
+    const select = document.createElement('select');
+    select.className = 'input help-queue__merge';
+    select.setAttribute('aria-label', 'Merge into an existing pin');
+    
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Merge into pin…';
+    select.appendChild(placeholder);
+    
+    const candidates = pinsCache.filter(pin => !pin._pending && canUpdatePin(currentProfile, pin));
+    findNearestPins(request, candidates, MERGE_CANDIDATE_COUNT).forEach(({ pin, distance }) => {
+        const option = document.createElement('option');
+        option.value = pin.id;
+        option.textContent = `${pin.title} (${distance < 10 ? distance.toFixed(1) : Math.round(distance)} mi)`;
+        select.appendChild(option);
+    });
+    
+    select.disabled = select.options.length === 1;
+    select.onchange = () => {
+        const pinId = select.value;
+        select.value = '';
+        if (pinId) {
+            handleMergeHelpRequest(request, pinId);
+        }
+    };
+    
+    return select;
+}
+
+// Dashed markers so coordinators can see requests next to existing pins
+function renderHelpRequestMarkers() {
+    if (!helpRequestsLayer) {
+        helpRequestsLayer = L.layerGroup().addTo(getMap());
+    }
+    helpRequestsLayer.clearLayers();
+    
+    helpRequestsCache.forEach(request => {
+        L.circleMarker([request.lat, request.lng], {
+            radius: 8,
+            color: '#1e293b',
+            weight: 2,
+            dashArray: '3 3',
+            fillColor: '#ffffff',
+            fillOpacity: 0.9,
+            className: 'help-request-marker',
+            // Don't also start a new pin at the click
+            bubblingMouseEvents: false
+        })
+            .bindTooltip(`Help request: ${helpRequestToPin(request).title}`)
+            .on('click', () => focusHelpQueueItem(request))
+            .addTo(helpRequestsLayer);
+    });
+}
+
+function focusHelpQueueItem(request) {
+    const item = helpQueue.querySelector(`[data-request-id="${request.id}"]`);
+    item?.querySelector('button').focus();
+}
+
+function showHelpRequestOnMap(request) {
+    getMap().setView([request.lat, request.lng], Math.max(getMap().getZoom(), 14));
+}
+
+// Requests are resolved when the pin saves, so reviewing needs a connection
+// (offline pin edits are queued, which would leave the request pending)
+function checkOnlineForReview() {
+    if (!navigator.onLine) {
+        alert('Help requests can only be reviewed while online.');
+        return false;
+    }
+    return true;
+}
+
+function handleApproveHelpRequest(request) {
+    if (!checkOnlineForReview()) return;
+    
+    closeAreaForm();
+    clearLocationMarker();
+    resetForm();
+    
+    const fields = helpRequestToPin(request);
+    pinTitleInput.value = fields.title;
+    pinAddressInput.value = fields.address;
+    pinSummaryInput.value = fields.summary;
+    pinShowHelpCheckbox.checked = fields.show_help;
+    setFormLocation(fields.lat, fields.lng);
+    startHelpRequestReview(request, 'approved', 'From a help request — saving the pin approves it. Contact details are not copied.');
+    
+    pinForm.classList.remove('is-hidden');
+    showHelpRequestOnMap(request);
+    showLocationMarker(fields.lat, fields.lng);
+    pinTitleInput.focus();
+    
+    fillAddressFromLocation(fields.lat, fields.lng);
+}
+
+async function handleMergeHelpRequest(request, pinId) {
+    if (!checkOnlineForReview()) return;
+    
+    await handleEditPin(pinId);
+    if (!isEditing) return;
+    
+    pinSummaryInput.value = mergeHelpRequestSummary(pinSummaryInput.value, request);
+    startHelpRequestReview(request, 'merged', 'Merging a help request into this pin — its description was added to the summary. Saving the pin marks the request merged.');
+}
+
+function startHelpRequestReview(request, action, message) {
+    helpRequestReview = { request, action };
+    pinFormSource.textContent = message;
+    pinFormSource.classList.remove('is-hidden');
+}
+
+// The pin form saved - close the request it came from
+async function finishHelpRequestReview(review, pinId) {
+    if (!review) return;
+    
+    const { request, alreadyHandled } = await resolveHelpRequest(review.request.id, review.action, pinId);
+    if (alreadyHandled) {
+        alert('The pin was saved, but another coordinator had already handled this help request. Check the map for a duplicate pin.');
+    } else if (!request) {
+        alert('The pin was saved, but the help request could not be marked as handled. It is still in the queue.');
+    }
+    await loadHelpRequests();
+}
+
+async function handleRejectHelpRequest(request) {
+    if (!confirm('Reject this help request? It leaves the queue and nothing is added to the map.')) {
+        return;
+    }
+    
+    const { request: resolved, alreadyHandled } = await resolveHelpRequest(request.id, 'rejected');
+    if (alreadyHandled) {
+        alert('Another coordinator already handled this help request.');
+    } else if (!resolved) {
+        alert('Failed to reject the help request. Please try again.');
+        return;
+    }
+    
+    // The pin form may have been approving or merging it
+    if (String(helpRequestReview?.request.id) === String(request.id)) {
+        handleCancel();
+    }
+    await loadHelpRequests();
+}
+
+// =============================================================================
+// Embed Code
+// =============================================================================
+
+function setupEmbedLanguages() {
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = language.label;
+        embedLanguageSelect.appendChild(option);
+    });
+}
+
+// One checkbox per status - unticked ones stay unticked when the list is
+// rebuilt, new statuses start ticked
+function renderEmbedStatuses() {
+    const unchecked = [...embedStatuses.querySelectorAll('input:not(:checked)')].map(c => c.value);
+    
+    while (embedStatuses.firstChild) {
+        embedStatuses.removeChild(embedStatuses.firstChild);
+    }
+    
+    getStatuses().forEach(status => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = status.key;
+        checkbox.checked = !unchecked.includes(status.key);
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${status.label}`));
+        embedStatuses.appendChild(label);
+    });
+}
+
+function showEmbedModal() {
+    embedModal.classList.remove('is-hidden');
+    updateEmbedCode();
+}
+
+// Embed page URL for the chosen options (see permalink.js)
+function getEmbedUrl() {
+    const checked = [...embedStatuses.querySelectorAll('input:checked')].map(c => c.value);
+    const allChecked = checked.length === getStatuses().length;
+    const map = getMap();
+    const useView = embedUseViewCheckbox.checked;
+    
+    return buildEmbedUrl(new URL('./embed.html', window.location.href).href, {
+        statuses: allChecked ? null : checked,
+        center: useView ? map.getCenter() : null,
+        zoom: useView ? map.getZoom() : null,
+        showSearch: embedShowSearchCheckbox.checked,
+        showLegend: embedShowLegendCheckbox.checked,
+        compactPopups: embedCompactCheckbox.checked,
+        language: embedLanguageSelect.value || null
+    });
+}
+
+// Pixels ("500" or "500px") or a percentage, as an iframe attribute value
+function parseEmbedSize(text) {
+    const match = text.trim().match(/^(\d+)(px|%)?$/);
+    if (!match) return null;
+    return match[2] === '%' ? `${match[1]}%` : match[1];
+}
+
+function updateEmbedCode() {
+    const width = parseEmbedSize(embedWidthInput.value);
+    const height = parseEmbedSize(embedHeightInput.value);
+    const hasStatus = embedStatuses.querySelector('input:checked') !== null;
+    
+    let error = '';
+    if (!hasStatus) {
+        error = 'Pick at least one status.';
+    } else if (!width || !height) {
+        error = 'Width and height must be a number of pixels or a percentage.';
+    }
+    
+    embedError.textContent = error;
+    embedError.classList.toggle('is-hidden', !error);
+    embedCopyBtn.disabled = Boolean(error);
+    if (error) {
+        embedCode.value = '';
+        return;
+    }
+    
+    const url = getEmbedUrl();
+    embedCode.value = `<iframe src="${url.replace(/&/g, '&amp;')}" width="${width}" height="${height}" ` +
+        'style="border: 0;" title="United Cajun Navy Deployment Map" loading="lazy"></iframe>';
+    embedOpenLink.href = url;
+    
+    // Only reload the preview when the map itself would change
+    if (embedPreview.src !== url) {
+        embedPreview.src = url;
+    }
+}
+
+async function handleCopyEmbedCode() {
+    try {
+        await navigator.clipboard.writeText(embedCode.value);
+        embedCopyBtn.textContent = 'Copied';
+        setTimeout(() => { embedCopyBtn.textContent = 'Copy Code'; }, COPY_CONFIRM_MS);
+    } catch (err) {
+        // No clipboard access - select the code so it can be copied by hand
+        embedCode.select();
+    }
+}
+
+function closeEmbedModal() {
+    embedModal.classList.add('is-hidden');
+    // Stop the preview's realtime subscription while the dialog is closed
+    embedPreview.removeAttribute('src');
+}
+
+// =============================================================================
+// Offline Sync
+// =============================================================================
+
+async function syncOutbox() {
+    if (isSyncing || !navigator.onLine || getOutbox().length === 0) return;
+    
+    // Replaying while signed out would get every entry rejected
+    const { user } = await getSession();
+    if (!user) return;
+    
+    isSyncing = true;
+    renderSyncStatus();
+    
+    try {
+        const { rejected } = await replayOutbox();
+        rejectedEntries = rejectedEntries.concat(rejected);
+    } finally {
+        // Also after a failed replay, so the status doesn't stay on Syncing
+        isSyncing = false;
+        await refreshPins();
+    }
+}
+
+function renderSyncStatus() {
+    while (syncStatus.firstChild) {
+        syncStatus.removeChild(syncStatus.firstChild);
+    }
+    
+    const queuedCount = getOutbox().length;
+    
+    if (queuedCount === 0 && rejectedEntries.length === 0) {
+        syncStatus.classList.add('is-hidden');
+        return;
+    }
+    
+    syncStatus.classList.remove('is-hidden');
+    syncStatus.classList.toggle('sync-status--error', rejectedEntries.length > 0);
+    
+    if (queuedCount > 0) {
+        const queued = document.createElement('p');
+        const changes = `${queuedCount} change${queuedCount === 1 ? '' : 's'}`;
+        
+        if (isSyncing) {
+            queued.textContent = `Syncing ${changes}...`;
+        } else if (navigator.onLine) {
+            queued.textContent = `${changes} waiting to sync`;
+        } else {
+            queued.textContent = `Offline — ${changes} will sync when you reconnect`;
+        }
+        syncStatus.appendChild(queued);
+    }
+    
+    if (rejectedEntries.length > 0) {
+        const heading = document.createElement('p');
+        heading.textContent = 'These offline changes were rejected by the server:';
+        syncStatus.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        list.className = 'sync-status__list';
+        rejectedEntries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = describeEntry(entry);
+            list.appendChild(item);
+        });
+        syncStatus.appendChild(list);
+        
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'sync-status__dismiss';
+        dismissBtn.textContent = 'Dismiss';
+        dismissBtn.onclick = () => {
+            rejectedEntries = [];
+            renderSyncStatus();
+        };
+        syncStatus.appendChild(dismissBtn);
+    }
+}
+
+// =============================================================================
+// Import / Export
+// =============================================================================
+
+function getExportablePins() {
+    return pinsCache.filter(pin => pin._pending !== 'delete');
+}
+
+function handleExportGeoJSON() {
+    const geojson = pinsToGeoJSON(getExportablePins());
+    
+    downloadFile(buildExportFilename('geojson'), JSON.stringify(geojson, null, 2), 'application/geo+json');
+}
+
+function handleExportKML() {
+    downloadFile(buildExportFilename('kml'), pinsToKML(getExportablePins()), 'application/vnd.google-earth.kml+xml');
+}
+
+function handleExportGPX() {
+    downloadFile(buildExportFilename('gpx'), pinsToGPX(getExportablePins()), 'application/gpx+xml');
+}
+
+async function handleImportGeoJSON(e) {
+    const file = e.target.files[0];
+    
+    // Reset so picking the same file again still fires change
+    e.target.value = '';
+    if (!file) return;
+    
+    let results;
+    try {
+        results = parseGeoJSON(await file.text());
+    } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+        return;
+    }
+    
+    results.forEach(checkCreatePermission);
+    
+    const validPins = results.filter(r => r.errors.length === 0).map(r => r.pin);
+    const problems = results
+        .filter(r => r.errors.length > 0)
+        .map(r => `Feature ${r.index + 1}${r.pin.title ? ` (${r.pin.title})` : ''}: ${r.errors.join('; ')}`);
+    
+    showImportPreview(validPins, problems);
+}
+
+function showImportPreview(pins, problems) {
+    pendingImport = pins;
+    
+    const plural = pins.length === 1 ? '' : 's';
+    importSummary.textContent = problems.length > 0
+        ? `${pins.length} pin${plural} ready to import. ${problems.length} skipped:`
+        : `${pins.length} pin${plural} ready to import.`;
+    
+    while (importErrors.firstChild) {
+        importErrors.removeChild(importErrors.firstChild);
+    }
+    problems.forEach(problem => {
+        const li = document.createElement('li');
+        li.textContent = problem;
+        importErrors.appendChild(li);
+    });
+    
+    importConfirmBtn.textContent = `Import ${pins.length} Pin${plural}`;
+    importConfirmBtn.disabled = pins.length === 0;
+    importPreview.classList.remove('is-hidden');
+    
+    showPreviewPins(pins);
+}
+
+function hideImportPreview() {
+    pendingImport = [];
+    importPreview.classList.add('is-hidden');
+    clearPreviewPins();
+}
+
+async function handleImportConfirm() {
+    const pins = pendingImport;
+    
+    importConfirmBtn.disabled = true;
+    importConfirmBtn.textContent = 'Importing...';
+    
+    const { saved, failed } = await bulkCreatePins(pins);
+    
+    hideImportPreview();
+    await refreshPins();
+    
+    if (failed.length > 0) {
+        alert(`Imported ${saved.length} pins. ${failed.length} could not be saved. Please try again.`);
+    } else {
+        alert(`Imported ${saved.length} pins.`);
+    }
+}
+
+// Flag imported pins whose status the user's role can't create
+function checkCreatePermission(result) {
+    if (result.errors.length === 0 && !canEditStatus(currentProfile, result.pin.status)) {
+        result.errors.push(`Your role cannot create ${getStatus(result.pin.status).label} pins`);
+    }
+}
+
+// Creates pins in batches (or queues them while offline)
+async function bulkCreatePins(pins, onProgress) {
+    if (!navigator.onLine) {
+        pins.forEach(pin => queueCreate(pin));
+        return { saved: pins, failed: [] };
+    }
+    
+    const saved = [];
+    const failed = [];
+    
+    for (let i = 0; i < pins.length; i += IMPORT_BATCH_SIZE) {
+        const batch = pins.slice(i, i + IMPORT_BATCH_SIZE);
+        onProgress?.(i, pins.length);
+        
+        const result = await savePins(batch);
+        
+        if (result) {
+            saved.push(...result);
+        } else {
+            failed.push(...batch);
+        }
+    }
+    
+    return { saved, failed };
+}
+
+// =============================================================================
+// CSV Import
+// =============================================================================
+
+async function handleImportCSV(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    let parsed;
+    try {
+        parsed = parseCSV(await file.text());
+    } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+        return;
+    }
+    
+    csvImport = {
+        headers: parsed.headers,
+        rows: parsed.rows,
+        mapping: guessColumnMapping(parsed.headers),
+        results: []
+    };
+    
+    csvFileName.textContent = `${file.name} — ${parsed.rows.length} row${parsed.rows.length === 1 ? '' : 's'}`;
+    csvReport.classList.add('is-hidden');
+    csvProgress.textContent = '';
+    csvImportBtn.classList.remove('is-hidden');
+    csvCancelBtn.textContent = 'Cancel';
+    
+    renderCsvMapping();
+    validateCsvImport();
+    csvModal.classList.remove('is-hidden');
+}
+
+function renderCsvMapping() {
+    while (csvMapping.firstChild) {
+        csvMapping.removeChild(csvMapping.firstChild);
+    }
+    
+    IMPORT_FIELDS.forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `csv-map-${field.key}`;
+        label.textContent = field.label;
+        
+        const select = document.createElement('select');
+        select.id = `csv-map-${field.key}`;
+        select.className = 'input';
+        
+        const noneOption = document.createElement('option');
+        noneOption.value = '-1';
+        noneOption.textContent = '— Not in file —';
+        select.appendChild(noneOption);
+        
+        csvImport.headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = header || `Column ${index + 1}`;
+            select.appendChild(option);
+        });
+        
+        select.value = String(csvImport.mapping[field.key]);
+        select.onchange = () => {
+            csvImport.mapping[field.key] = Number(select.value);
+            validateCsvImport();
+        };
+        
+        group.appendChild(label);
+        group.appendChild(select);
+        csvMapping.appendChild(group);
+    });
+}
+
+function validateCsvImport() {
+    csvImport.results = csvImport.rows.map((row, index) => ({
+        // +2: spreadsheet rows are 1-based and row 1 is the header
+        rowNumber: index + 2,
+        ...validatePin(mapCsvRow(row, csvImport.mapping), { allowMissingCoords: true })
+    }));
+    csvImport.results.forEach(checkCreatePermission);
+    
+    renderCsvResults();
+}
+
+function renderCsvResults() {
+    const results = csvImport.results;
+    const validCount = results.filter(r => r.errors.length === 0).length;
+    const geocodeCount = results.filter(r => r.errors.length === 0 && r.pin.lat === null).length;
+    const invalidCount = results.length - validCount;
+    
+    let summary = `${validCount} of ${results.length} rows ready to import.`;
+    if (geocodeCount > 0) {
+        summary += ` ${geocodeCount} will be located from their address.`;
+    }
+    if (invalidCount > 0) {
+        summary += ` ${invalidCount} with errors will be skipped.`;
+    }
+    csvSummary.textContent = summary;
+    
+    while (csvRows.firstChild) {
+        csvRows.removeChild(csvRows.firstChild);
+    }
+    
+    results.forEach(result => {
+        const tr = document.createElement('tr');
+        const hasErrors = result.errors.length > 0;
+        if (hasErrors) {
+            tr.className = 'data-table__row--error';
+        }
+        
+        let location = result.pin.address;
+        if (result.pin.lat !== null && Number.isFinite(result.pin.lat) && Number.isFinite(result.pin.lng)) {
+            location = `${result.pin.lat.toFixed(4)}, ${result.pin.lng.toFixed(4)}`;
+        }
+        
+        let outcome = 'OK';
+        if (hasErrors) {
+            outcome = result.errors.join('; ');
+        } else if (result.pin.lat === null) {
+            outcome = 'Will geocode address';
+        }
+        
+        [result.rowNumber, result.pin.title, result.pin.status, location, outcome].forEach((value, index) => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            if (index === 4 && hasErrors) {
+                td.className = 'data-table__result--error';
+            }
+            tr.appendChild(td);
+        });
+        
+        csvRows.appendChild(tr);
+    });
+    
+    csvImportBtn.textContent = `Import ${validCount} Pin${validCount === 1 ? '' : 's'}`;
+    csvImportBtn.disabled = validCount === 0;
+}
+
+async function handleCsvImportConfirm() {
+    const validResults = csvImport.results.filter(r => r.errors.length === 0);
+    const skippedCount = csvImport.results.length - validResults.length;
+    const failures = [];
+    const pins = [];
+    const rowNumbers = new Map();
+    
+    setCsvImporting(true);
+    
+    // Geocode one at a time - geocode() spaces requests to respect Nominatim limits
+    const needsGeocode = validResults.filter(r => r.pin.lat === null);
+    let geocoded = 0;
+    
+    for (const result of validResults) {
+        const pin = { ...result.pin };
+        
+        if (pin.lat === null) {
+            geocoded++;
+            csvProgress.textContent = `Locating address ${geocoded} of ${needsGeocode.length}...`;
+            
+            const coords = await geocode(pin.address).catch(() => null);
+            if (!coords) {
+                failures.push({ rowNumber: result.rowNumber, reason: `Address not found: ${pin.address}` });
+                continue;
+            }
+            pin.lat = coords.lat;
+            pin.lng = coords.lng;
+        }
+        
+        pins.push(pin);
+        rowNumbers.set(pin, result.rowNumber);
+    }
+    
+    const { saved, failed } = await bulkCreatePins(pins, (done, total) => {
+        csvProgress.textContent = `Saving pins ${done + 1}-${Math.min(done + IMPORT_BATCH_SIZE, total)} of ${total}...`;
+    });
+    
+    failed.forEach(pin => {
+        failures.push({ rowNumber: rowNumbers.get(pin), reason: `Could not save "${pin.title}"` });
+    });
+    failures.sort((a, b) => a.rowNumber - b.rowNumber);
+    
+    setCsvImporting(false);
+    renderCsvReport(saved.length, failures, skippedCount);
+    await refreshPins();
+}
+
+function setCsvImporting(importing) {
+    isCsvImporting = importing;
+    csvImportBtn.disabled = importing;
+    csvCancelBtn.disabled = importing;
+    csvCloseBtn.disabled = importing;
+    csvMapping.querySelectorAll('select').forEach(select => {
+        select.disabled = importing;
+    });
+}
+
+function renderCsvReport(savedCount, failures, skippedCount) {
+    while (csvReport.firstChild) {
+        csvReport.removeChild(csvReport.firstChild);
+    }
+    
+    const created = document.createElement('p');
+    created.textContent = `Created ${savedCount} pin${savedCount === 1 ? '' : 's'}.` +
+        (skippedCount > 0 ? ` ${skippedCount} invalid row${skippedCount === 1 ? ' was' : 's were'} skipped.` : '');
+    csvReport.appendChild(created);
+    
+    if (failures.length > 0) {
+        const heading = document.createElement('p');
+        heading.textContent = `${failures.length} row${failures.length === 1 ? '' : 's'} failed:`;
+        csvReport.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        failures.forEach(failure => {
+            const li = document.createElement('li');
+            li.textContent = `Row ${failure.rowNumber}: ${failure.reason}`;
+            list.appendChild(li);
+        });
+        csvReport.appendChild(list);
+    }
+    
+    csvReport.classList.remove('is-hidden');
+    csvProgress.textContent = '';
+    csvImportBtn.classList.add('is-hidden');
+    csvCancelBtn.textContent = 'Close';
+}
+
+function closeCsvModal() {
+    if (isCsvImporting) return;
+    
+    csvImport = null;
+    csvModal.classList.add('is-hidden');
+}
+
+// =============================================================================
+// Event Listeners
+// =============================================================================
+
+loginForm.onsubmit = handleLogin;
+logoutBtn.onclick = handleLogout;
+pinForm.onsubmit = handlePinSubmit;
+cancelBtn.onclick = handleCancel;
+newPinBtn.onclick = handleNewPinByAddress;
+pinLocateBtn.onclick = handleLocateAddress;
+pinExpiryModeSelect.onchange = updateExpiryFields;
+newAreaBtn.onclick = handleNewArea;
+areaForm.onsubmit = handleAreaSubmit;
+areaCancelBtn.onclick = closeAreaForm;
+areaUndoBtn.onclick = handleAreaUndo;
+areaKindSelect.onchange = renderAreaDraft;
+areaStatusSelect.onchange = () => {
+    if (areaPoints) {
+        renderAreaDraft();
+    }
+};
+setupAreaKinds();
+setupPinCategories();
+setupTranslationFields();
+
+// Enter in the address field looks it up instead of submitting the form
+pinAddressInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        handleLocateAddress();
+    }
+});
+exportGeoJsonBtn.onclick = handleExportGeoJSON;
+exportKmlBtn.onclick = handleExportKML;
+exportGpxBtn.onclick = handleExportGPX;
+importGeoJsonInput.onchange = handleImportGeoJSON;
+importConfirmBtn.onclick = handleImportConfirm;
+importCancelBtn.onclick = hideImportPreview;
+importCsvInput.onchange = handleImportCSV;
+csvImportBtn.onclick = handleCsvImportConfirm;
+csvCancelBtn.onclick = closeCsvModal;
+csvCloseBtn.onclick = closeCsvModal;
+deletedPinsBtn.onclick = showDeletedPins;
+historyCloseBtn.onclick = closeHistoryModal;
+manageUsersBtn.onclick = showUsers;
+usersCloseBtn.onclick = closeUsersModal;
+embedBtn.onclick = showEmbedModal;
+embedCloseBtn.onclick = closeEmbedModal;
+embedCopyBtn.onclick = handleCopyEmbedCode;
+embedOptions.addEventListener('input', updateEmbedCode);
+manageStatusesBtn.onclick = showStatuses;
+statusesCloseBtn.onclick = closeStatusesModal;
+statusForm.onsubmit = handleStatusSubmit;
+renderStatusOptions();
+renderEmbedStatuses();
+setupEmbedLanguages();
+
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    
+    if (!csvModal.classList.contains('is-hidden')) {
+        closeCsvModal();
+    }
+    if (!historyModal.classList.contains('is-hidden')) {
+        closeHistoryModal();
+    }
+    if (!usersModal.classList.contains('is-hidden')) {
+        closeUsersModal();
+    }
+    if (!statusesModal.classList.contains('is-hidden')) {
+        closeStatusesModal();
+    }
+    if (!embedModal.classList.contains('is-hidden')) {
+        closeEmbedModal();
+    }
+});
+
+window.addEventListener('online', syncOutbox);
+window.addEventListener('offline', renderSyncStatus);
 
 // Listen for auth state changes (handles session expiry, etc.)
 onAuthStateChange((event, session) => {
@@ -417,4 +3021,9 @@ onAuthStateChange((event, session) => {
 // Init
 // =============================================================================
 
+registerServiceWorker();
+onStatusesChange(handleStatusesChange);
+loadStatuses();
+subscribeToStatusChanges(loadStatuses);
+subscribeToHelpRequestChanges(loadHelpRequests);
 checkAuth();
@@ -0,0 +1,590 @@
+// =============================================================================
+// FILENAME: backends/local.js
+// =============================================================================
+// Purpose: In-browser storage backend for offline development and demos
+//
+// Responsibilities:
+// - Keep tables in localStorage (seeded with sample pins, areas, the
+//   built-in statuses and the demo users' profiles on first run)
+// - Fake email/password login against LOCAL_BACKEND_CONFIG.users
+// - Simulated realtime events, delivered to this tab and to other tabs
+//   via BroadcastChannel (e.g. admin.html edits show up on index.html)
+// - Record pin writes in pin_history, like the database trigger does
+// - Drop deleted statuses from profiles' allowed statuses, like the
+//   guard_status_delete trigger does
+//
+// Dependencies:
+// - config.js (LOCAL_BACKEND_CONFIG, PIN_STATUS)
+//
+// Implements the same interface as backends/supabase.js.
+// =============================================================================
+
+import { LOCAL_BACKEND_CONFIG, PIN_STATUS } from '../config.js';
+
+const TABLE_KEY_PREFIX = 'ucn-local-table:';
+const SEQUENCE_KEY_PREFIX = 'ucn-local-sequence:';
+const SESSION_KEY = 'ucn-local-session';
+const REALTIME_CHANNEL = 'ucn-local-realtime';
+
+// Tables anyone may insert into without signing in, like the public insert
+// policies in SECURITY-SETUP.md
+const PUBLIC_INSERT_TABLES = ['help_requests'];
+
+const HISTORY_TABLE = 'pin_history';
+
+// Sample pins and areas so the demo map isn't empty on first load
+const SEED_TABLES = {
+    pins: [
+        {
+            id: 1,
+            title: 'Lake Charles Rescue Staging',
+            address: '900 Lakeshore Dr, Lake Charles, LA',
+            summary: 'Boat teams staging at the civic center lot. Check in with the dispatch trailer.',
+            status: 'critical',
+            category: 'staging',
+            lat: 30.2266,
+            lng: -93.2174,
+            url: '',
+            url_text: 'More Info',
+            show_donate: true,
+            show_volunteer: true,
+            show_help: true,
+            created_at: '2025-08-27T14:00:00.000Z'
+        },
+        {
+            id: 2,
+            title: 'Lafayette Supply Drop',
+            address: '',
+            summary: 'Water, MREs and tarps available 8am-6pm.',
+            status: 'active',
+            category: 'supplies',
+            lat: 30.2241,
+            lng: -92.0198,
+            url: '',
+            url_text: 'More Info',
+            show_donate: true,
+            show_volunteer: false,
+            show_help: false,
+            created_at: '2025-08-26T18:30:00.000Z'
+        },
+        {
+            id: 3,
+            title: 'Houma Flooding',
+            address: '',
+            summary: 'Street flooding reported east of the bayou. Avoid travel.',
+            status: 'warning',
+            lat: 29.5958,
+            lng: -90.7195,
+            url: '',
+            url_text: 'More Info',
+            show_donate: false,
+            show_volunteer: false,
+            show_help: true,
+            created_at: '2025-08-26T12:15:00.000Z'
+        },
+        {
+            id: 4,
+            title: 'Tropical Storm Watch',
+            address: '',
+            summary: 'Coastal parishes under tropical storm watch through Friday.',
+            status: 'weather',
+            lat: 29.3,
+            lng: -91.2,
+            url: '',
+            url_text: 'More Info',
+            show_donate: false,
+            show_volunteer: false,
+            show_help: false,
+            created_at: '2025-08-25T09:00:00.000Z'
+        },
+        {
+            id: 5,
+            title: 'Baton Rouge Deployment',
+            address: '',
+            summary: 'Completed. Thank you to all volunteers.',
+            status: 'past',
+            lat: 30.4515,
+            lng: -91.1871,
+            url: '',
+            url_text: 'More Info',
+            show_donate: false,
+            show_volunteer: false,
+            show_help: false,
+            created_at: '2025-08-20T16:45:00.000Z',
+            closed_at: '2025-08-24T18:00:00.000Z'
+        }
+    ],
+    areas: [
+        {
+            id: 1,
+            title: 'Cameron Parish Mandatory Evacuation',
+            kind: 'polygon',
+            coordinates: [
+                [29.83, -93.55],
+                [29.88, -93.10],
+                [29.76, -92.95],
+                [29.73, -93.50]
+            ],
+            summary: 'Mandatory evacuation for all low-lying areas south of the Intracoastal Waterway.',
+            status: 'critical',
+            url: '',
+            url_text: 'More Info',
+            created_at: '2025-08-26T20:00:00.000Z'
+        },
+        {
+            id: 2,
+            title: 'LA-27 Closed (Flooding)',
+            kind: 'line',
+            coordinates: [
+                [30.07, -93.37],
+                [29.98, -93.35],
+                [29.90, -93.33],
+                [29.80, -93.32]
+            ],
+            summary: 'Road closed between Hackberry and Cameron. Use LA-384.',
+            status: 'warning',
+            url: '',
+            url_text: 'More Info',
+            created_at: '2025-08-27T08:30:00.000Z'
+        }
+    ]
+};
+
+// In-tab realtime listeners, keyed by table name
+const tableListeners = {};
+const authListeners = new Set();
+
+let broadcastChannel = null;
+
+/**
+ * Wait for the configured fake network delay
+ * @returns {Promise<void>}
+ */
+function simulateLatency() {
+    return new Promise(resolve => setTimeout(resolve, LOCAL_BACKEND_CONFIG.latency || 0));
+}
+
+/**
+ * Read a table from localStorage, seeding it on first use
+ * @param {string} table - Table name
+ * @returns {Array} Rows
+ */
+function readTable(table) {
+    const raw = localStorage.getItem(TABLE_KEY_PREFIX + table);
+    if (raw) {
+        return JSON.parse(raw);
+    }
+    
+    const seed = SEED_BUILDERS[table] ? SEED_BUILDERS[table]() : (SEED_TABLES[table] || []);
+    writeTable(table, seed);
+    return seed.map(row => ({ ...row }));
+}
+
+/**
+ * Build profile rows for the demo logins
+ * @returns {Array} Profiles
+ */
+function getSeedProfiles() {
+    return LOCAL_BACKEND_CONFIG.users.map(user => ({
+        id: getLocalUserId(user.email),
+        email: user.email,
+        role: user.role || 'viewer',
+        allowed_statuses: user.allowed_statuses || null
+    }));
+}
+
+/**
+ * Build status rows for the built-in statuses
+ * @returns {Array} Statuses
+ */
+function getSeedStatuses() {
+    return Object.entries(PIN_STATUS).map(([key, status], index) => ({
+        id: index + 1,
+        key,
+        ...status,
+        position: index
+    }));
+}
+
+// Tables seeded from config rather than fixed sample rows
+const SEED_BUILDERS = {
+    profiles: getSeedProfiles,
+    statuses: getSeedStatuses
+};
+
+/**
+ * Persist a table to localStorage
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows
+ */
+function writeTable(table, rows) {
+    localStorage.setItem(TABLE_KEY_PREFIX + table, JSON.stringify(rows));
+}
+
+/**
+ * Allocate the next ID for a table. Like a database sequence, IDs are never
+ * reused after deletes (so a restored pin can't collide with a newer one).
+ * @param {string} table - Table name
+ * @param {Array} rows - Current rows
+ * @returns {number}
+ */
+function nextRowId(table, rows) {
+    const stored = Number(localStorage.getItem(SEQUENCE_KEY_PREFIX + table)) || 0;
+    const maxId = rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    const id = Math.max(stored, maxId) + 1;
+    
+    localStorage.setItem(SEQUENCE_KEY_PREFIX + table, String(id));
+    return id;
+}
+
+/**
+ * Check whether a row matches all equality filters
+ * @param {Object} row - Table row
+ * @param {Object} filters - Column/value pairs
+ * @returns {boolean}
+ */
+function matchesFilters(row, filters = {}) {
+    return Object.entries(filters).every(([column, value]) =>
+        String(row[column]) === String(value)
+    );
+}
+
+/**
+ * Record a pins write in pin_history, like the record_pin_history trigger in
+ * SECURITY-SETUP.md: the label comes from the operation, and the requested
+ * action can only turn an insert into a restore or an update into a revert
+ * or expire
+ * @param {string} operation - INSERT, UPDATE or DELETE
+ * @param {Object|null} before - Row before the write
+ * @param {Object|null} after - Row after the write
+ * @param {string} [action] - Requested history label
+ */
+function recordPinHistory(operation, before, after, action) {
+    const labels = {
+        INSERT: action === 'restore' ? 'restore' : 'create',
+        UPDATE: ['revert', 'expire'].includes(action) ? action : 'update',
+        DELETE: 'delete'
+    };
+    
+    const rows = readTable(HISTORY_TABLE);
+    rows.push({
+        id: nextRowId(HISTORY_TABLE, rows),
+        pin_id: (after || before).id,
+        action: labels[operation],
+        changed_by: readSession()?.user.email || 'system',
+        before,
+        after,
+        created_at: new Date().toISOString()
+    });
+    writeTable(HISTORY_TABLE, rows);
+}
+
+/**
+ * Remove deleted statuses from profiles' allowed statuses, like the
+ * guard_status_delete trigger in SECURITY-SETUP.md
+ * @param {Array} statuses - Deleted status rows
+ */
+function removeAllowedStatuses(statuses) {
+    const keys = statuses.map(status => status.key);
+    const profiles = readTable('profiles').map(profile => ({
+        ...profile,
+        allowed_statuses: profile.allowed_statuses &&
+            profile.allowed_statuses.filter(key => !keys.includes(key))
+    }));
+    writeTable('profiles', profiles);
+}
+
+/**
+ * Build an error shaped like the Supabase backend's HTTP errors
+ * @param {number} status - HTTP status code
+ * @returns {Error}
+ */
+function requestError(status) {
+    const err = new Error(`Local request failed: ${status}`);
+    err.status = status;
+    return err;
+}
+
+/**
+ * Fail like the Supabase backend does for writes without a session
+ */
+function requireSession() {
+    if (!readSession()) {
+        throw requestError(401);
+    }
+}
+
+// =============================================================================
+// Authentication
+// =============================================================================
+
+/**
+ * Read the stored fake session
+ * @returns {Object|null} Session or null
+ */
+function readSession() {
+    const raw = localStorage.getItem(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Stable fake user ID for a demo login
+ * @param {string} email
+ * @returns {string}
+ */
+function getLocalUserId(email) {
+    return `local-user-${email}`;
+}
+
+/**
+ * Notify auth listeners in this tab
+ * @param {string} event - SIGNED_IN or SIGNED_OUT
+ * @param {Object|null} session
+ */
+function emitAuthChange(event, session) {
+    authListeners.forEach(callback => callback(event, session));
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signIn(email, password) {
+    await simulateLatency();
+    
+    const match = LOCAL_BACKEND_CONFIG.users.find(user =>
+        user.email.toLowerCase() === email.toLowerCase() && user.password === password
+    );
+    
+    if (!match) {
+        throw new Error('Invalid login credentials');
+    }
+    
+    const session = {
+        access_token: `local-${Date.now()}`,
+        user: {
+            id: getLocalUserId(match.email),
+            email: match.email
+        }
+    };
+    
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    emitAuthChange('SIGNED_IN', session);
+    
+    return session.user;
+}
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+    localStorage.removeItem(SESSION_KEY);
+    emitAuthChange('SIGNED_OUT', null);
+}
+
+/**
+ * Get the current session
+ * @returns {Promise<Object|null>} Session or null
+ */
+export async function getSession() {
+    return readSession();
+}
+
+/**
+ * Subscribe to auth state changes
+ * @param {Function} callback - Called with (event, session)
+ * @returns {Object} Subscription (call .unsubscribe() to stop)
+ */
+export function onAuthStateChange(callback) {
+    authListeners.add(callback);
+    return {
+        unsubscribe: () => authListeners.delete(callback)
+    };
+}
+
+// =============================================================================
+// Table CRUD
+// =============================================================================
+
+/**
+ * Select rows from a table
+ * @param {string} table - Table name
+ * @param {Object} options - { filters, order }
+ * @returns {Promise<Array>} Rows
+ */
+export async function select(table, { filters, order } = {}) {
+    await simulateLatency();
+    
+    const rows = readTable(table).filter(row => matchesFilters(row, filters));
+    
+    if (order) {
+        const direction = order.ascending ? 1 : -1;
+        rows.sort((a, b) => {
+            if (a[order.column] === b[order.column]) return 0;
+            return a[order.column] > b[order.column] ? direction : -direction;
+        });
+    }
+    
+    return rows;
+}
+
+/**
+ * Insert rows into a table
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows to insert
+ * @param {Object} options - { returning: false to get [] back, as the
+ *   Supabase backend does; action: history label for pins }
+ * @returns {Promise<Array>} Inserted rows (with id and created_at), or []
+ *   when not returning them
+ */
+export async function insert(table, rows, { returning = true, action } = {}) {
+    await simulateLatency();
+    if (!PUBLIC_INSERT_TABLES.includes(table)) {
+        requireSession();
+    }
+    
+    const existing = readTable(table);
+    const inserted = [];
+    
+    rows.forEach(row => {
+        // Explicit IDs are allowed (e.g. restoring a deleted pin) but must be free
+        const id = row.id ?? nextRowId(table, existing.concat(inserted));
+        if (existing.concat(inserted).some(r => String(r.id) === String(id))) {
+            throw requestError(409);
+        }
+        
+        inserted.push({
+            created_at: new Date().toISOString(),
+            ...row,
+            id
+        });
+    });
+    
+    writeTable(table, existing.concat(inserted));
+    if (table === 'pins') {
+        inserted.forEach(row => recordPinHistory('INSERT', null, row, action));
+    }
+    inserted.forEach(row => emitChange(table, 'INSERT', row));
+    
+    return returning ? inserted : [];
+}
+
+/**
+ * Update rows matching filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Column/value pairs
+ * @param {Object} changes - Fields to update
+ * @param {Object} options - { action: history label for pins }
+ * @returns {Promise<Array>} Updated rows
+ */
+export async function update(table, filters, changes, { action } = {}) {
+    await simulateLatency();
+    requireSession();
+    
+    const updated = [];
+    const rows = readTable(table).map(row => {
+        if (!matchesFilters(row, filters)) return row;
+        
+        const next = { ...row, ...changes, id: row.id };
+        if (table === 'pins') {
+            recordPinHistory('UPDATE', row, next, action);
+        }
+        updated.push(next);
+        return next;
+    });
+    
+    writeTable(table, rows);
+    updated.forEach(row => emitChange(table, 'UPDATE', row));
+    
+    return updated;
+}
+
+/**
+ * Delete rows matching filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Column/value pairs
+ * @returns {Promise<void>}
+ */
+export async function remove(table, filters) {
+    await simulateLatency();
+    requireSession();
+    
+    const rows = readTable(table);
+    const removed = rows.filter(row => matchesFilters(row, filters));
+    
+    writeTable(table, rows.filter(row => !matchesFilters(row, filters)));
+    if (table === 'pins') {
+        removed.forEach(row => recordPinHistory('DELETE', row, null));
+    }
+    if (table === 'statuses') {
+        removeAllowedStatuses(removed);
+    }
+    removed.forEach(row => emitChange(table, 'DELETE', row));
+}
+
+// =============================================================================
+// Realtime
+// =============================================================================
+
+/**
+ * Get the cross-tab channel (null where BroadcastChannel is unsupported)
+ * @returns {BroadcastChannel|null}
+ */
+function getBroadcastChannel() {
+    if (!broadcastChannel && 'BroadcastChannel' in window) {
+        broadcastChannel = new BroadcastChannel(REALTIME_CHANNEL);
+        broadcastChannel.onmessage = (e) => deliverChange(e.data);
+    }
+    return broadcastChannel;
+}
+
+/**
+ * Publish a change to this tab and any other open tabs
+ * @param {string} table - Table name
+ * @param {string} event - INSERT, UPDATE or DELETE
+ * @param {Object} row - Affected row
+ */
+function emitChange(table, event, row) {
+    const change = { table, event, row };
+    
+    // Deliver async, like a real socket message
+    setTimeout(() => deliverChange(change), 0);
+    getBroadcastChannel()?.postMessage(change);
+}
+
+/**
+ * Hand a change to this tab's subscribers
+ * @param {Object} change - { table, event, row }
+ */
+function deliverChange({ table, event, row }) {
+    (tableListeners[table] || []).forEach(handlers => {
+        if (event === 'INSERT') handlers.onInsert?.(row);
+        if (event === 'UPDATE') handlers.onUpdate?.(row);
+        if (event === 'DELETE') handlers.onDelete?.(row);
+    });
+}
+
+/**
+ * Subscribe to realtime changes on a table
+ * @param {string} table - Table name
+ * @param {Object} handlers - { onInsert, onUpdate, onDelete, onStatus }
+ * @returns {Object} Channel-like object (call .unsubscribe() to stop)
+ */
+export function subscribe(table, handlers) {
+    getBroadcastChannel();
+    
+    tableListeners[table] = tableListeners[table] || [];
+    tableListeners[table].push(handlers);
+    
+    // There's no socket to connect, so report the join right away
+    setTimeout(() => handlers.onStatus?.('SUBSCRIBED'), 0);
+    
+    return {
+        unsubscribe: () => {
+            tableListeners[table] = tableListeners[table].filter(h => h !== handlers);
+        }
+    };
+}
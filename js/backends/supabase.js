@@ -0,0 +1,257 @@
+// =============================================================================
+// FILENAME: backends/supabase.js
+// =============================================================================
+// Purpose: Supabase storage backend (production)
+//
+// Responsibilities:
+// - Authentication via Supabase Auth
+// - GET/POST/PATCH/DELETE requests to the Supabase REST API
+// - Realtime subscriptions via Supabase channels
+//
+// Dependencies:
+// - config.js (SUPABASE_CONFIG)
+// - Supabase JS client (loaded via script tag)
+//
+// Backend interface (shared with backends/local.js):
+// - signIn(email, password) -> user, signOut(), getSession() -> session|null
+// - onAuthStateChange(callback) -> subscription
+// - select(table, { filters, order }) -> rows
+// - insert(table, rows, { returning, action }) -> rows ([] when returning is
+//   false)
+// - update(table, filters, changes, { action }) -> rows
+// - remove(table, filters)
+// - subscribe(table, { onInsert, onUpdate, onDelete, onStatus }) -> channel
+//
+// action labels a pins write in pin_history (restore, revert, expire); the
+// database records the history itself. Failures throw - storage.js decides
+// how to surface them. HTTP errors carry the response code as err.status;
+// network errors have none.
+// =============================================================================
+
+import { SUPABASE_CONFIG } from '../config.js';
+
+const SUPABASE_URL = SUPABASE_CONFIG.url;
+const SUPABASE_KEY = SUPABASE_CONFIG.anonKey;
+
+// Singleton Supabase client
+let supabaseClient = null;
+
+/**
+ * Get or create the Supabase client
+ * @returns {Object} Supabase client
+ */
+function getClient() {
+    if (!supabaseClient) {
+        supabaseClient = window.supabase.createClient(SUPABASE_URL, SUPABASE_KEY);
+    }
+    return supabaseClient;
+}
+
+// =============================================================================
+// Authentication
+// =============================================================================
+
+/**
+ * Sign in with email and password
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signIn(email, password) {
+    const { data, error } = await getClient().auth.signInWithPassword({
+        email,
+        password
+    });
+    
+    if (error) {
+        throw new Error(error.message);
+    }
+    
+    return data.user;
+}
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+    await getClient().auth.signOut();
+}
+
+/**
+ * Get the current session
+ * @returns {Promise<Object|null>} Session or null
+ */
+export async function getSession() {
+    const { data: { session } } = await getClient().auth.getSession();
+    return session;
+}
+
+/**
+ * Subscribe to auth state changes
+ * @param {Function} callback - Called with (event, session)
+ * @returns {Object} Subscription (call .unsubscribe() to stop)
+ */
+export function onAuthStateChange(callback) {
+    const { data: { subscription } } = getClient().auth.onAuthStateChange(callback);
+    return subscription;
+}
+
+// =============================================================================
+// Table CRUD
+// =============================================================================
+
+/**
+ * Make an authenticated request to Supabase REST API
+ * @param {string} endpoint - Table path plus query string
+ * @param {Object} options - { method, body, prefer, action }; action is sent
+ *   as X-Pin-Action for the record_pin_history trigger (SECURITY-SETUP.md)
+ * @returns {Promise<*>} Parsed response body, or null if empty
+ */
+async function supabaseRequest(endpoint, options = {}) {
+    const client = getClient();
+    const { data: { session } } = await client.auth.getSession();
+    
+    const url = `${SUPABASE_URL}/rest/v1/${endpoint}`;
+    
+    const headers = {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${session?.access_token || SUPABASE_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': options.prefer || 'return=representation'
+    };
+    
+    if (options.action) {
+        headers['X-Pin-Action'] = options.action;
+    }
+    
+    const response = await fetch(url, {
+        method: options.method || 'GET',
+        headers,
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    
+    if (!response.ok) {
+        const error = await response.text();
+        console.error('Supabase error:', error);
+        // status lets storage.js tell rejections (4xx) from outages (5xx)
+        const err = new Error(`Supabase request failed: ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+    
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Build a PostgREST query string
+ * @param {Object} filters - Column/value pairs matched with eq
+ * @param {Object} order - Optional { column, ascending }
+ * @returns {string} Query string (without leading ?)
+ */
+function buildQuery(filters = {}, order = null) {
+    const params = Object.entries(filters).map(([column, value]) =>
+        `${column}=eq.${encodeURIComponent(value)}`
+    );
+    
+    if (order) {
+        params.push(`order=${order.column}.${order.ascending ? 'asc' : 'desc'}`);
+    }
+    
+    return params.join('&');
+}
+
+/**
+ * Select rows from a table
+ * @param {string} table - Table name
+ * @param {Object} options - { filters, order }
+ * @returns {Promise<Array>} Rows
+ */
+export async function select(table, { filters, order } = {}) {
+    const query = buildQuery(filters, order);
+    const rows = await supabaseRequest(`${table}?select=*${query ? '&' + query : ''}`);
+    return rows || [];
+}
+
+/**
+ * Insert rows into a table
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows to insert
+ * @param {Object} options - { returning: false for tables the caller may
+ *   write but not read back, e.g. anonymous help requests; action: history
+ *   label for pins, e.g. 'restore' }
+ * @returns {Promise<Array>} Inserted rows (with id and created_at), or []
+ *   when not returning them
+ */
+export async function insert(table, rows, { returning = true, action } = {}) {
+    const result = await supabaseRequest(table, {
+        method: 'POST',
+        body: rows,
+        prefer: returning ? 'return=representation' : 'return=minimal',
+        action
+    });
+    return result || [];
+}
+
+/**
+ * Update rows matching filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Column/value pairs matched with eq
+ * @param {Object} changes - Fields to update
+ * @param {Object} options - { action: history label for pins, e.g. 'revert' }
+ * @returns {Promise<Array>} Updated rows
+ */
+export async function update(table, filters, changes, { action } = {}) {
+    const result = await supabaseRequest(`${table}?${buildQuery(filters)}`, {
+        method: 'PATCH',
+        body: changes,
+        action
+    });
+    return result || [];
+}
+
+/**
+ * Delete rows matching filters
+ * @param {string} table - Table name
+ * @param {Object} filters - Column/value pairs matched with eq
+ * @returns {Promise<void>}
+ */
+export async function remove(table, filters) {
+    await supabaseRequest(`${table}?${buildQuery(filters)}`, {
+        method: 'DELETE'
+    });
+}
+
+// =============================================================================
+// Realtime
+// =============================================================================
+
+/**
+ * Subscribe to realtime changes on a table
+ * @param {string} table - Table name
+ * @param {Object} handlers - { onInsert, onUpdate, onDelete, onStatus }
+ * @returns {Object} Supabase channel (call .unsubscribe() to stop)
+ */
+export function subscribe(table, { onInsert, onUpdate, onDelete, onStatus }) {
+    const channel = getClient()
+        .channel(`${table}-realtime`)
+        .on(
+            'postgres_changes',
+            { event: 'INSERT', schema: 'public', table },
+            (payload) => onInsert?.(payload.new)
+        )
+        .on(
+            'postgres_changes',
+            { event: 'UPDATE', schema: 'public', table },
+            (payload) => onUpdate?.(payload.new)
+        )
+        .on(
+            'postgres_changes',
+            { event: 'DELETE', schema: 'public', table },
+            (payload) => onDelete?.(payload.old)
+        )
+        .subscribe((status) => onStatus?.(status));
+    
+    return channel;
+}
@@ -0,0 +1,78 @@
+// =============================================================================
+// FILENAME: expiry.js
+// =============================================================================
+// Purpose: Pin expiry rules shared by the public map and admin panel
+//
+// Responsibilities:
+// - Decide whether a pin has expired
+// - Apply the pin's expire_action for display (move to Past, or hide)
+// - Find pins expiring soon and describe how long they have left
+//
+// Dependencies: none
+//
+// Pin fields: expires_at (ISO timestamp or null = never),
+// expire_action ('past' = show as Past, 'hide' = drop from the public map)
+// =============================================================================
+
+export const EXPIRE_ACTIONS = {
+    past: 'Move to Past',
+    hide: 'Hide from the public map'
+};
+
+/**
+ * Check whether a pin's expiry time has passed
+ * @param {Object} pin - Pin data
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {boolean}
+ */
+export function isExpired(pin, now = Date.now()) {
+    return Boolean(pin.expires_at) && new Date(pin.expires_at).getTime() <= now;
+}
+
+/**
+ * Get a pin as the public should see it. Expired pins are shown as Past
+ * (flagged with _expired) or hidden, per their expire_action.
+ * @param {Object} pin - Pin data
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {Object|null} Pin to display, or null if it should be hidden
+ */
+export function applyExpiry(pin, now = Date.now()) {
+    if (!isExpired(pin, now)) return pin;
+    if (pin.expire_action === 'hide') return null;
+    if (pin.status === 'past') return pin;
+    
+    return { ...pin, status: 'past', _expired: true };
+}
+
+/**
+ * Get pins that expire within the next few hours, soonest first
+ * @param {Array} pins - Array of pin objects
+ * @param {number} hours - Look-ahead window
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {Array} Matching pins
+ */
+export function getExpiringSoon(pins, hours, now = Date.now()) {
+    const cutoff = now + hours * 60 * 60 * 1000;
+    
+    return pins
+        .filter(pin => {
+            if (!pin.expires_at) return false;
+            const expiresAt = new Date(pin.expires_at).getTime();
+            return expiresAt > now && expiresAt <= cutoff;
+        })
+        .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+/**
+ * Describe the time left before an expiry, e.g. "45m", "5h", "2d"
+ * @param {string} expiresAt - ISO timestamp
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {string}
+ */
+export function formatTimeLeft(expiresAt, now = Date.now()) {
+    const minutes = Math.max(0, Math.round((new Date(expiresAt).getTime() - now) / 60000));
+    
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+    return `${Math.round(minutes / (24 * 60))}d`;
+}
@@ -0,0 +1,179 @@
+// =============================================================================
+// FILENAME: export.js
+// =============================================================================
+// Purpose: Serialize pins to interchange formats and download them
+//
+// Responsibilities:
+// - Build a GeoJSON FeatureCollection from pins
+// - Build KML (Google Earth) and GPX (handheld GPS) files from pins
+// - Trigger a browser download for generated files
+//
+// Dependencies:
+// - statuses.js (getStatuses, getStatus)
+// =============================================================================
+
+import { getStatuses, getStatus } from './statuses.js';
+
+const KML_ICON_URL = 'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png';
+
+/**
+ * Copy a pin's data fields, dropping client-only fields (prefixed with _)
+ * @param {Object} pin - Pin data
+ * @returns {Object} Plain pin fields
+ */
+function getPinFields(pin) {
+    return Object.fromEntries(
+        Object.entries(pin).filter(([key]) => !key.startsWith('_'))
+    );
+}
+
+/**
+ * Convert pins to a GeoJSON FeatureCollection (every pin field becomes a
+ * property; geometry is a Point at [lng, lat])
+ * @param {Array} pins - Array of pin objects
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function pinsToGeoJSON(pins) {
+    return {
+        type: 'FeatureCollection',
+        features: pins.map(pin => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [pin.lng, pin.lat]
+            },
+            properties: getPinFields(pin)
+        }))
+    };
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert a #rrggbb color to KML's aabbggrr order
+ * @param {string} hex - CSS hex color
+ * @returns {string}
+ */
+function toKmlColor(hex) {
+    const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+    return `ff${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * Plain-text description of a pin for GPS devices (status, summary, address,
+ * link - whichever are present)
+ * @param {Object} pin - Pin data
+ * @returns {string}
+ */
+function describePin(pin) {
+    const status = getStatus(pin.status).label;
+    return [
+        `Status: ${status}`,
+        pin.summary,
+        pin.address,
+        pin.url
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Convert pins to a KML document. Each status gets a shared style using its
+ * color, so Google Earth colors placemarks like the web map.
+ * @param {Array} pins - Array of pin objects
+ * @returns {string} KML document
+ */
+export function pinsToKML(pins) {
+    const styles = getStatuses().map(status => `
+    <Style id="status-${escapeXml(status.key)}">
+      <IconStyle>
+        <color>${toKmlColor(status.color)}</color>
+        <Icon><href>${KML_ICON_URL}</href></Icon>
+      </IconStyle>
+    </Style>`).join('');
+    
+    const placemarks = pins.map(pin => `
+    <Placemark>
+      <name>${escapeXml(pin.title)}</name>
+      <description>${escapeXml(describePin(pin))}</description>
+      <styleUrl>#status-${escapeXml(pin.status)}</styleUrl>
+      <ExtendedData>
+        <Data name="status"><value>${escapeXml(pin.status)}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${pin.lng},${pin.lat},0</coordinates></Point>
+    </Placemark>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>UCN Deployment Pins</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Convert pins to GPX waypoints (title as name, summary as comment, status
+ * and details in the description)
+ * @param {Array} pins - Array of pin objects
+ * @returns {string} GPX document
+ */
+export function pinsToGPX(pins) {
+    const waypoints = pins.map(pin => `
+  <wpt lat="${pin.lat}" lon="${pin.lng}">
+    <name>${escapeXml(pin.title)}</name>
+    <cmt>${escapeXml(pin.summary)}</cmt>
+    <desc>${escapeXml(describePin(pin))}</desc>
+    <type>${escapeXml(getStatus(pin.status).label)}</type>
+  </wpt>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="UCN Deployment Map" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>UCN Deployment Pins</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}
+</gpx>
+`;
+}
+
+/**
+ * Build a dated filename, e.g. ucn-pins-2025-08-27.geojson
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+export function buildExportFilename(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `ucn-pins-${date}.${extension}`;
+}
+
+/**
+ * Download text content as a file
+ * @param {string} filename - Suggested filename
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
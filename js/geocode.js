@@ -0,0 +1,125 @@
+// =============================================================================
+// FILENAME: geocode.js
+// =============================================================================
+// Purpose: Geocoding facade - places/addresses to coordinates and back
+//
+// Responsibilities:
+// - Pick the provider named by CONFIG.GeocodeProvider
+// - Recognize typed/pasted coordinates ("30.22, -93.21") without a lookup
+// - Convert provider failures into empty/null results for callers
+// - Measure distances between coordinates
+//
+// Dependencies:
+// - config.js (CONFIG)
+// - geocoders/nominatim.js (production)
+// - geocoders/local.js (offline development/demo)
+// =============================================================================
+
+import { CONFIG } from './config.js';
+import * as nominatimProvider from './geocoders/nominatim.js';
+import * as localProvider from './geocoders/local.js';
+
+const PROVIDERS = {
+    nominatim: nominatimProvider,
+    local: localProvider
+};
+
+const provider = PROVIDERS[CONFIG.GeocodeProvider] || nominatimProvider;
+
+if (!PROVIDERS[CONFIG.GeocodeProvider]) {
+    console.warn(`Unknown geocode provider "${CONFIG.GeocodeProvider}", using nominatim`);
+}
+
+/**
+ * Parse coordinates typed or pasted as "lat, lng" - decimal degrees, with
+ * optional degree signs and N/S/E/W hemisphere letters
+ * (e.g. "30.2266, -93.2174" or "30.2266° N 93.2174° W")
+ * @param {string} text - Search text
+ * @returns {{lat: number, lng: number}|null} Coordinates, or null if the text
+ *   isn't a valid coordinate pair
+ */
+export function parseCoordinates(text) {
+    const match = text.trim().match(
+        /^([-+]?\d{1,3}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*([-+]?\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])?$/i
+    );
+    if (!match) return null;
+    
+    let lat = parseFloat(match[1]);
+    let lng = parseFloat(match[3]);
+    
+    if (match[2]?.toUpperCase() === 'S') lat = -Math.abs(lat);
+    if (match[4]?.toUpperCase() === 'W') lng = -Math.abs(lng);
+    
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    
+    return { lat, lng };
+}
+
+/**
+ * Search for a zip code, place name or address
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of matches
+ * @returns {Promise<Array<{lat: number, lng: number, display: string, label: string}>>}
+ *   Matches, best first. display is a short "City, State" style name;
+ *   label is the full name for telling similar matches apart.
+ * @throws {Error} If the provider can't be reached
+ */
+export function searchPlaces(query, limit = 5) {
+    return provider.search(query, limit);
+}
+
+/**
+ * Geocode a zip code or address
+ * @param {string} query - Zip code or address
+ * @returns {Promise<{lat: number, lng: number, display: string}|null>}
+ *   Best match, or null if nothing was found
+ */
+export async function geocode(query) {
+    const [best] = await searchPlaces(query, 1);
+    return best || null;
+}
+
+/**
+ * Find the address nearest a coordinate
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<{address: string, display: string}|null>} Address, or
+ *   null if nothing was found or the provider couldn't be reached
+ */
+export async function reverseGeocode(lat, lng) {
+    try {
+        return await provider.reverse(lat, lng);
+    } catch (err) {
+        console.error('Reverse geocode failed:', err);
+        return null;
+    }
+}
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Distance in miles
+ */
+export function haversineDistance(lat1, lng1, lat2, lng2) {
+    const R = 3959; // Earth radius in miles
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = 
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * 
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+}
+
+/**
+ * Degrees to radians
+ * @param {number} deg
+ * @returns {number}
+ */
+function toRad(deg) {
+    return deg * (Math.PI / 180);
+}
@@ -0,0 +1,87 @@
+// =============================================================================
+// FILENAME: geocoders/local.js
+// =============================================================================
+// Purpose: Offline geocoding provider for development and demos
+//
+// Responsibilities:
+// - Match searches against a small fixture of Louisiana places
+// - Reverse lookups snap to the nearest fixture place
+//
+// Dependencies: none
+//
+// Implements the same interface as geocoders/nominatim.js, without network
+// requests or rate limits.
+// =============================================================================
+
+// Places the demo can find (covers the local backend's sample pins)
+const PLACES = [
+    { name: 'Lake Charles', parish: 'Calcasieu Parish', zip: '70601', lat: 30.2266, lng: -93.2174 },
+    { name: 'Lafayette', parish: 'Lafayette Parish', zip: '70501', lat: 30.2241, lng: -92.0198 },
+    { name: 'Houma', parish: 'Terrebonne Parish', zip: '70360', lat: 29.5958, lng: -90.7195 },
+    { name: 'Baton Rouge', parish: 'East Baton Rouge Parish', zip: '70801', lat: 30.4515, lng: -91.1871 },
+    { name: 'New Orleans', parish: 'Orleans Parish', zip: '70112', lat: 29.9511, lng: -90.0715 },
+    { name: 'Cameron', parish: 'Cameron Parish', zip: '70631', lat: 29.7977, lng: -93.3252 },
+    { name: 'Cameron Parish', parish: '', zip: '', lat: 29.8650, lng: -93.1700 },
+    { name: 'Morgan City', parish: 'St. Mary Parish', zip: '70380', lat: 29.6994, lng: -91.2068 }
+];
+
+// Reverse lookups farther than this from every fixture place find nothing
+const MAX_REVERSE_MILES = 30;
+
+/**
+ * Full and short names for a fixture place
+ * @param {Object} place - Fixture entry
+ * @returns {{label: string, display: string}}
+ */
+function describePlace(place) {
+    const parts = [place.name, place.parish, 'Louisiana', place.zip].filter(Boolean);
+    return { label: parts.join(', '), display: parts.slice(0, 2).join(', ') };
+}
+
+/**
+ * Approximate distance between two points in miles (equirectangular - fine
+ * for picking the nearest of a handful of places)
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number}
+ */
+function approximateMiles(lat1, lng1, lat2, lng2) {
+    const x = (lng2 - lng1) * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+    const y = lat2 - lat1;
+    return Math.sqrt(x * x + y * y) * 69;
+}
+
+/**
+ * Search the fixture by name, parish or zip (case-insensitive substring)
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of matches
+ * @returns {Promise<Array<{lat: number, lng: number, display: string, label: string}>>}
+ */
+export async function search(query, limit) {
+    const needle = query.trim().toLowerCase();
+    
+    return PLACES
+        .filter(place => describePlace(place).label.toLowerCase().includes(needle) ||
+            needle.includes(place.name.toLowerCase()))
+        .slice(0, limit)
+        .map(place => ({ lat: place.lat, lng: place.lng, ...describePlace(place) }));
+}
+
+/**
+ * Snap a coordinate to the nearest fixture place
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<{address: string, display: string}|null>}
+ */
+export async function reverse(lat, lng) {
+    const nearest = PLACES
+        .map(place => ({ place, miles: approximateMiles(lat, lng, place.lat, place.lng) }))
+        .sort((a, b) => a.miles - b.miles)[0];
+    
+    if (!nearest || nearest.miles > MAX_REVERSE_MILES) return null;
+    
+    const { label, display } = describePlace(nearest.place);
+    return { address: `Near ${label}`, display };
+}
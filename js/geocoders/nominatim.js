@@ -0,0 +1,99 @@
+// =============================================================================
+// FILENAME: geocoders/nominatim.js
+// =============================================================================
+// Purpose: Nominatim (OpenStreetMap) geocoding provider (production)
+//
+// Responsibilities:
+// - Forward search for US places/addresses
+// - Reverse lookup of the address nearest a coordinate
+// - Space requests at least 1 second apart, per Nominatim's usage policy,
+//   so bulk imports can geocode row by row safely
+//
+// Dependencies: none
+//
+// Provider interface (shared with geocoders/local.js):
+// - search(query, limit) -> [{ lat, lng, display, label }]
+// - reverse(lat, lng) -> { address, display } | null
+// =============================================================================
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const MIN_REQUEST_INTERVAL_MS = 1000;
+
+let lastRequestAt = 0;
+
+/**
+ * Wait until the next request is allowed
+ * @returns {Promise<void>}
+ */
+async function throttle() {
+    const wait = lastRequestAt + MIN_REQUEST_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastRequestAt = Date.now();
+}
+
+/**
+ * Make a throttled Nominatim request
+ * @param {string} path - Endpoint ('search' or 'reverse')
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|Array|null>} Parsed JSON, or null on HTTP error
+ */
+async function nominatimRequest(path, params) {
+    await throttle();
+    
+    const query = new URLSearchParams({ format: 'json', ...params });
+    const response = await fetch(`${NOMINATIM_URL}/${path}?${query}`, {
+        headers: { 'User-Agent': 'UCN-Deployment-Map' }
+    });
+    
+    if (!response.ok) return null;
+    return response.json();
+}
+
+/**
+ * Turn a Nominatim display_name into full and short names
+ * @param {string} displayName - e.g. "Lake Charles, Calcasieu Parish, Louisiana, 70601, United States"
+ * @returns {{label: string, display: string}} label drops the country;
+ *   display keeps the first two parts ("Lake Charles, Calcasieu Parish")
+ */
+function splitDisplayName(displayName) {
+    const label = displayName.replace(/, United States$/, '');
+    // Extract city/state from display name
+    const display = label.split(',').slice(0, 2).join(',').trim();
+    return { label, display };
+}
+
+/**
+ * Search for a zip code, place name or address
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of matches
+ * @returns {Promise<Array<{lat: number, lng: number, display: string, label: string}>>}
+ */
+export async function search(query, limit) {
+    const results = await nominatimRequest('search', {
+        q: query,
+        limit,
+        countrycodes: 'us'
+    });
+    
+    return (results || []).map(result => ({
+        lat: parseFloat(result.lat),
+        lng: parseFloat(result.lon),
+        ...splitDisplayName(result.display_name)
+    }));
+}
+
+/**
+ * Find the address nearest a coordinate
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<{address: string, display: string}|null>}
+ */
+export async function reverse(lat, lng) {
+    const result = await nominatimRequest('reverse', { lat, lon: lng, zoom: 18 });
+    if (!result || result.error || !result.display_name) return null;
+    
+    const { label, display } = splitDisplayName(result.display_name);
+    return { address: label, display };
+}
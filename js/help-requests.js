@@ -0,0 +1,146 @@
+// =============================================================================
+// FILENAME: help-requests.js
+// =============================================================================
+// Purpose: Helpers for public help requests and their moderation
+//
+// Responsibilities:
+// - Shrink photos in the browser before they're sent with a request
+// - Check a stored photo is an inline JPEG before showing it to reviewers
+// - Turn a request into pin form values (approve) or summary text (merge)
+// - Rank existing pins by distance from a request, for merging
+//
+// Dependencies:
+// - config.js (CONFIG)
+// - geocode.js (haversineDistance)
+//
+// Request shape: { id, lat, lng, address, description, name, contact, photo,
+// status, pin_id, reviewed_by, reviewed_at, created_at }
+// status is pending, approved, merged or rejected. name, contact and photo
+// are private - they're never copied onto a pin.
+// =============================================================================
+
+import { CONFIG } from './config.js';
+import { haversineDistance } from './geocode.js';
+
+// Lower qualities are only tried when a photo comes out too long
+const PHOTO_QUALITIES = [0.8, 0.6, 0.4];
+const PHOTO_PREFIX = 'data:image/jpeg;base64,';
+const TITLE_MAX_LENGTH = 60;
+
+/**
+ * Read an image file as a scaled-down JPEG. Re-encoding also drops the
+ * photo's metadata (camera GPS position, device).
+ * @param {File} file - Image picked by the visitor
+ * @returns {Promise<string>} JPEG data URL, shorter than
+ *   CONFIG.HelpRequestPhotoMaxLength
+ * @throws {Error} If the file isn't an image the browser can decode, or is
+ *   still too large at the lowest quality
+ */
+export function readPhoto(file) {
+    return new Promise((resolve, reject) => {
+        if (!file.type.startsWith('image/')) {
+            reject(new Error('File is not an image'));
+            return;
+        }
+        
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            
+            const scale = Math.min(1, CONFIG.HelpRequestPhotoMaxPx / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            
+            const dataUrl = PHOTO_QUALITIES
+                .map(quality => canvas.toDataURL('image/jpeg', quality))
+                .find(candidate => candidate.length < CONFIG.HelpRequestPhotoMaxLength);
+            
+            if (dataUrl) {
+                resolve(dataUrl);
+            } else {
+                reject(new Error('Image is too large'));
+            }
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Image could not be read'));
+        };
+        
+        image.src = url;
+    });
+}
+
+/**
+ * Check that a request's photo is an inline JPEG, as readPhoto makes them.
+ * Anything else (e.g. an https:// URL sent straight to the API) could load
+ * from a third-party server and leak reviewers' IP addresses.
+ * @param {string} photo - Request's photo field
+ * @returns {boolean}
+ */
+export function isInlinePhoto(photo) {
+    return typeof photo === 'string' && photo.startsWith(PHOTO_PREFIX);
+}
+
+/**
+ * Short pin title from a request's description: its first line, cut at a
+ * word boundary
+ * @param {string} description
+ * @returns {string}
+ */
+function toTitle(description) {
+    const [firstLine] = description.trim().split('\n');
+    if (firstLine.length <= TITLE_MAX_LENGTH) return firstLine;
+    
+    const cut = firstLine.slice(0, TITLE_MAX_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Pin form values for approving a request as a new pin. Contact details and
+ * the photo stay with the request.
+ * @param {Object} request - Help request
+ * @returns {Object} { title, address, summary, lat, lng, show_help }
+ */
+export function helpRequestToPin(request) {
+    return {
+        title: toTitle(request.description),
+        address: request.address || '',
+        summary: request.description.trim(),
+        lat: request.lat,
+        lng: request.lng,
+        show_help: true
+    };
+}
+
+/**
+ * A pin summary with a merged request's description added at the end
+ * @param {string} summary - Pin's current summary
+ * @param {Object} request - Help request being merged in
+ * @returns {string}
+ */
+export function mergeHelpRequestSummary(summary, request) {
+    return [summary.trim(), request.description.trim()].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Pins nearest a request, for picking one to merge it into
+ * @param {Object} request - Help request
+ * @param {Array} pins - Candidate pins
+ * @param {number} limit - Maximum number of pins
+ * @returns {Array<{pin: Object, distance: number}>} Nearest first; distance
+ *   in miles
+ */
+export function findNearestPins(request, pins, limit) {
+    return pins
+        .map(pin => ({
+            pin,
+            distance: haversineDistance(request.lat, request.lng, pin.lat, pin.lng)
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
@@ -0,0 +1,250 @@
+// =============================================================================
+// FILENAME: i18n.js
+// =============================================================================
+// Purpose: Translate the public map's interface and pin text
+//
+// Responsibilities:
+// - Pick the page language (?lang= parameter, saved choice, then browser
+//   locale) and remember changes
+// - Look up interface strings, falling back to English
+// - Format dates and times for the current language
+// - Choose a pin's per-language title/summary when an admin has entered one
+// - Fill in data-i18n* attributes on static page markup
+//
+// Dependencies:
+// - config.js (PIN_STATUS, PIN_CATEGORIES)
+// - statuses.js (getStatus)
+// - locales/*.js (STRINGS)
+//
+// Public API:
+// - LANGUAGES, DEFAULT_LANGUAGE
+// - initLanguage() -> language code
+// - getLanguage(), setLanguage(lang), onLanguageChange(callback)
+// - t(key, params), tCount(key, count, params)
+// - formatDate(value, options)
+// - getStatusLabel(status), getCategoryLabel(category), getPinText(pin, field)
+// - translatePage(root)
+//
+// Pages that never call initLanguage() (the admin panel) stay in English.
+// =============================================================================
+
+import { PIN_STATUS, PIN_CATEGORIES } from './config.js';
+import { getStatus } from './statuses.js';
+import { STRINGS as EN } from './locales/en.js';
+import { STRINGS as ES } from './locales/es.js';
+import { STRINGS as VI } from './locales/vi.js';
+import { STRINGS as FR } from './locales/fr.js';
+
+// Languages offered in the switcher, in menu order. locale drives date and
+// number formatting.
+export const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    es: { label: 'Español', locale: 'es-US' },
+    vi: { label: 'Tiếng Việt', locale: 'vi-VN' },
+    fr: { label: 'Français', locale: 'fr-FR' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STRINGS = { en: EN, es: ES, vi: VI, fr: FR };
+const STORAGE_KEY = 'ucn-language';
+
+// Attribute -> what it translates (data-i18n sets the text content)
+const ATTRIBUTE_TARGETS = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label',
+    'data-i18n-title': 'title'
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+const listeners = [];
+
+/**
+ * Reduce a language tag to a supported language code
+ * @param {string|null|undefined} tag - e.g. 'es-MX', 'vi', 'FR'
+ * @returns {string|null}
+ */
+function toLanguageCode(tag) {
+    const code = String(tag ?? '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[code] ? code : null;
+}
+
+/**
+ * Read the saved language choice
+ * @returns {string|null}
+ */
+function loadSavedLanguage() {
+    try {
+        return toLanguageCode(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        // Storage can be blocked (private mode, sandboxed embeds)
+        return null;
+    }
+}
+
+/**
+ * Remember a language choice for later visits
+ * @param {string} lang
+ */
+function saveLanguage(lang) {
+    try {
+        localStorage.setItem(STORAGE_KEY, lang);
+    } catch (error) {
+        // Not remembered - the choice still applies to this page
+    }
+}
+
+/**
+ * First supported language in the browser's preference list
+ * @returns {string|null}
+ */
+function detectBrowserLanguage() {
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    
+    for (const tag of preferred) {
+        const code = toLanguageCode(tag);
+        if (code) return code;
+    }
+    return null;
+}
+
+/**
+ * Pick the page language and apply it to the document. A ?lang= parameter
+ * wins (used by embeds and shared links) but isn't saved; otherwise the
+ * saved choice, then the browser's languages, then English.
+ * @returns {string} Language code
+ */
+export function initLanguage() {
+    const fromUrl = toLanguageCode(new URLSearchParams(window.location.search).get('lang'));
+    
+    currentLanguage = fromUrl || loadSavedLanguage() || detectBrowserLanguage() || DEFAULT_LANGUAGE;
+    document.documentElement.lang = currentLanguage;
+    return currentLanguage;
+}
+
+/**
+ * Current language code
+ * @returns {string}
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Switch language, remember it and notify listeners
+ * @param {string} lang - Language code
+ */
+export function setLanguage(lang) {
+    const code = toLanguageCode(lang);
+    if (!code) return;
+    
+    saveLanguage(code);
+    if (code === currentLanguage) return;
+    
+    currentLanguage = code;
+    document.documentElement.lang = code;
+    listeners.forEach(callback => callback(code));
+}
+
+/**
+ * Register a callback for language changes
+ * @param {Function} callback - Called with the new language code
+ */
+export function onLanguageChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Translate an interface string. {name} placeholders are filled from params.
+ * Missing keys fall back to English, then to the key itself.
+ * @param {string} key - e.g. 'popup.donate'
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    const template = STRINGS[currentLanguage][key] ?? EN[key] ?? key;
+    
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? String(params[name]) : match
+    );
+}
+
+/**
+ * Translate a string that depends on a count, using key.one for exactly one
+ * and key.other otherwise. params.count is set automatically.
+ * @param {string} key - Key without the .one/.other suffix
+ * @param {number} count
+ * @param {Object} [params] - Other placeholder values
+ * @returns {string}
+ */
+export function tCount(key, count, params = {}) {
+    const suffix = count === 1 ? 'one' : 'other';
+    return t(`${key}.${suffix}`, { ...params, count });
+}
+
+/**
+ * Format a date/time in the current language
+ * @param {Date|string|number} value - Date or anything Date() accepts
+ * @param {Object} [options] - Intl.DateTimeFormat options (date only by default)
+ * @returns {string} Formatted date, or '' if value isn't a valid date
+ */
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return '';
+    
+    return new Intl.DateTimeFormat(LANGUAGES[currentLanguage].locale, options).format(date);
+}
+
+/**
+ * Label for a pin status in the current language. Built-in statuses are
+ * translated until an admin renames them; other labels show as entered.
+ * @param {string} status - Status key
+ * @returns {string}
+ */
+export function getStatusLabel(status) {
+    const { label } = getStatus(status);
+    const key = `status.${status}`;
+    
+    if (PIN_STATUS[status]?.label === label && STRINGS[currentLanguage][key]) {
+        return t(key);
+    }
+    return label;
+}
+
+/**
+ * Label for a pin category (or NO_CATEGORY) in the current language
+ * @param {string} category - Category key
+ * @returns {string}
+ */
+export function getCategoryLabel(category) {
+    const key = `category.${category}`;
+    return STRINGS[currentLanguage][key] || EN[key] || PIN_CATEGORIES[category]?.label || category;
+}
+
+/**
+ * A pin's title or summary in the current language, when the admin entered
+ * a translation; otherwise the original text
+ * @param {Object} pin
+ * @param {string} field - 'title' or 'summary'
+ * @returns {string}
+ */
+export function getPinText(pin, field) {
+    return pin.translations?.[currentLanguage]?.[field] || pin[field] || '';
+}
+
+/**
+ * Translate static markup: data-i18n sets the text, data-i18n-placeholder /
+ * -aria-label / -title set those attributes. Each holds a string key.
+ * @param {ParentNode} [root=document]
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    
+    Object.entries(ATTRIBUTE_TARGETS).forEach(([attribute, target]) => {
+        root.querySelectorAll(`[${attribute}]`).forEach(el => {
+            el.setAttribute(target, t(el.getAttribute(attribute)));
+        });
+    });
+}
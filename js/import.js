@@ -0,0 +1,291 @@
+// =============================================================================
+// FILENAME: import.js
+// =============================================================================
+// Purpose: Parse and validate pins from external files
+//
+// Responsibilities:
+// - Validate/normalize raw pin fields (title, status, category, coordinates,
+//   flags)
+// - Parse GeoJSON Point features into pins
+// - Parse CSV files and map their columns to pin fields
+//
+// Dependencies:
+// - config.js (PIN_CATEGORIES)
+// - statuses.js (getStatuses)
+// =============================================================================
+
+import { PIN_CATEGORIES } from './config.js';
+import { getStatuses } from './statuses.js';
+
+const BOOLEAN_FIELDS = ['show_donate', 'show_volunteer', 'show_help'];
+
+// Pin fields a CSV column can be mapped to. Aliases are matched against
+// normalized header names to pre-fill the mapping.
+export const IMPORT_FIELDS = [
+    { key: 'title', label: 'Title', aliases: ['name', 'site', 'site name', 'location name'] },
+    { key: 'address', label: 'Address', aliases: ['street', 'street address', 'full address', 'location'] },
+    { key: 'status', label: 'Status', aliases: [] },
+    { key: 'category', label: 'Category', aliases: ['type'] },
+    { key: 'summary', label: 'Summary', aliases: ['description', 'details', 'notes'] },
+    { key: 'lat', label: 'Latitude', aliases: ['latitude', 'y'] },
+    { key: 'lng', label: 'Longitude', aliases: ['longitude', 'lon', 'long', 'x'] },
+    { key: 'url', label: 'Link URL', aliases: ['link', 'website', 'web'] },
+    { key: 'url_text', label: 'Link Button Text', aliases: ['link text', 'button text'] },
+    { key: 'show_donate', label: 'Show Donate', aliases: ['donate'] },
+    { key: 'show_volunteer', label: 'Show Volunteer', aliases: ['volunteer'] },
+    { key: 'show_help', label: 'Show Get Help', aliases: ['help', 'get help'] }
+];
+
+/**
+ * Interpret common spreadsheet/GIS boolean spellings
+ * @param {*} value - Raw value
+ * @returns {boolean}
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'y', '1', 'x'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Check whether a raw value is blank
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+    return String(value ?? '').trim() === '';
+}
+
+/**
+ * Validate and normalize raw pin fields
+ * @param {Object} raw - Raw fields (title, status, lat, lng, address, ...)
+ * @param {Object} options - { allowMissingCoords: accept rows with no lat/lng
+ *   but an address; their lat/lng come back null for the caller to geocode }
+ * @returns {{pin: Object, errors: Array<string>}} Pin ready for savePin, plus
+ *   any problems that should block importing it
+ */
+export function validatePin(raw, { allowMissingCoords = false } = {}) {
+    const errors = [];
+    
+    const title = String(raw.title ?? '').trim();
+    if (!title) {
+        errors.push('Missing title');
+    }
+    
+    // Status defaults to active, but a typo shouldn't silently become active.
+    // Either the key or the label works ("shelter-open" or "Shelter Open").
+    const statusText = String(raw.status ?? '').trim().toLowerCase();
+    const match = getStatuses().find(s => s.key === statusText || s.label.toLowerCase() === statusText);
+    const status = statusText ? match?.key || statusText : 'active';
+    if (!match && statusText) {
+        errors.push(`Unknown status "${raw.status}" (expected ${getStatuses().map(s => s.key).join(', ')})`);
+    }
+    
+    // Category is optional - same key-or-label matching as status
+    const categoryText = String(raw.category ?? '').trim().toLowerCase();
+    const category = Object.keys(PIN_CATEGORIES).find(key =>
+        key === categoryText || PIN_CATEGORIES[key].label.toLowerCase() === categoryText
+    ) || null;
+    if (!category && categoryText) {
+        errors.push(`Unknown category "${raw.category}" (expected ${Object.keys(PIN_CATEGORIES).join(', ')})`);
+    }
+    
+    const address = String(raw.address ?? '').trim();
+    const coordsMissing = isBlank(raw.lat) && isBlank(raw.lng);
+    
+    let lat = null;
+    let lng = null;
+    
+    if (allowMissingCoords && coordsMissing) {
+        if (!address) {
+            errors.push('Needs coordinates or an address');
+        }
+    } else {
+        lat = parseFloat(raw.lat);
+        lng = parseFloat(raw.lng);
+        if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+            errors.push('Invalid latitude');
+        }
+        if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+            errors.push('Invalid longitude');
+        }
+    }
+    
+    const url = String(raw.url ?? '').trim();
+    if (url && !/^https?:\/\//i.test(url)) {
+        errors.push('Link URL must start with http:// or https://');
+    }
+    
+    const pin = {
+        title,
+        address,
+        status,
+        category,
+        summary: String(raw.summary ?? '').trim(),
+        lat,
+        lng,
+        url,
+        url_text: String(raw.url_text ?? '').trim() || 'More Info'
+    };
+    
+    BOOLEAN_FIELDS.forEach(field => {
+        pin[field] = parseBoolean(raw[field]);
+    });
+    
+    return { pin, errors };
+}
+
+/**
+ * Parse a GeoJSON file into pins. Only Point features are supported; the
+ * feature's properties supply the other pin fields (QGIS-style "name" is
+ * accepted in place of "title").
+ * @param {string} text - File content
+ * @returns {Array<{index: number, pin: Object, errors: Array<string>}>} One
+ *   entry per feature
+ * @throws {Error} If the file isn't a GeoJSON Feature or FeatureCollection
+ */
+export function parseGeoJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('File is not valid JSON');
+    }
+    
+    let features;
+    if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+        features = data.features;
+    } else if (data?.type === 'Feature') {
+        features = [data];
+    } else {
+        throw new Error('File is not a GeoJSON FeatureCollection');
+    }
+    
+    return features.map((feature, index) => {
+        const properties = feature?.properties || {};
+        const geometry = feature?.geometry;
+        
+        if (geometry?.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return {
+                index,
+                pin: { title: properties.title || properties.name || '' },
+                errors: [`Unsupported geometry "${geometry?.type || 'none'}" (only Point)`]
+            };
+        }
+        
+        const [lng, lat] = geometry.coordinates;
+        const result = validatePin({
+            ...properties,
+            title: properties.title ?? properties.name,
+            lat,
+            lng
+        });
+        
+        return { index, ...result };
+    });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded
+ * newlines). The first non-blank line is treated as the header row.
+ * @param {string} text - File content
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ * @throws {Error} If the file has no header row
+ */
+export function parseCSV(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    const nonBlankRows = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (nonBlankRows.length === 0) {
+        throw new Error('File is empty');
+    }
+    
+    const [headers, ...dataRows] = nonBlankRows;
+    return {
+        headers: headers.map(header => header.trim()),
+        rows: dataRows
+    };
+}
+
+/**
+ * Normalize a header or alias for comparison ("Site_Name " -> "site name")
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeHeader(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Guess which CSV column feeds each pin field from the header names
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Field key -> column index (-1 if unmapped)
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    
+    IMPORT_FIELDS.forEach(field => {
+        const candidates = [field.key, field.label, ...field.aliases].map(normalizeHeader);
+        mapping[field.key] = normalized.findIndex(header => candidates.includes(header));
+    });
+    
+    return mapping;
+}
+
+/**
+ * Pull raw pin fields out of a CSV row using a column mapping
+ * @param {Array<string>} row - CSV row
+ * @param {Object} mapping - Field key -> column index (-1 if unmapped)
+ * @returns {Object} Raw fields for validatePin
+ */
+export function mapCsvRow(row, mapping) {
+    const raw = {};
+    
+    Object.entries(mapping).forEach(([key, index]) => {
+        if (index >= 0) {
+            raw[key] = row[index] ?? '';
+        }
+    });
+    
+    return raw;
+}
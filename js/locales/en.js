@@ -0,0 +1,137 @@
+// =============================================================================
+// FILENAME: locales/en.js
+// =============================================================================
+// Purpose: English strings for the public map (the fallback for every other
+// language)
+//
+// Dependencies: none
+//
+// Keys are grouped by the part of the page they belong to. {name} marks a
+// value filled in by i18n.js; keys ending in .one/.other are picked by count.
+// =============================================================================
+
+export const STRINGS = {
+    'language.label': 'Language',
+    
+    'header.tagline': 'Deployment Map',
+    'header.admin': 'Admin',
+    'header.listView': 'List View',
+    'header.requestHelp': 'Request Help',
+    
+    'status.critical': 'Critical',
+    'status.warning': 'Warning',
+    'status.active': 'Active',
+    'status.past': 'Past',
+    'status.weather': 'Weather',
+    
+    'category.shelter': 'Shelter',
+    'category.boat-launch': 'Boat Launch',
+    'category.supplies': 'Supply Distribution',
+    'category.food': 'Food & Water',
+    'category.medical': 'Medical',
+    'category.staging': 'Staging Area',
+    'category.none': 'Other',
+    
+    'popup.donate': 'Donate',
+    'popup.volunteer': 'Volunteer',
+    'popup.getHelp': 'Get Help',
+    'popup.moreInfo': 'More Info',
+    'popup.share': 'Share',
+    'popup.linkCopied': 'Link copied',
+    'popup.copyLink': 'Copy this link:',
+    'popup.pendingDelete': 'Pending delete',
+    'popup.pendingSync': 'Pending sync',
+    
+    'cluster.pins.one': '1 pin',
+    'cluster.pins.other': '{count} pins',
+    
+    'alert.until': '{severity} · until {time}',
+    'alert.source': 'National Weather Service',
+    'alert.severity.Extreme': 'Extreme',
+    'alert.severity.Severe': 'Severe',
+    'alert.severity.Moderate': 'Moderate',
+    'alert.severity.Minor': 'Minor',
+    'alert.severity.Unknown': 'Unknown',
+    
+    'search.label': 'Search for a location',
+    'search.placeholder': 'Zip, city, parish, address or lat, lng',
+    'search.button': 'Search',
+    'search.empty': 'Please enter a zip code, place, address or coordinates',
+    'search.searching': 'Searching...',
+    'search.notFound': 'No location found for "{query}"',
+    'search.choices': '{count} places match "{query}" — pick one:',
+    'search.failed': 'Search failed. Please try again.',
+    'search.foundNone': '✓ Found {place} — No pins within {miles} miles',
+    'search.found.one': '✓ Found {place} — 1 pin within {miles} miles',
+    'search.found.other': '✓ Found {place} — {count} pins within {miles} miles',
+    
+    'nearby.title': 'Pins within',
+    'nearby.miles': '{miles} miles',
+    'nearby.clear': 'Clear search',
+    'nearby.empty': 'No pins in this area match the current filters.',
+    
+    'legend.statuses': 'Status',
+    'legend.categories': 'Category',
+    'legend.showAll': 'Show All',
+    'legend.weatherAlerts': 'NWS Alerts',
+    'legend.weatherUnavailable': 'Weather alerts unavailable right now',
+    'legend.weatherUnmapped': 'Also in effect (area not on the map):',
+    'legend.download': 'Download shown pins',
+    'legend.kmlTitle': 'Google Earth',
+    'legend.gpxTitle': 'Handheld GPS',
+    'legend.exportEmpty': 'No pins match the current filters to export.',
+    'legend.updated': 'Updated {time}',
+    'legend.offlineNoData': 'Offline — no saved data',
+    'legend.offlineFrom': 'Offline — data from {date}',
+    
+    'timeline.label': 'Show pins as of',
+    'timeline.play': 'Play timeline',
+    'timeline.pause': 'Pause timeline',
+    'timeline.live': 'Live',
+    'timeline.backToLive': 'Back to live',
+    
+    'list.title': 'Pins',
+    'list.hint': 'Shows the pins on the map, following the legend filters and search. Up and down arrow keys move between pins; Escape returns to the map.',
+    'list.count.one': '1 pin',
+    'list.count.other': '{count} pins',
+    'list.within': '{count} within {miles} miles of {place}',
+    'list.asOf': '{text} as of {date}',
+    'list.filtered': '{text} (some statuses or categories hidden)',
+    'list.empty': 'No pins match the current filters.',
+    'list.distance': '{status} · {distance} away',
+    'list.address': 'Address',
+    'list.posted': 'Posted',
+    'list.showOnMap': 'Show on map',
+    
+    'help.title': 'Request Help',
+    'help.close': 'Close',
+    'help.cancel': 'Cancel',
+    'help.intro': 'Tell our volunteers where help is needed. Coordinators review every request before anything appears on the map, and your contact details are never shown publicly.',
+    'help.emergency': 'In a life-threatening emergency, call 911.',
+    'help.location': 'Location',
+    'help.noLocation': 'Not set — pick it on the map, use your location or enter an address.',
+    'help.locationSet': '📍 {place}',
+    'help.pickOnMap': 'Pick on map',
+    'help.pickHint': 'Tap the map where help is needed',
+    'help.useMyLocation': 'Use my location',
+    'help.locating': 'Finding your location...',
+    'help.locateFailed': 'Could not get your location. Pick it on the map or enter an address.',
+    'help.address': 'Address',
+    'help.addressPlaceholder': 'Street address, city',
+    'help.find': 'Find',
+    'help.description': 'What help is needed?',
+    'help.descriptionPlaceholder': 'How many people, any injuries or medical needs, water level, pets...',
+    'help.name': 'Your name (optional)',
+    'help.contact': 'Phone or email',
+    'help.photo': 'Photo (optional)',
+    'help.photoFailed': 'That photo could not be read. Try another image.',
+    'help.needLocation': 'Please set the location where help is needed.',
+    'help.needDescription': 'Please describe the help needed.',
+    'help.needContact': 'Please enter a phone number or email so we can reach you.',
+    'help.submit': 'Send Request',
+    'help.sending': 'Sending...',
+    'help.failed': 'Your request could not be sent. Please try again — in an emergency, call 911.',
+    'help.sent': 'Thank you — your request was sent. A coordinator will review it and may contact you.',
+    
+    'embed.credit': 'United Cajun Navy Map ↗'
+};
@@ -0,0 +1,135 @@
+// =============================================================================
+// FILENAME: locales/es.js
+// =============================================================================
+// Purpose: Spanish strings for the public map
+//
+// Dependencies: none
+//
+// Same keys as locales/en.js - anything missing here falls back to English.
+// =============================================================================
+
+export const STRINGS = {
+    'language.label': 'Idioma',
+    
+    'header.tagline': 'Mapa de despliegue',
+    'header.admin': 'Administración',
+    'header.listView': 'Ver lista',
+    'header.requestHelp': 'Pedir ayuda',
+    
+    'status.critical': 'Crítico',
+    'status.warning': 'Advertencia',
+    'status.active': 'Activo',
+    'status.past': 'Finalizado',
+    'status.weather': 'Clima',
+    
+    'category.shelter': 'Refugio',
+    'category.boat-launch': 'Rampa para botes',
+    'category.supplies': 'Distribución de suministros',
+    'category.food': 'Comida y agua',
+    'category.medical': 'Atención médica',
+    'category.staging': 'Área de concentración',
+    'category.none': 'Otro',
+    
+    'popup.donate': 'Donar',
+    'popup.volunteer': 'Ser voluntario',
+    'popup.getHelp': 'Pedir ayuda',
+    'popup.moreInfo': 'Más información',
+    'popup.share': 'Compartir',
+    'popup.linkCopied': 'Enlace copiado',
+    'popup.copyLink': 'Copie este enlace:',
+    'popup.pendingDelete': 'Eliminación pendiente',
+    'popup.pendingSync': 'Sincronización pendiente',
+    
+    'cluster.pins.one': '1 marcador',
+    'cluster.pins.other': '{count} marcadores',
+    
+    'alert.until': '{severity} · hasta {time}',
+    'alert.source': 'Servicio Meteorológico Nacional',
+    'alert.severity.Extreme': 'Extrema',
+    'alert.severity.Severe': 'Grave',
+    'alert.severity.Moderate': 'Moderada',
+    'alert.severity.Minor': 'Menor',
+    'alert.severity.Unknown': 'Desconocida',
+    
+    'search.label': 'Buscar una ubicación',
+    'search.placeholder': 'Código postal, ciudad, parroquia, dirección o lat, lng',
+    'search.button': 'Buscar',
+    'search.empty': 'Ingrese un código postal, lugar, dirección o coordenadas',
+    'search.searching': 'Buscando...',
+    'search.notFound': 'No se encontró ninguna ubicación para "{query}"',
+    'search.choices': '{count} lugares coinciden con "{query}"; elija uno:',
+    'search.failed': 'La búsqueda falló. Inténtelo de nuevo.',
+    'search.foundNone': '✓ {place}: no hay marcadores a menos de {miles} millas',
+    'search.found.one': '✓ {place}: 1 marcador a menos de {miles} millas',
+    'search.found.other': '✓ {place}: {count} marcadores a menos de {miles} millas',
+    
+    'nearby.title': 'Marcadores a menos de',
+    'nearby.miles': '{miles} millas',
+    'nearby.clear': 'Borrar búsqueda',
+    'nearby.empty': 'Ningún marcador de esta zona coincide con los filtros actuales.',
+    
+    'legend.statuses': 'Estado',
+    'legend.categories': 'Categoría',
+    'legend.showAll': 'Mostrar todo',
+    'legend.weatherAlerts': 'Alertas del NWS',
+    'legend.weatherUnavailable': 'Las alertas meteorológicas no están disponibles en este momento',
+    'legend.weatherUnmapped': 'También vigentes (área no mostrada en el mapa):',
+    'legend.download': 'Descargar los marcadores visibles',
+    'legend.kmlTitle': 'Google Earth',
+    'legend.gpxTitle': 'GPS portátil',
+    'legend.exportEmpty': 'Ningún marcador coincide con los filtros actuales para exportar.',
+    'legend.updated': 'Actualizado: {time}',
+    'legend.offlineNoData': 'Sin conexión: no hay datos guardados',
+    'legend.offlineFrom': 'Sin conexión: datos del {date}',
+    
+    'timeline.label': 'Mostrar marcadores a fecha de',
+    'timeline.play': 'Reproducir la línea de tiempo',
+    'timeline.pause': 'Pausar la línea de tiempo',
+    'timeline.live': 'En vivo',
+    'timeline.backToLive': 'Volver a en vivo',
+    
+    'list.title': 'Marcadores',
+    'list.hint': 'Muestra los marcadores del mapa según los filtros de la leyenda y la búsqueda. Las flechas arriba y abajo pasan de un marcador a otro; Escape vuelve al mapa.',
+    'list.count.one': '1 marcador',
+    'list.count.other': '{count} marcadores',
+    'list.within': '{count} a menos de {miles} millas de {place}',
+    'list.asOf': '{text} a fecha de {date}',
+    'list.filtered': '{text} (algunos estados o categorías ocultos)',
+    'list.empty': 'Ningún marcador coincide con los filtros actuales.',
+    'list.distance': '{status} · a {distance}',
+    'list.address': 'Dirección',
+    'list.posted': 'Publicado',
+    'list.showOnMap': 'Ver en el mapa',
+    
+    'help.title': 'Pedir ayuda',
+    'help.close': 'Cerrar',
+    'help.cancel': 'Cancelar',
+    'help.intro': 'Indique a nuestros voluntarios dónde se necesita ayuda. Los coordinadores revisan cada solicitud antes de que aparezca algo en el mapa, y sus datos de contacto nunca se muestran públicamente.',
+    'help.emergency': 'Si hay peligro de muerte, llame al 911.',
+    'help.location': 'Ubicación',
+    'help.noLocation': 'Sin definir — elíjala en el mapa, use su ubicación o escriba una dirección.',
+    'help.locationSet': '📍 {place}',
+    'help.pickOnMap': 'Elegir en el mapa',
+    'help.pickHint': 'Toque el mapa donde se necesita ayuda',
+    'help.useMyLocation': 'Usar mi ubicación',
+    'help.locating': 'Buscando su ubicación...',
+    'help.locateFailed': 'No se pudo obtener su ubicación. Elíjala en el mapa o escriba una dirección.',
+    'help.address': 'Dirección',
+    'help.addressPlaceholder': 'Calle y número, ciudad',
+    'help.find': 'Buscar',
+    'help.description': '¿Qué ayuda se necesita?',
+    'help.descriptionPlaceholder': 'Cuántas personas, heridas o necesidades médicas, nivel del agua, mascotas...',
+    'help.name': 'Su nombre (opcional)',
+    'help.contact': 'Teléfono o correo electrónico',
+    'help.photo': 'Foto (opcional)',
+    'help.photoFailed': 'No se pudo leer esa foto. Pruebe con otra imagen.',
+    'help.needLocation': 'Indique la ubicación donde se necesita ayuda.',
+    'help.needDescription': 'Describa la ayuda que se necesita.',
+    'help.needContact': 'Escriba un teléfono o correo electrónico para que podamos comunicarnos con usted.',
+    'help.submit': 'Enviar solicitud',
+    'help.sending': 'Enviando...',
+    'help.failed': 'No se pudo enviar su solicitud. Inténtelo de nuevo — en una emergencia, llame al 911.',
+    'help.sent': 'Gracias — su solicitud fue enviada. Un coordinador la revisará y podría comunicarse con usted.',
+    
+    'embed.credit': 'Mapa de United Cajun Navy ↗'
+};
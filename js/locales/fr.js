@@ -0,0 +1,135 @@
+// =============================================================================
+// FILENAME: locales/fr.js
+// =============================================================================
+// Purpose: French strings for the public map
+//
+// Dependencies: none
+//
+// Same keys as locales/en.js - anything missing here falls back to English.
+// =============================================================================
+
+export const STRINGS = {
+    'language.label': 'Langue',
+    
+    'header.tagline': 'Carte des déploiements',
+    'header.admin': 'Administration',
+    'header.listView': 'Vue en liste',
+    'header.requestHelp': 'Demander de l’aide',
+    
+    'status.critical': 'Critique',
+    'status.warning': 'Alerte',
+    'status.active': 'Actif',
+    'status.past': 'Terminé',
+    'status.weather': 'Météo',
+    
+    'category.shelter': 'Abri',
+    'category.boat-launch': 'Mise à l’eau',
+    'category.supplies': 'Distribution de fournitures',
+    'category.food': 'Eau et nourriture',
+    'category.medical': 'Soins médicaux',
+    'category.staging': 'Zone de rassemblement',
+    'category.none': 'Autre',
+    
+    'popup.donate': 'Faire un don',
+    'popup.volunteer': 'Devenir bénévole',
+    'popup.getHelp': 'Obtenir de l’aide',
+    'popup.moreInfo': 'Plus d’infos',
+    'popup.share': 'Partager',
+    'popup.linkCopied': 'Lien copié',
+    'popup.copyLink': 'Copiez ce lien :',
+    'popup.pendingDelete': 'Suppression en attente',
+    'popup.pendingSync': 'Synchronisation en attente',
+    
+    'cluster.pins.one': '1 repère',
+    'cluster.pins.other': '{count} repères',
+    
+    'alert.until': '{severity} · jusqu’au {time}',
+    'alert.source': 'National Weather Service (service météo national)',
+    'alert.severity.Extreme': 'Extrême',
+    'alert.severity.Severe': 'Grave',
+    'alert.severity.Moderate': 'Modérée',
+    'alert.severity.Minor': 'Mineure',
+    'alert.severity.Unknown': 'Inconnue',
+    
+    'search.label': 'Rechercher un lieu',
+    'search.placeholder': 'Code postal, ville, paroisse, adresse ou lat, lng',
+    'search.button': 'Rechercher',
+    'search.empty': 'Saisissez un code postal, un lieu, une adresse ou des coordonnées',
+    'search.searching': 'Recherche...',
+    'search.notFound': 'Aucun lieu trouvé pour « {query} »',
+    'search.choices': '{count} lieux correspondent à « {query} » — choisissez-en un :',
+    'search.failed': 'La recherche a échoué. Veuillez réessayer.',
+    'search.foundNone': '✓ {place} trouvé — aucun repère à moins de {miles} milles',
+    'search.found.one': '✓ {place} trouvé — 1 repère à moins de {miles} milles',
+    'search.found.other': '✓ {place} trouvé — {count} repères à moins de {miles} milles',
+    
+    'nearby.title': 'Repères à moins de',
+    'nearby.miles': '{miles} milles',
+    'nearby.clear': 'Effacer la recherche',
+    'nearby.empty': 'Aucun repère de cette zone ne correspond aux filtres actuels.',
+    
+    'legend.statuses': 'Statut',
+    'legend.categories': 'Catégorie',
+    'legend.showAll': 'Tout afficher',
+    'legend.weatherAlerts': 'Alertes NWS',
+    'legend.weatherUnavailable': 'Alertes météo indisponibles pour le moment',
+    'legend.weatherUnmapped': 'Également en vigueur (zone non affichée sur la carte) :',
+    'legend.download': 'Télécharger les repères affichés',
+    'legend.kmlTitle': 'Google Earth',
+    'legend.gpxTitle': 'GPS portable',
+    'legend.exportEmpty': 'Aucun repère ne correspond aux filtres actuels à exporter.',
+    'legend.updated': 'Mis à jour à {time}',
+    'legend.offlineNoData': 'Hors ligne — aucune donnée enregistrée',
+    'legend.offlineFrom': 'Hors ligne — données du {date}',
+    
+    'timeline.label': 'Afficher les repères au',
+    'timeline.play': 'Lire la chronologie',
+    'timeline.pause': 'Mettre la chronologie en pause',
+    'timeline.live': 'En direct',
+    'timeline.backToLive': 'Revenir au direct',
+    
+    'list.title': 'Repères',
+    'list.hint': 'Affiche les repères de la carte selon les filtres de la légende et la recherche. Les flèches haut et bas passent d’un repère à l’autre ; Échap revient à la carte.',
+    'list.count.one': '1 repère',
+    'list.count.other': '{count} repères',
+    'list.within': '{count} à moins de {miles} milles de {place}',
+    'list.asOf': '{text} au {date}',
+    'list.filtered': '{text} (certains statuts ou catégories masqués)',
+    'list.empty': 'Aucun repère ne correspond aux filtres actuels.',
+    'list.distance': '{status} · à {distance}',
+    'list.address': 'Adresse',
+    'list.posted': 'Publié le',
+    'list.showOnMap': 'Voir sur la carte',
+    
+    'help.title': 'Demander de l’aide',
+    'help.close': 'Fermer',
+    'help.cancel': 'Annuler',
+    'help.intro': 'Indiquez à nos bénévoles où de l’aide est nécessaire. Les coordinateurs examinent chaque demande avant que quoi que ce soit n’apparaisse sur la carte, et vos coordonnées ne sont jamais affichées publiquement.',
+    'help.emergency': 'En cas de danger de mort, appelez le 911.',
+    'help.location': 'Emplacement',
+    'help.noLocation': 'Non défini — choisissez-le sur la carte, utilisez votre position ou saisissez une adresse.',
+    'help.locationSet': '📍 {place}',
+    'help.pickOnMap': 'Choisir sur la carte',
+    'help.pickHint': 'Touchez la carte là où de l’aide est nécessaire',
+    'help.useMyLocation': 'Utiliser ma position',
+    'help.locating': 'Recherche de votre position...',
+    'help.locateFailed': 'Impossible d’obtenir votre position. Choisissez-la sur la carte ou saisissez une adresse.',
+    'help.address': 'Adresse',
+    'help.addressPlaceholder': 'Numéro et rue, ville',
+    'help.find': 'Trouver',
+    'help.description': 'De quelle aide avez-vous besoin ?',
+    'help.descriptionPlaceholder': 'Nombre de personnes, blessures ou besoins médicaux, niveau de l’eau, animaux...',
+    'help.name': 'Votre nom (facultatif)',
+    'help.contact': 'Téléphone ou e-mail',
+    'help.photo': 'Photo (facultative)',
+    'help.photoFailed': 'Impossible de lire cette photo. Essayez une autre image.',
+    'help.needLocation': 'Veuillez indiquer l’emplacement où de l’aide est nécessaire.',
+    'help.needDescription': 'Veuillez décrire l’aide nécessaire.',
+    'help.needContact': 'Veuillez saisir un téléphone ou un e-mail pour que nous puissions vous joindre.',
+    'help.submit': 'Envoyer la demande',
+    'help.sending': 'Envoi...',
+    'help.failed': 'Votre demande n’a pas pu être envoyée. Réessayez — en cas d’urgence, appelez le 911.',
+    'help.sent': 'Merci — votre demande a été envoyée. Un coordinateur l’examinera et pourrait vous contacter.',
+    
+    'embed.credit': 'Carte United Cajun Navy ↗'
+};
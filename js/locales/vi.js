@@ -0,0 +1,135 @@
+// =============================================================================
+// FILENAME: locales/vi.js
+// =============================================================================
+// Purpose: Vietnamese strings for the public map
+//
+// Dependencies: none
+//
+// Same keys as locales/en.js - anything missing here falls back to English.
+// =============================================================================
+
+export const STRINGS = {
+    'language.label': 'Ngôn ngữ',
+    
+    'header.tagline': 'Bản đồ triển khai',
+    'header.admin': 'Quản trị',
+    'header.listView': 'Xem danh sách',
+    'header.requestHelp': 'Yêu cầu trợ giúp',
+    
+    'status.critical': 'Nguy cấp',
+    'status.warning': 'Cảnh báo',
+    'status.active': 'Đang hoạt động',
+    'status.past': 'Đã kết thúc',
+    'status.weather': 'Thời tiết',
+    
+    'category.shelter': 'Nơi trú ẩn',
+    'category.boat-launch': 'Bến hạ thủy thuyền',
+    'category.supplies': 'Điểm phát nhu yếu phẩm',
+    'category.food': 'Thực phẩm và nước uống',
+    'category.medical': 'Y tế',
+    'category.staging': 'Khu vực tập kết',
+    'category.none': 'Khác',
+    
+    'popup.donate': 'Quyên góp',
+    'popup.volunteer': 'Tình nguyện',
+    'popup.getHelp': 'Nhận trợ giúp',
+    'popup.moreInfo': 'Thêm thông tin',
+    'popup.share': 'Chia sẻ',
+    'popup.linkCopied': 'Đã sao chép liên kết',
+    'popup.copyLink': 'Sao chép liên kết này:',
+    'popup.pendingDelete': 'Đang chờ xóa',
+    'popup.pendingSync': 'Đang chờ đồng bộ',
+    
+    'cluster.pins.one': '1 điểm',
+    'cluster.pins.other': '{count} điểm',
+    
+    'alert.until': '{severity} · đến {time}',
+    'alert.source': 'Sở Khí tượng Quốc gia',
+    'alert.severity.Extreme': 'Cực kỳ nghiêm trọng',
+    'alert.severity.Severe': 'Nghiêm trọng',
+    'alert.severity.Moderate': 'Trung bình',
+    'alert.severity.Minor': 'Nhẹ',
+    'alert.severity.Unknown': 'Không rõ',
+    
+    'search.label': 'Tìm một địa điểm',
+    'search.placeholder': 'Mã bưu chính, thành phố, giáo xứ, địa chỉ hoặc vĩ độ, kinh độ',
+    'search.button': 'Tìm',
+    'search.empty': 'Vui lòng nhập mã bưu chính, địa điểm, địa chỉ hoặc tọa độ',
+    'search.searching': 'Đang tìm...',
+    'search.notFound': 'Không tìm thấy địa điểm nào cho "{query}"',
+    'search.choices': '{count} địa điểm khớp với "{query}" — hãy chọn một:',
+    'search.failed': 'Tìm kiếm thất bại. Vui lòng thử lại.',
+    'search.foundNone': '✓ Đã tìm thấy {place} — Không có điểm nào trong vòng {miles} dặm',
+    'search.found.one': '✓ Đã tìm thấy {place} — 1 điểm trong vòng {miles} dặm',
+    'search.found.other': '✓ Đã tìm thấy {place} — {count} điểm trong vòng {miles} dặm',
+    
+    'nearby.title': 'Các điểm trong vòng',
+    'nearby.miles': '{miles} dặm',
+    'nearby.clear': 'Xóa tìm kiếm',
+    'nearby.empty': 'Không có điểm nào trong khu vực này khớp với bộ lọc hiện tại.',
+    
+    'legend.statuses': 'Trạng thái',
+    'legend.categories': 'Loại',
+    'legend.showAll': 'Hiện tất cả',
+    'legend.weatherAlerts': 'Cảnh báo NWS',
+    'legend.weatherUnavailable': 'Hiện không tải được cảnh báo thời tiết',
+    'legend.weatherUnmapped': 'Cũng đang có hiệu lực (chưa hiển thị vùng trên bản đồ):',
+    'legend.download': 'Tải xuống các điểm đang hiển thị',
+    'legend.kmlTitle': 'Google Earth',
+    'legend.gpxTitle': 'Thiết bị GPS cầm tay',
+    'legend.exportEmpty': 'Không có điểm nào khớp với bộ lọc hiện tại để xuất.',
+    'legend.updated': 'Cập nhật lúc {time}',
+    'legend.offlineNoData': 'Ngoại tuyến — không có dữ liệu đã lưu',
+    'legend.offlineFrom': 'Ngoại tuyến — dữ liệu từ {date}',
+    
+    'timeline.label': 'Hiển thị các điểm tính đến',
+    'timeline.play': 'Phát dòng thời gian',
+    'timeline.pause': 'Tạm dừng dòng thời gian',
+    'timeline.live': 'Trực tiếp',
+    'timeline.backToLive': 'Quay lại trực tiếp',
+    
+    'list.title': 'Các điểm',
+    'list.hint': 'Hiển thị các điểm trên bản đồ theo bộ lọc chú giải và tìm kiếm. Phím mũi tên lên và xuống để chuyển giữa các điểm; phím Escape để quay lại bản đồ.',
+    'list.count.one': '1 điểm',
+    'list.count.other': '{count} điểm',
+    'list.within': '{count} trong vòng {miles} dặm quanh {place}',
+    'list.asOf': '{text} tính đến {date}',
+    'list.filtered': '{text} (một số trạng thái hoặc loại bị ẩn)',
+    'list.empty': 'Không có điểm nào khớp với bộ lọc hiện tại.',
+    'list.distance': '{status} · cách {distance}',
+    'list.address': 'Địa chỉ',
+    'list.posted': 'Đăng ngày',
+    'list.showOnMap': 'Xem trên bản đồ',
+    
+    'help.title': 'Yêu cầu trợ giúp',
+    'help.close': 'Đóng',
+    'help.cancel': 'Hủy',
+    'help.intro': 'Hãy cho tình nguyện viên biết nơi cần trợ giúp. Điều phối viên xem xét mọi yêu cầu trước khi có gì xuất hiện trên bản đồ, và thông tin liên lạc của bạn không bao giờ được hiển thị công khai.',
+    'help.emergency': 'Trong trường hợp nguy hiểm đến tính mạng, hãy gọi 911.',
+    'help.location': 'Vị trí',
+    'help.noLocation': 'Chưa đặt — chọn trên bản đồ, dùng vị trí của bạn hoặc nhập địa chỉ.',
+    'help.locationSet': '📍 {place}',
+    'help.pickOnMap': 'Chọn trên bản đồ',
+    'help.pickHint': 'Chạm vào bản đồ tại nơi cần trợ giúp',
+    'help.useMyLocation': 'Dùng vị trí của tôi',
+    'help.locating': 'Đang tìm vị trí của bạn...',
+    'help.locateFailed': 'Không lấy được vị trí của bạn. Hãy chọn trên bản đồ hoặc nhập địa chỉ.',
+    'help.address': 'Địa chỉ',
+    'help.addressPlaceholder': 'Số nhà, đường, thành phố',
+    'help.find': 'Tìm',
+    'help.description': 'Cần trợ giúp gì?',
+    'help.descriptionPlaceholder': 'Bao nhiêu người, có ai bị thương hoặc cần y tế, mực nước, thú cưng...',
+    'help.name': 'Tên của bạn (không bắt buộc)',
+    'help.contact': 'Số điện thoại hoặc email',
+    'help.photo': 'Ảnh (không bắt buộc)',
+    'help.photoFailed': 'Không đọc được ảnh đó. Hãy thử ảnh khác.',
+    'help.needLocation': 'Vui lòng đặt vị trí cần trợ giúp.',
+    'help.needDescription': 'Vui lòng mô tả việc cần trợ giúp.',
+    'help.needContact': 'Vui lòng nhập số điện thoại hoặc email để chúng tôi liên lạc với bạn.',
+    'help.submit': 'Gửi yêu cầu',
+    'help.sending': 'Đang gửi...',
+    'help.failed': 'Không gửi được yêu cầu của bạn. Vui lòng thử lại — trong trường hợp khẩn cấp, hãy gọi 911.',
+    'help.sent': 'Cảm ơn bạn — yêu cầu đã được gửi. Điều phối viên sẽ xem xét và có thể liên lạc với bạn.',
+    
+    'embed.credit': 'Bản đồ United Cajun Navy ↗'
+};
@@ -2,39 +2,151 @@
 // FILENAME: main.js
 // =============================================================================
 // Purpose: Public map entry point with search, filters, and realtime updates
+// (also drives the embeddable map, embed.html)
 //
 // Responsibilities:
-// - Initialize map and load pins
-// - Location/zip search with 50-mile radius filtering
-// - Legend filter toggles (click to dim/show statuses)
+// - Initialize map and load pins and areas
+// - Location search (zip, place, address or lat/lng) with a disambiguation
+//   list and adjustable radius (10-100 miles)
+// - Nearby pins panel: pins in the search radius sorted by distance
+// - List view: a keyboard and screen reader friendly alternative to the map
+//   listing the same pins (filters, search and live updates applied)
+// - Legend filter toggles (click or keyboard to dim/show statuses of pins
+//   and areas)
 // - Realtime subscription for live pin updates
+// - Pin expiry: expired pins move to Past or drop off the map on schedule
+// - Timeline slider: replay which pins were on the map over time, with
+//   play/pause
 // - Pin count display and last updated timestamp
+// - Offline mode: cached pins/tiles, auto-refresh on reconnect
+// - Optional NWS weather alert overlay, toggled from the legend
+// - KML/GPX export of the pins currently shown (filters + search area)
+// - Shareable links: open pin, map view, filters and search kept in the URL;
+//   Share button in pin popups
+// - Embed mode: statuses, view, search bar, legend and popup size set by
+//   the URL; no timeline, export, weather overlay or list view
+// - Language switcher: interface and translated pin text in English,
+//   Spanish, Vietnamese or French (embeds take the language from the URL)
+// - Legend, filters and marker colors built from the admin-managed status
+//   list, updated live when it changes
+// - Category filters alongside the status filters - a pin shows when it
+//   passes both
+// - Request Help form: visitors send a location (map tap, device location or
+//   address), description, contact details and optional photo for
+//   coordinators to review in the admin panel (not on embeds)
 //
 // Dependencies:
-// - config.js (CONFIG, PIN_STATUS)
-// - map.js (initMap, renderPins, addPinToMap, removePinFromMap, applyFilter, clearFilter)
-// - storage.js (getAllPins, subscribeToChanges)
+// - config.js (CONFIG, PIN_CATEGORIES, NO_CATEGORY)
+// - statuses.js (getStatuses, getStatusKeys, getStatus, hasStatus, setStatuses, onStatusesChange)
+// - map.js (initMap, getMap, renderPins, addPinToMap, updatePinOnMap, removePinFromMap, getPinMarker, openPinPopup, setPinPopupHandlers, createPinActions, renderAreas, renderWeatherAlerts, clearWeatherAlerts, applyFilter, clearFilter, getCategoryKey)
+// - storage.js (getAllPinsCached, getAllAreas, getAllStatuses, submitHelpRequest, subscribeToChanges, subscribeToAreaChanges, subscribeToStatusChanges)
+// - help-requests.js (readPhoto)
+// - offline.js (registerServiceWorker, savePinSnapshot)
+// - geocode.js (searchPlaces, geocode, parseCoordinates, haversineDistance)
+// - export.js (pinsToKML, pinsToGPX, buildExportFilename, downloadFile)
+// - expiry.js (applyExpiry)
+// - timeline.js (getPinAt, getTimelineRange)
+// - weather.js (fetchWeatherAlerts, ALERT_SEVERITY)
+// - permalink.js (readMapState, buildMapUrl, readEmbedOptions)
+// - i18n.js (LANGUAGES, initLanguage, getLanguage, setLanguage, onLanguageChange, t, tCount, formatDate, getStatusLabel, getCategoryLabel, getPinText, translatePage)
 // =============================================================================
 
-import { CONFIG, PIN_STATUS } from './config.js';
-import { initMap, renderPins, addPinToMap, removePinFromMap, applyFilter, clearFilter, getMarkersLayer } from './map.js';
-import { getAllPins, subscribeToChanges } from './storage.js';
+import { CONFIG, PIN_CATEGORIES, NO_CATEGORY } from './config.js';
+import { getStatuses, getStatusKeys, getStatus, hasStatus, setStatuses, onStatusesChange } from './statuses.js';
+import { initMap, getMap, renderPins, addPinToMap, updatePinOnMap, removePinFromMap, getPinMarker, openPinPopup, setPinPopupHandlers, createPinActions, renderAreas, renderWeatherAlerts, clearWeatherAlerts, applyFilter, clearFilter, getCategoryKey, getMarkersLayer } from './map.js';
+import { getAllPinsCached, getAllAreas, getAllStatuses, submitHelpRequest, subscribeToChanges, subscribeToAreaChanges, subscribeToStatusChanges } from './storage.js';
+import { readPhoto } from './help-requests.js';
+import { registerServiceWorker, savePinSnapshot } from './offline.js';
+import { searchPlaces, geocode, parseCoordinates, haversineDistance } from './geocode.js';
+import { pinsToKML, pinsToGPX, buildExportFilename, downloadFile } from './export.js';
+import { applyExpiry } from './expiry.js';
+import { getPinAt, getTimelineRange } from './timeline.js';
+import { fetchWeatherAlerts, ALERT_SEVERITY } from './weather.js';
+import { readMapState, buildMapUrl, readEmbedOptions } from './permalink.js';
+import { LANGUAGES, initLanguage, getLanguage, setLanguage, onLanguageChange, t, tCount, formatDate, getStatusLabel, getCategoryLabel, getPinText, translatePage } from './i18n.js';
 
 // =============================================================================
 // Constants
 // =============================================================================
 
-const SEARCH_RADIUS_MILES = 50;
-const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const SEARCH_RADIUS_OPTIONS = [10, 25, 50, 100];
+const DEFAULT_SEARCH_RADIUS_MILES = 50;
+
+// The timeline slider runs 0..TIMELINE_STEPS across the timeline range; the
+// last step is "live". Playback crosses the whole range in TIMELINE_PLAY_FRAMES.
+const TIMELINE_STEPS = 1000;
+const TIMELINE_PLAY_FRAMES = 120;
+const TIMELINE_FRAME_MS = 250;
+
+// Past this many marker changes at once, re-render all pins rather than
+// patching markers one by one
+const BULK_RENDER_THRESHOLD = 25;
+
+// How long the Share button says "Link copied"
+const SHARE_CONFIRM_MS = 2000;
+
+// Category filter keys in legend order - uncategorized pins filter as
+// NO_CATEGORY
+const CATEGORY_KEYS = [...Object.keys(PIN_CATEGORIES), NO_CATEGORY];
 
 // =============================================================================
 // State
 // =============================================================================
 
+// allPins holds pins as stored; pinsCache holds them as displayed (expired
+// pins moved to Past or left out - see expiry.js - or as they were at the
+// timeline's time)
+let allPins = [];
 let pinsCache = [];
-let activeFilters = new Set(['critical', 'warning', 'active', 'past', 'weather']);
+let allAreas = [];
+let activeFilters = new Set(getStatusKeys());
+let activeCategories = new Set(CATEGORY_KEYS);
 let searchCircle = null;
 
+// Last searched location ({ lat, lng, display, radiusMiles }) - drives the
+// nearby pins panel and limits exports
+let searchArea = null;
+let searchRadiusMiles = DEFAULT_SEARCH_RADIUS_MILES;
+
+// When offline, the legend shows when the displayed data was last fresh
+// (dataTimestamp is null if there's no saved data at all)
+let isOffline = false;
+let dataTimestamp = new Date();
+
+// Time being replayed in ms (null = live), the slider's { start, end } span,
+// and the playback interval while playing
+let timelineTime = null;
+let timelineRange = null;
+let timelineTimer = null;
+
+// Weather alert overlay - off until toggled in the legend, then refreshed
+// every CONFIG.WeatherAlertsRefreshMinutes
+let showWeatherAlerts = false;
+let weatherAlertsTimer = null;
+
+// Pin whose popup is open - kept in the URL so the link reopens it
+let openPinId = null;
+
+// List view shown in place of the map
+let isListViewOpen = false;
+
+// Embedded on another site (embed.html). An embed's show= parameter leaves
+// other statuses off the map entirely (null = all statuses).
+const isEmbed = document.body.hasAttribute('data-embed');
+let embedStatuses = null;
+
+// Status keys as of the last load - tells new statuses from existing ones
+let knownStatusKeys = [];
+
+// Request Help form: where help is needed ({ lat, lng, address }) and its
+// map marker, the photo as a shrunk JPEG data URL ('' = none), and whether
+// the next map click sets the location
+let helpLocation = null;
+let helpLocationMarker = null;
+let helpPhoto = '';
+let isPickingHelpLocation = false;
+let isSendingHelpRequest = false;
+
 // =============================================================================
 // DOM Elements
 // =============================================================================
@@ -42,32 +154,110 @@ let searchCircle = null;
 const searchForm = document.getElementById('search-form');
 const searchInput = document.getElementById('search-input');
 const searchResult = document.getElementById('search-result');
+const searchChoices = document.getElementById('search-choices');
+const nearbyPanel = document.getElementById('nearby-panel');
+const nearbyRadiusSelect = document.getElementById('nearby-radius');
+const nearbyList = document.getElementById('nearby-list');
+const nearbyCloseBtn = document.getElementById('nearby-close-btn');
 const legendList = document.getElementById('legend-list');
+const categoryList = document.getElementById('category-list');
 const showAllBtn = document.getElementById('show-all-btn');
 const lastUpdatedEl = document.getElementById('last-updated');
 const legend = document.getElementById('legend');
 const legendToggle = document.getElementById('legend-toggle');
+const exportKmlBtn = document.getElementById('export-kml-btn');
+const exportGpxBtn = document.getElementById('export-gpx-btn');
+const timeline = document.getElementById('timeline');
+const timelineSlider = document.getElementById('timeline-slider');
+const timelinePlayBtn = document.getElementById('timeline-play-btn');
+const timelineDate = document.getElementById('timeline-date');
+const timelineLiveBtn = document.getElementById('timeline-live-btn');
+const weatherAlertsToggle = document.getElementById('weather-alerts-toggle');
+const weatherAlertsCount = document.getElementById('weather-alerts-count');
+const weatherAlertsStatus = document.getElementById('weather-alerts-status');
+const weatherAlertsUnmapped = document.getElementById('weather-alerts-unmapped');
+const weatherAlertsList = document.getElementById('weather-alerts-list');
+const searchBar = document.querySelector('.search-bar');
+const mapContainer = document.querySelector('.map-container');
+const mapEl = document.getElementById('map');
+const listViewBtn = document.getElementById('list-view-btn');
+const listView = document.getElementById('list-view');
+const listViewTitle = document.getElementById('list-view-title');
+const listViewSummary = document.getElementById('list-view-summary');
+const listViewItems = document.getElementById('list-view-items');
+const fullMapLink = document.getElementById('full-map-link');
+const languageSelect = document.getElementById('language-select');
+const helpRequestBtn = document.getElementById('help-request-btn');
+const helpModal = document.getElementById('help-modal');
+const helpForm = document.getElementById('help-form');
+const helpCloseBtn = document.getElementById('help-close-btn');
+const helpCancelBtn = document.getElementById('help-cancel-btn');
+const helpLocationText = document.getElementById('help-location');
+const helpPickBtn = document.getElementById('help-pick-btn');
+const helpGeolocateBtn = document.getElementById('help-geolocate-btn');
+const helpAddressInput = document.getElementById('help-address');
+const helpLocateBtn = document.getElementById('help-locate-btn');
+const helpDescriptionInput = document.getElementById('help-description');
+const helpNameInput = document.getElementById('help-name');
+const helpContactInput = document.getElementById('help-contact');
+const helpPhotoInput = document.getElementById('help-photo');
+const helpPhotoPreview = document.getElementById('help-photo-preview');
+const helpFormError = document.getElementById('help-form-error');
+const helpSubmitBtn = document.getElementById('help-submit-btn');
+const helpDone = document.getElementById('help-done');
+const helpDoneBtn = document.getElementById('help-done-btn');
+const helpPickBanner = document.getElementById('help-pick-banner');
+const helpPickCancelBtn = document.getElementById('help-pick-cancel-btn');
 
 // =============================================================================
 // Init
 // =============================================================================
 
 async function init() {
+    registerServiceWorker();
+    setupLanguage();
+    
+    // Statuses drive the legend, filters and markers, so they load first
+    await loadStatuses();
+    
+    const embedOptions = isEmbed ? setupEmbed() : null;
+    
     // Initialize map
-    const map = initMap('map');
+    const map = initMap('map', { compactPopups: Boolean(embedOptions?.compactPopups) });
     
-    // Load and render pins
-    pinsCache = await getAllPins();
-    renderPins(pinsCache);
-    updateCounts();
-    updateLastUpdated();
+    // Popups keep the URL in sync and get a Share button, and Get Help opens
+    // the request form - embeds link to the full map and the external help
+    // form instead (set before pins render)
+    setPinPopupHandlers({
+        onOpen: handlePopupOpen,
+        onClose: handlePopupClose,
+        onShare: isEmbed ? null : sharePin,
+        onRequestHelp: isEmbed ? null : () => openHelpForm()
+    });
+    
+    // Load and render pins and areas
+    await loadPins();
+    await loadAreas();
     
     // Setup event listeners
     setupSearch();
     setupFilters();
+    if (!isEmbed) {
+        setupWeatherAlerts();
+        setupExport();
+        setupTimeline();
+        setupListView();
+        setupHelpRequests();
+    }
+    setupConnectivity();
+    
+    // Restore a shared view, then keep the URL up to date
+    applyUrlState();
+    map.on('moveend', updateUrl);
     
     // Subscribe to realtime updates
     setupRealtime();
+    setupExpiryCheck();
     
     console.log(`Loaded ${pinsCache.length} pins`);
 }
@@ -78,86 +268,210 @@ async function init() {
 
 function setupSearch() {
     searchForm.onsubmit = handleSearch;
+    
+    renderRadiusOptions();
+    nearbyRadiusSelect.onchange = handleRadiusChange;
+    
+    nearbyCloseBtn.onclick = clearSearch;
+}
+
+function renderRadiusOptions() {
+    while (nearbyRadiusSelect.firstChild) {
+        nearbyRadiusSelect.removeChild(nearbyRadiusSelect.firstChild);
+    }
+    
+    SEARCH_RADIUS_OPTIONS.forEach(miles => {
+        const option = document.createElement('option');
+        option.value = String(miles);
+        option.textContent = t('nearby.miles', { miles });
+        nearbyRadiusSelect.appendChild(option);
+    });
+    nearbyRadiusSelect.value = String(searchRadiusMiles);
 }
 
 async function handleSearch(e) {
     e.preventDefault();
     
     const query = searchInput.value.trim();
+    hideSearchChoices();
     
-    // Validate zip code format
     if (!query) {
-        showSearchResult('Please enter a zip code', 'error');
+        showSearchResult(t('search.empty'), 'error');
         return;
     }
     
-    if (!/^\d{5}$/.test(query)) {
-        showSearchResult('Please enter a valid 5-digit zip code', 'error');
+    // Pasted coordinates don't need a lookup
+    const coords = parseCoordinates(query);
+    if (coords) {
+        searchAt({ ...coords, display: `${coords.lat.toFixed(4)}, ${coords.lng.toFixed(4)}` });
         return;
     }
     
     // Show loading state
-    showSearchResult('Searching...', 'neutral');
+    showSearchResult(t('search.searching'), 'neutral');
     
     try {
-        // Geocode the zip code
-        const coords = await geocode(query);
+        const places = await searchPlaces(query);
         
-        if (!coords) {
-            showSearchResult(`Zip code ${query} not found`, 'error');
+        if (places.length === 0) {
+            showSearchResult(t('search.notFound', { query }), 'error');
             return;
         }
         
-        // Find pins within radius
-        const nearbyPins = findPinsInRadius(coords.lat, coords.lng, SEARCH_RADIUS_MILES);
-        
-        // Pan to location
-        const map = await import('./map.js').then(m => m.getMap());
-        map.setView([coords.lat, coords.lng], 9);
-        
-        // Draw search radius circle
-        drawSearchCircle(coords.lat, coords.lng);
-        
-        // Show confirmation with location name
-        if (nearbyPins.length === 0) {
-            showSearchResult(`✓ Found ${query} (${coords.display}) — No pins within ${SEARCH_RADIUS_MILES} miles`, 'neutral');
-        } else {
-            showSearchResult(`✓ Found ${query} (${coords.display}) — ${nearbyPins.length} pin${nearbyPins.length === 1 ? '' : 's'} within ${SEARCH_RADIUS_MILES} miles`, 'success');
+        if (places.length === 1) {
+            searchAt(places[0]);
+            return;
         }
         
+        // Let the visitor pick, e.g. "Cameron" matches several parishes/towns
+        showSearchResult(t('search.choices', { count: places.length, query }), 'neutral');
+        showSearchChoices(places);
+    
     } catch (err) {
         console.error('Search error:', err);
-        showSearchResult('Search failed. Please try again.', 'error');
+        showSearchResult(t('search.failed'), 'error');
     }
 }
 
-async function geocode(zipCode) {
-    const params = new URLSearchParams({
-        q: zipCode + ', USA',
-        format: 'json',
-        limit: 1,
-        countrycodes: 'us'
-    });
+// Center on a location and list the pins within the search radius
+function searchAt(place) {
+    hideSearchChoices();
     
-    const response = await fetch(`${NOMINATIM_URL}?${params}`, {
-        headers: { 'User-Agent': 'UCN-Deployment-Map' }
-    });
+    searchArea = { lat: place.lat, lng: place.lng, display: place.display, radiusMiles: searchRadiusMiles };
+    
+    // Pan to location
+    getMap().setView([place.lat, place.lng], 9);
+    
+    updateSearchArea();
+    updateUrl();
+}
+
+function handleRadiusChange() {
+    searchRadiusMiles = Number(nearbyRadiusSelect.value);
     
-    if (!response.ok) return null;
+    if (searchArea) {
+        searchArea.radiusMiles = searchRadiusMiles;
+        updateSearchArea();
+        updateUrl();
+    }
+}
+
+// Redraw the circle, confirmation and nearby list for the current search
+function updateSearchArea() {
+    const { lat, lng, display, radiusMiles } = searchArea;
     
-    const results = await response.json();
-    if (results.length === 0) return null;
+    drawSearchCircle(lat, lng, radiusMiles);
     
-    const result = results[0];
-    // Extract city/state from display name
-    const parts = result.display_name.split(',');
-    const display = parts.slice(0, 2).join(',').trim();
+    // Show confirmation with location name
+    const nearbyCount = findPinsInRadius(lat, lng, radiusMiles).length;
+    if (nearbyCount === 0) {
+        showSearchResult(t('search.foundNone', { place: display, miles: radiusMiles }), 'neutral');
+    } else {
+        showSearchResult(tCount('search.found', nearbyCount, { place: display, miles: radiusMiles }), 'success');
+    }
     
-    return {
-        lat: parseFloat(result.lat),
-        lng: parseFloat(result.lon),
-        display: display
-    };
+    renderPinLists();
+}
+
+function clearSearch() {
+    searchArea = null;
+    
+    if (searchCircle) {
+        getMap().removeLayer(searchCircle);
+        searchCircle = null;
+    }
+    
+    searchInput.value = '';
+    searchResult.classList.add('is-hidden');
+    nearbyPanel.classList.add('is-hidden');
+    hideSearchChoices();
+    renderListView();
+    updateUrl();
+}
+
+// Refresh the lists that mirror the map (nearby panel, list view)
+function renderPinLists() {
+    renderNearbyList();
+    renderListView();
+}
+
+// Pins in the search radius that pass the legend filters, nearest first
+function renderNearbyList() {
+    if (!searchArea) return;
+    
+    while (nearbyList.firstChild) {
+        nearbyList.removeChild(nearbyList.firstChild);
+    }
+    
+    const nearby = getVisiblePins()
+        .map(pin => ({
+            pin,
+            distance: haversineDistance(searchArea.lat, searchArea.lng, pin.lat, pin.lng)
+        }))
+        .sort((a, b) => a.distance - b.distance);
+    
+    if (nearby.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'nearby-panel__empty';
+        empty.textContent = t('nearby.empty');
+        nearbyList.appendChild(empty);
+    }
+    
+    nearby.forEach(({ pin, distance }) => {
+        const status = getStatus(pin.status);
+        
+        const li = document.createElement('li');
+        
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'nearby-panel__item';
+        btn.onclick = () => openPinPopup(pin.id);
+        
+        const dot = document.createElement('span');
+        dot.className = 'nearby-panel__dot';
+        dot.style.backgroundColor = status.color;
+        
+        const name = document.createElement('span');
+        name.className = 'nearby-panel__name';
+        name.textContent = getPinText(pin, 'title');
+        
+        const miles = document.createElement('span');
+        miles.className = 'nearby-panel__distance';
+        miles.textContent = formatDistance(distance);
+        
+        btn.appendChild(dot);
+        btn.appendChild(name);
+        btn.appendChild(miles);
+        li.appendChild(btn);
+        nearbyList.appendChild(li);
+    });
+    
+    nearbyPanel.classList.remove('is-hidden');
+}
+
+function showSearchChoices(places) {
+    while (searchChoices.firstChild) {
+        searchChoices.removeChild(searchChoices.firstChild);
+    }
+    
+    places.forEach(place => {
+        const li = document.createElement('li');
+        
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'search-bar__choice';
+        btn.textContent = place.label;
+        btn.onclick = () => searchAt(place);
+        
+        li.appendChild(btn);
+        searchChoices.appendChild(li);
+    });
+    
+    searchChoices.classList.remove('is-hidden');
+}
+
+function hideSearchChoices() {
+    searchChoices.classList.add('is-hidden');
 }
 
 function findPinsInRadius(lat, lng, radiusMiles) {
@@ -167,23 +481,11 @@ function findPinsInRadius(lat, lng, radiusMiles) {
     });
 }
 
-function haversineDistance(lat1, lng1, lat2, lng2) {
-    const R = 3959; // Earth radius in miles
-    const dLat = toRad(lat2 - lat1);
-    const dLng = toRad(lng2 - lng1);
-    const a = 
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * 
-        Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function toRad(deg) {
-    return deg * (Math.PI / 180);
+function formatDistance(miles) {
+    return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
 }
 
-function drawSearchCircle(lat, lng) {
+function drawSearchCircle(lat, lng, radiusMiles) {
     const map = getMap();
     
     // Remove existing circle
@@ -191,9 +493,9 @@ function drawSearchCircle(lat, lng) {
         map.removeLayer(searchCircle);
     }
     
-    // Draw new circle (50 miles = ~80467 meters)
+    // Draw new circle (1 mile = ~1609 meters)
     searchCircle = L.circle([lat, lng], {
-        radius: SEARCH_RADIUS_MILES * 1609.34,
+        radius: radiusMiles * 1609.34,
         color: '#1e3a5f',
         fillColor: '#1e3a5f',
         fillOpacity: 0.1,
@@ -213,21 +515,12 @@ function showSearchResult(message, type) {
     }
 }
 
-// Import getMap for search circle
-async function getMap() {
-    const mapModule = await import('./map.js');
-    return mapModule.getMap();
-}
-
 // =============================================================================
 // Filters
 // =============================================================================
 
 function setupFilters() {
-    // Click on legend items to toggle
-    legendList.querySelectorAll('.legend__item--clickable').forEach(item => {
-        item.onclick = () => toggleFilter(item.dataset.status);
-    });
+    renderLegend();
     
     // Show all button
     showAllBtn.onclick = resetFilters;
@@ -242,114 +535,1339 @@ function setupFilters() {
     }
 }
 
+// One toggle per status, in the admin-set order (embeds list only the
+// statuses they show), then one per category
+function renderLegend() {
+    [legendList, categoryList].forEach(list => {
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+    });
+    
+    getStatuses().forEach(status => {
+        if (embedStatuses && !embedStatuses.has(status.key)) return;
+        
+        const dot = document.createElement('span');
+        dot.className = 'legend__dot';
+        dot.style.backgroundColor = status.color;
+        
+        const item = createLegendItem(dot, getStatusLabel(status.key), () => toggleFilter(activeFilters, status.key));
+        item.dataset.status = status.key;
+        legendList.appendChild(item);
+    });
+    
+    CATEGORY_KEYS.forEach(category => {
+        const icon = document.createElement('span');
+        icon.className = 'legend__icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = PIN_CATEGORIES[category]?.icon || '';
+        
+        const item = createLegendItem(icon, getCategoryLabel(category), () => toggleFilter(activeCategories, category));
+        item.dataset.category = category;
+        categoryList.appendChild(item);
+    });
+    
+    updateFilterUI();
+    updateCounts();
+}
+
+// Legend items act as toggle buttons for keyboard and screen reader users too
+function createLegendItem(swatch, labelText, onToggle) {
+    const item = document.createElement('li');
+    item.className = 'legend__item legend__item--clickable';
+    item.setAttribute('role', 'button');
+    item.tabIndex = 0;
+    item.onclick = onToggle;
+    item.onkeydown = (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onToggle();
+        }
+    };
+    
+    const label = document.createElement('span');
+    label.className = 'legend__label';
+    label.textContent = labelText;
+    
+    const count = document.createElement('span');
+    count.className = 'legend__count';
+    count.textContent = '0';
+    
+    item.appendChild(swatch);
+    item.appendChild(label);
+    item.appendChild(count);
+    return item;
+}
+
 function toggleLegend() {
     const isCollapsed = legend.classList.toggle('legend--collapsed');
     legendToggle.setAttribute('aria-expanded', !isCollapsed);
 }
 
-function toggleFilter(status) {
-    if (activeFilters.has(status)) {
-        activeFilters.delete(status);
+// Toggle a status (in activeFilters) or category (in activeCategories)
+function toggleFilter(filters, key) {
+    if (filters.has(key)) {
+        filters.delete(key);
     } else {
-        activeFilters.add(status);
+        filters.add(key);
     }
     
     updateFilterUI();
-    applyFilter(activeFilters);
+    applyFilter(activeFilters, activeCategories);
+    renderPinLists();
+    updateUrl();
 }
 
 function resetFilters() {
-    activeFilters = new Set(['critical', 'warning', 'active', 'past', 'weather']);
+    activeFilters = new Set(embedStatuses || getStatusKeys());
+    activeCategories = new Set(CATEGORY_KEYS);
     updateFilterUI();
     clearFilter();
+    renderPinLists();
+    updateUrl();
 }
 
 function updateFilterUI() {
     legendList.querySelectorAll('.legend__item--clickable').forEach(item => {
-        const status = item.dataset.status;
-        if (activeFilters.has(status)) {
-            item.classList.remove('legend__item--dimmed');
-        } else {
-            item.classList.add('legend__item--dimmed');
-        }
+        setLegendItemPressed(item, activeFilters.has(item.dataset.status));
     });
+    categoryList.querySelectorAll('.legend__item--clickable').forEach(item => {
+        setLegendItemPressed(item, activeCategories.has(item.dataset.category));
+    });
+}
+
+function setLegendItemPressed(item, isPressed) {
+    item.setAttribute('aria-pressed', isPressed);
+    if (isPressed) {
+        item.classList.remove('legend__item--dimmed');
+    } else {
+        item.classList.add('legend__item--dimmed');
+    }
+}
+
+// Whether a pin passes both the status and category filters
+function isPinShown(pin) {
+    return activeFilters.has(pin.status) && activeCategories.has(getCategoryKey(pin));
 }
 
 // =============================================================================
-// Counts & Timestamps
+// List View
 // =============================================================================
 
-function updateCounts() {
-    const counts = {
-        critical: 0,
-        warning: 0,
-        active: 0,
-        past: 0,
-        weather: 0
-    };
+function setupListView() {
+    listViewBtn.onclick = toggleListView;
+    listView.addEventListener('keydown', handleListViewKeydown);
+}
+
+function toggleListView() {
+    if (isListViewOpen) {
+        closeListView();
+    } else {
+        openListView();
+    }
+}
+
+function openListView() {
+    isListViewOpen = true;
+    listView.classList.remove('is-hidden');
+    mapContainer.classList.add('map-container--list');
+    listViewBtn.setAttribute('aria-pressed', 'true');
     
-    pinsCache.forEach(pin => {
-        if (counts[pin.status] !== undefined) {
-            counts[pin.status]++;
-        }
+    // Keep Tab out of the map controls hidden behind the list
+    mapEl.setAttribute('inert', '');
+    
+    renderListView();
+    listViewTitle.focus();
+}
+
+function closeListView() {
+    isListViewOpen = false;
+    listView.classList.add('is-hidden');
+    mapContainer.classList.remove('map-container--list');
+    listViewBtn.setAttribute('aria-pressed', 'false');
+    mapEl.removeAttribute('inert');
+}
+
+// Pins that pass the legend filters and search radius - nearest first when
+// searching, otherwise most severe first and newest first within a status
+function renderListView() {
+    if (!isListViewOpen) return;
+    
+    // Live updates rebuild the list - keep focus on the same pin
+    const focusedItem = document.activeElement?.closest('.list-view__item');
+    const focusedId = focusedItem?.dataset.pinId;
+    
+    while (listViewItems.firstChild) {
+        listViewItems.removeChild(listViewItems.firstChild);
+    }
+    
+    const statusOrder = getStatusKeys();
+    const items = getVisiblePins()
+        .map(pin => ({
+            pin,
+            distance: searchArea
+                ? haversineDistance(searchArea.lat, searchArea.lng, pin.lat, pin.lng)
+                : null
+        }))
+        .sort((a, b) => searchArea
+            ? a.distance - b.distance
+            : statusOrder.indexOf(a.pin.status) - statusOrder.indexOf(b.pin.status) ||
+                new Date(b.pin.created_at) - new Date(a.pin.created_at));
+    
+    // Playback redraws every frame - the summary is a live region, so it's
+    // only announced once playback stops
+    if (!timelineTimer) {
+        listViewSummary.textContent = describeListView(items.length);
+    }
+    
+    if (items.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'list-view__empty';
+        empty.textContent = t('list.empty');
+        listViewItems.appendChild(empty);
+    }
+    
+    items.forEach(({ pin, distance }) => {
+        listViewItems.appendChild(createListViewItem(pin, distance));
     });
     
-    // Update count displays
-    Object.entries(counts).forEach(([status, count]) => {
-        const countEl = document.querySelector(`[data-count="${status}"]`);
-        if (countEl) {
-            countEl.textContent = count;
-        }
+    if (focusedId) {
+        const item = [...listViewItems.children].find(li => li.dataset.pinId === focusedId);
+        item?.querySelector('.list-view__locate').focus();
+    }
+}
+
+// e.g. "12 pins within 25 miles of Lake Charles, LA (some statuses hidden)"
+function describeListView(count) {
+    let text = tCount('list.count', count);
+    
+    if (searchArea) {
+        text = t('list.within', { count: text, miles: searchArea.radiusMiles, place: searchArea.display });
+    }
+    if (timelineTime !== null) {
+        text = t('list.asOf', { text, date: formatTimelineDate(timelineTime) });
+    }
+    if (getStatusKeys().some(status => !activeFilters.has(status)) ||
+        CATEGORY_KEYS.some(category => !activeCategories.has(category))) {
+        text = t('list.filtered', { text });
+    }
+    return text;
+}
+
+function createListViewItem(pin, distance) {
+    const status = getStatus(pin.status);
+    const headingId = `list-view-pin-${pin.id}`;
+    
+    const li = document.createElement('li');
+    li.className = 'list-view__item';
+    li.dataset.pinId = pin.id;
+    
+    const article = document.createElement('article');
+    article.setAttribute('aria-labelledby', headingId);
+    
+    const heading = document.createElement('h3');
+    heading.id = headingId;
+    heading.className = 'list-view__name';
+    heading.textContent = getPinText(pin, 'title');
+    article.appendChild(heading);
+    
+    // Status (and category) in words, not just color and icon
+    const statusEl = document.createElement('p');
+    statusEl.className = 'list-view__status';
+    const dot = document.createElement('span');
+    dot.className = 'list-view__dot';
+    dot.style.backgroundColor = status.color;
+    dot.setAttribute('aria-hidden', 'true');
+    statusEl.appendChild(dot);
+    const categoryKey = getCategoryKey(pin);
+    const statusLabel = categoryKey === NO_CATEGORY
+        ? getStatusLabel(pin.status)
+        : `${getCategoryLabel(categoryKey)} · ${getStatusLabel(pin.status)}`;
+    statusEl.appendChild(document.createTextNode(
+        distance === null ? statusLabel : t('list.distance', { status: statusLabel, distance: formatDistance(distance) })
+    ));
+    article.appendChild(statusEl);
+    
+    const details = document.createElement('dl');
+    details.className = 'list-view__details';
+    if (pin.address) {
+        appendListViewDetail(details, t('list.address'), document.createTextNode(pin.address));
+    }
+    if (pin.created_at) {
+        const time = document.createElement('time');
+        time.dateTime = pin.created_at;
+        time.textContent = formatDate(pin.created_at);
+        appendListViewDetail(details, t('list.posted'), time);
+    }
+    article.appendChild(details);
+    
+    const summaryText = getPinText(pin, 'summary');
+    if (summaryText) {
+        const summary = document.createElement('p');
+        summary.className = 'list-view__summary-text';
+        summary.textContent = summaryText;
+        article.appendChild(summary);
+    }
+    
+    const actions = createPinActions(pin);
+    if (actions) {
+        article.appendChild(actions);
+    }
+    
+    const locateBtn = document.createElement('button');
+    locateBtn.type = 'button';
+    locateBtn.className = 'list-view__locate';
+    locateBtn.textContent = t('list.showOnMap');
+    locateBtn.setAttribute('aria-describedby', headingId);
+    locateBtn.onclick = () => showPinOnMap(pin.id);
+    article.appendChild(locateBtn);
+    
+    li.appendChild(article);
+    return li;
+}
+
+function appendListViewDetail(details, label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.appendChild(value);
+    details.appendChild(term);
+    details.appendChild(description);
+}
+
+// Leave the list for the pin's popup, with focus inside it
+function showPinOnMap(pinId) {
+    closeListView();
+    
+    const map = getMap();
+    map.closePopup();
+    
+    // A pin hidden from the map has no popup to open - registering anyway
+    // would leave the listener for whichever popup opens next
+    if (!getPinMarker(pinId)) return;
+    
+    map.once('popupopen', (e) => {
+        const content = e.popup.getElement().querySelector('.pin-popup');
+        content.tabIndex = -1;
+        content.focus();
     });
+    openPinPopup(pinId);
 }
 
-function updateLastUpdated() {
-    const now = new Date();
-    const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    lastUpdatedEl.textContent = `Updated ${timeStr}`;
+// Arrow keys, Home and End move between pins; Escape goes back to the map
+function handleListViewKeydown(e) {
+    if (e.key === 'Escape') {
+        closeListView();
+        listViewBtn.focus();
+        return;
+    }
+    
+    if (!['ArrowDown', 'ArrowUp', 'Home', 'End'].includes(e.key)) return;
+    
+    const buttons = [...listViewItems.querySelectorAll('.list-view__locate')];
+    if (buttons.length === 0) return;
+    
+    const current = e.target.closest('.list-view__item');
+    let index = current ? buttons.indexOf(current.querySelector('.list-view__locate')) : -1;
+    
+    if (e.key === 'ArrowDown') {
+        index = Math.min(index + 1, buttons.length - 1);
+    } else if (e.key === 'ArrowUp') {
+        index = Math.max(index - 1, 0);
+    } else if (e.key === 'Home') {
+        index = 0;
+    } else {
+        index = buttons.length - 1;
+    }
+    
+    e.preventDefault();
+    buttons[index].focus();
 }
 
 // =============================================================================
-// Realtime
+// Weather Alerts
 // =============================================================================
 
-function setupRealtime() {
-    subscribeToChanges(
-        // On insert
-        (newPin) => {
-            console.log('Realtime: New pin', newPin.id);
-            pinsCache.push(newPin);
-            addPinToMap(newPin);
-            updateCounts();
-            updateLastUpdated();
-            
-            // Re-apply filters to include new pin
-            if (!activeFilters.has(newPin.status)) {
-                applyFilter(activeFilters);
-            }
-        },
-        // On update
-        (updatedPin) => {
-            console.log('Realtime: Updated pin', updatedPin.id);
-            const index = pinsCache.findIndex(p => p.id === updatedPin.id);
-            if (index !== -1) {
-                pinsCache[index] = updatedPin;
-            }
-            // Re-render all pins to reflect changes
-            renderPins(pinsCache);
-            updateCounts();
-            updateLastUpdated();
-            applyFilter(activeFilters);
-        },
-        // On delete
-        (deletedPin) => {
-            console.log('Realtime: Deleted pin', deletedPin.id);
-            pinsCache = pinsCache.filter(p => p.id !== deletedPin.id);
-            removePinFromMap(deletedPin.id);
-            updateCounts();
-            updateLastUpdated();
+function setupWeatherAlerts() {
+    if (!CONFIG.WeatherAlertsUrl) {
+        weatherAlertsToggle.classList.add('is-hidden');
+        return;
+    }
+    
+    weatherAlertsToggle.onclick = toggleWeatherAlerts;
+}
+
+function toggleWeatherAlerts() {
+    showWeatherAlerts = !showWeatherAlerts;
+    weatherAlertsToggle.setAttribute('aria-pressed', showWeatherAlerts);
+    
+    if (showWeatherAlerts) {
+        loadWeatherAlerts();
+        weatherAlertsTimer = setInterval(loadWeatherAlerts, CONFIG.WeatherAlertsRefreshMinutes * 60 * 1000);
+    } else {
+        clearInterval(weatherAlertsTimer);
+        weatherAlertsTimer = null;
+        clearWeatherAlerts();
+        renderUnmappedAlerts([]);
+        weatherAlertsCount.textContent = '';
+        weatherAlertsStatus.classList.add('is-hidden');
+    }
+}
+
+async function loadWeatherAlerts() {
+    try {
+        const alerts = await fetchWeatherAlerts();
+        
+        // Toggled off while the request was in flight
+        if (!showWeatherAlerts) return;
+        
+        renderWeatherAlerts(alerts);
+        renderUnmappedAlerts(alerts.filter(alert => !alert.geometry));
+        weatherAlertsCount.textContent = alerts.length;
+        weatherAlertsStatus.classList.add('is-hidden');
+    } catch (err) {
+        console.error('Failed to load weather alerts:', err);
+        if (!showWeatherAlerts) return;
+        
+        // Keep showing the last alerts drawn, if any
+        weatherAlertsStatus.textContent = t('legend.weatherUnavailable');
+        weatherAlertsStatus.classList.remove('is-hidden');
+    }
+}
+
+// Alerts with no area to draw (their zones couldn't be loaded) are still in
+// effect, so they're listed under the toggle instead
+function renderUnmappedAlerts(alerts) {
+    while (weatherAlertsList.firstChild) {
+        weatherAlertsList.removeChild(weatherAlertsList.firstChild);
+    }
+    
+    weatherAlertsUnmapped.classList.toggle('is-hidden', alerts.length === 0);
+    
+    alerts.forEach(alert => {
+        const severity = ALERT_SEVERITY[alert.severity] || ALERT_SEVERITY.Unknown;
+        
+        const li = document.createElement('li');
+        li.className = 'legend__alert';
+        li.title = alert.headline;
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'legend__overlay-swatch';
+        swatch.style.borderColor = severity.color;
+        
+        const text = document.createElement('span');
+        text.className = 'legend__alert-text';
+        text.textContent = alert.areaDesc ? `${alert.event} — ${alert.areaDesc}` : alert.event;
+        
+        li.appendChild(swatch);
+        li.appendChild(text);
+        weatherAlertsList.appendChild(li);
+    });
+}
+
+// =============================================================================
+// Shared Links
+// =============================================================================
+
+// Restore the view described by the page URL (see permalink.js)
+function applyUrlState() {
+    const state = readMapState(window.location.search);
+    
+    // Embeds treat show= as a limit instead (see setupEmbed)
+    if (state.filters && !isEmbed) {
+        activeFilters = new Set(state.filters.filter(hasStatus));
+    }
+    if (state.categories) {
+        activeCategories = new Set(state.categories.filter(category => CATEGORY_KEYS.includes(category)));
+    }
+    if ((state.filters && !isEmbed) || state.categories) {
+        updateFilterUI();
+        applyFilter(activeFilters, activeCategories);
+    }
+    
+    if (state.search) {
+        if (state.search.radiusMiles) {
+            searchRadiusMiles = state.search.radiusMiles;
+            nearbyRadiusSelect.value = String(searchRadiusMiles);
         }
-    );
+        searchInput.value = state.search.display;
+        searchAt(state.search);
+    }
+    
+    // An explicit view wins over the search's default zoom
+    if (state.center || state.zoom != null) {
+        const map = getMap();
+        map.setView(state.center || map.getCenter(), state.zoom ?? map.getZoom());
+    }
+    
+    if (state.pinId) {
+        openPinPopup(state.pinId);
+    }
+    
+    updateUrl();
+}
+
+// Current view as permalink.js state
+function getMapState() {
+    const map = getMap();
+    const allShown = getStatusKeys().every(status => activeFilters.has(status));
+    const allCategoriesShown = CATEGORY_KEYS.every(category => activeCategories.has(category));
+    
+    return {
+        pinId: openPinId,
+        center: map.getCenter(),
+        zoom: map.getZoom(),
+        filters: allShown ? null : [...activeFilters],
+        categories: allCategoriesShown ? null : [...activeCategories],
+        search: searchArea
+    };
+}
+
+// Replace (not push) so the back button still leaves the page. Embeds leave
+// the host page's iframe URL alone and update the full map link instead.
+function updateUrl() {
+    if (isEmbed) {
+        const fullMapUrl = new URL('./index.html', window.location.href).href;
+        fullMapLink.href = buildMapUrl(fullMapUrl, getMapState());
+        return;
+    }
+    
+    history.replaceState(null, '', buildMapUrl(window.location.href, getMapState()));
+}
+
+function handlePopupOpen(pin) {
+    openPinId = pin.id;
+    updateUrl();
+}
+
+function handlePopupClose(pin) {
+    // Opening another popup closes this one after the new one has opened
+    if (String(openPinId) === String(pin.id)) {
+        openPinId = null;
+        updateUrl();
+    }
+}
+
+// Share a link to the pin - native share sheet where available (mobile),
+// otherwise copy to the clipboard
+async function sharePin(pin, button) {
+    const url = buildMapUrl(window.location.href, { ...getMapState(), pinId: pin.id });
+    
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: getPinText(pin, 'title'), url });
+        } catch (err) {
+            // Dismissing the share sheet rejects - nothing to report
+            if (err.name !== 'AbortError') {
+                console.error('Share failed:', err);
+            }
+        }
+        return;
+    }
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = t('popup.linkCopied');
+        setTimeout(() => { button.textContent = t('popup.share'); }, SHARE_CONFIRM_MS);
+    } catch (err) {
+        // No clipboard access (e.g. insecure context) - let the visitor copy it
+        window.prompt(t('popup.copyLink'), url);
+    }
+}
+
+// =============================================================================
+// Help Requests
+// =============================================================================
+
+// Requests go to the admin moderation queue, not onto the map - a
+// coordinator approves them into pins (see admin.js)
+function setupHelpRequests() {
+    helpRequestBtn.onclick = openHelpForm;
+    helpCloseBtn.onclick = closeHelpForm;
+    helpCancelBtn.onclick = closeHelpForm;
+    helpDoneBtn.onclick = closeHelpForm;
+    helpForm.onsubmit = handleHelpSubmit;
+    helpPickBtn.onclick = startHelpLocationPick;
+    helpPickCancelBtn.onclick = stopHelpLocationPick;
+    helpGeolocateBtn.onclick = useDeviceLocationForHelp;
+    helpLocateBtn.onclick = handleHelpAddressLookup;
+    helpPhotoInput.onchange = handleHelpPhotoChange;
+    
+    // Enter in the address field looks it up instead of sending the form
+    helpAddressInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleHelpAddressLookup();
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        
+        if (isPickingHelpLocation) {
+            stopHelpLocationPick();
+        } else if (!helpModal.classList.contains('is-hidden')) {
+            closeHelpForm();
+        }
+    });
+    
+    getMap().on('click', handleHelpMapClick);
+    renderHelpLocation();
+}
+
+function openHelpForm() {
+    getMap().closePopup();
+    hideHelpError();
+    
+    helpForm.classList.remove('is-hidden');
+    helpDone.classList.add('is-hidden');
+    helpModal.classList.remove('is-hidden');
+    helpDescriptionInput.focus();
+}
+
+// Closing discards the request - the form starts empty next time
+function closeHelpForm() {
+    helpModal.classList.add('is-hidden');
+    resetHelpForm();
+    helpRequestBtn.focus();
+}
+
+function resetHelpForm() {
+    helpForm.reset();
+    helpPhoto = '';
+    helpPhotoPreview.removeAttribute('src');
+    helpPhotoPreview.classList.add('is-hidden');
+    clearHelpLocation();
+    hideHelpError();
+}
+
+function setHelpLocation(lat, lng, address = '') {
+    helpLocation = { lat, lng, address };
+    
+    if (helpLocationMarker) {
+        helpLocationMarker.setLatLng([lat, lng]);
+    } else {
+        helpLocationMarker = L.marker([lat, lng], {
+            interactive: false,
+            keyboard: false,
+            icon: L.divIcon({
+                className: 'location-marker',
+                iconSize: [22, 22]
+            })
+        }).addTo(getMap());
+    }
+    
+    renderHelpLocation();
+}
+
+function clearHelpLocation() {
+    helpLocation = null;
+    
+    if (helpLocationMarker) {
+        getMap().removeLayer(helpLocationMarker);
+        helpLocationMarker = null;
+    }
+    
+    renderHelpLocation();
+}
+
+function renderHelpLocation() {
+    if (!helpLocation) {
+        showHelpLocationMessage(t('help.noLocation'));
+        return;
+    }
+    
+    const { lat, lng, address } = helpLocation;
+    showHelpLocationMessage(t('help.locationSet', {
+        place: address || `${lat.toFixed(5)}, ${lng.toFixed(5)}`
+    }));
+}
+
+function showHelpLocationMessage(message, isError = false) {
+    helpLocationText.textContent = message;
+    helpLocationText.classList.toggle('form-hint--error', isError);
+}
+
+// Hide the form so the whole map is tappable; the next click sets the
+// location and brings the form back
+function startHelpLocationPick() {
+    if (isListViewOpen) {
+        closeListView();
+    }
+    
+    isPickingHelpLocation = true;
+    helpModal.classList.add('is-hidden');
+    helpPickBanner.classList.remove('is-hidden');
+    mapContainer.classList.add('map-container--picking');
+}
+
+function stopHelpLocationPick() {
+    isPickingHelpLocation = false;
+    helpPickBanner.classList.add('is-hidden');
+    mapContainer.classList.remove('map-container--picking');
+    helpModal.classList.remove('is-hidden');
+    helpPickBtn.focus();
+}
+
+function handleHelpMapClick(e) {
+    if (!isPickingHelpLocation) return;
+    
+    setHelpLocation(e.latlng.lat, e.latlng.lng);
+    stopHelpLocationPick();
+}
+
+function useDeviceLocationForHelp() {
+    if (!navigator.geolocation) {
+        showHelpLocationMessage(t('help.locateFailed'), true);
+        return;
+    }
+    
+    showHelpLocationMessage(t('help.locating'));
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            const { latitude, longitude } = position.coords;
+            setHelpLocation(latitude, longitude);
+            getMap().setView([latitude, longitude], Math.max(getMap().getZoom(), 14));
+        },
+        (err) => {
+            console.error('Geolocation failed:', err);
+            showHelpLocationMessage(t('help.locateFailed'), true);
+        },
+        { enableHighAccuracy: true, timeout: 15000 }
+    );
+}
+
+async function handleHelpAddressLookup() {
+    const query = helpAddressInput.value.trim();
+    if (!query) {
+        helpAddressInput.focus();
+        return;
+    }
+    
+    const coords = parseCoordinates(query);
+    if (coords) {
+        setHelpLocation(coords.lat, coords.lng);
+        return;
+    }
+    
+    showHelpLocationMessage(t('search.searching'));
+    
+    try {
+        const place = await geocode(query);
+        if (!place) {
+            showHelpLocationMessage(t('search.notFound', { query }), true);
+            return;
+        }
+        
+        setHelpLocation(place.lat, place.lng, place.label || place.display);
+        getMap().setView([place.lat, place.lng], Math.max(getMap().getZoom(), 14));
+    } catch (err) {
+        console.error('Address lookup failed:', err);
+        showHelpLocationMessage(t('search.failed'), true);
+    }
+}
+
+async function handleHelpPhotoChange() {
+    const [file] = helpPhotoInput.files;
+    
+    helpPhoto = '';
+    helpPhotoPreview.classList.add('is-hidden');
+    hideHelpError();
+    if (!file) return;
+    
+    try {
+        helpPhoto = await readPhoto(file);
+        helpPhotoPreview.src = helpPhoto;
+        helpPhotoPreview.classList.remove('is-hidden');
+    } catch (err) {
+        console.error('Photo could not be read:', err);
+        helpPhotoInput.value = '';
+        showHelpError(t('help.photoFailed'));
+    }
+}
+
+async function handleHelpSubmit(e) {
+    e.preventDefault();
+    if (isSendingHelpRequest) return;
+    
+    hideHelpError();
+    
+    // An address typed but never looked up still counts
+    if (!helpLocation && helpAddressInput.value.trim()) {
+        await handleHelpAddressLookup();
+    }
+    
+    const description = helpDescriptionInput.value.trim();
+    const contact = helpContactInput.value.trim();
+    
+    if (!helpLocation) {
+        showHelpError(t('help.needLocation'));
+        return;
+    }
+    if (!description) {
+        showHelpError(t('help.needDescription'));
+        helpDescriptionInput.focus();
+        return;
+    }
+    if (!contact) {
+        showHelpError(t('help.needContact'));
+        helpContactInput.focus();
+        return;
+    }
+    
+    isSendingHelpRequest = true;
+    helpSubmitBtn.disabled = true;
+    helpSubmitBtn.textContent = t('help.sending');
+    
+    const sent = await submitHelpRequest({
+        ...helpLocation,
+        description,
+        name: helpNameInput.value.trim(),
+        contact,
+        photo: helpPhoto
+    });
+    
+    isSendingHelpRequest = false;
+    helpSubmitBtn.disabled = false;
+    helpSubmitBtn.textContent = t('help.submit');
+    
+    if (!sent) {
+        showHelpError(t('help.failed'));
+        return;
+    }
+    
+    resetHelpForm();
+    helpForm.classList.add('is-hidden');
+    helpDone.classList.remove('is-hidden');
+    helpDoneBtn.focus();
+}
+
+function showHelpError(message) {
+    helpFormError.textContent = message;
+    helpFormError.classList.remove('is-hidden');
+}
+
+function hideHelpError() {
+    helpFormError.textContent = '';
+    helpFormError.classList.add('is-hidden');
+}
+
+// =============================================================================
+// Embed
+// =============================================================================
+
+// Apply the embed page's URL options (see permalink.js) and return them
+function setupEmbed() {
+    const options = readEmbedOptions(window.location.search);
+    const { filters } = readMapState(window.location.search);
+    
+    if (filters) {
+        embedStatuses = new Set(filters.filter(hasStatus));
+        activeFilters = new Set(embedStatuses);
+    }
+    
+    searchBar.classList.toggle('is-hidden', !options.showSearch);
+    legend.classList.toggle('is-hidden', !options.showLegend);
+    
+    return options;
+}
+
+// =============================================================================
+// Language
+// =============================================================================
+
+// Pick the language before anything renders, then offer the switcher
+// (embeds have none - their language comes from the URL)
+function setupLanguage() {
+    initLanguage();
+    translatePage();
+    onLanguageChange(handleLanguageChange);
+    
+    if (!languageSelect) return;
+    
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.lang = code;
+        option.textContent = language.label;
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = getLanguage();
+    languageSelect.onchange = () => setLanguage(languageSelect.value);
+}
+
+// Redraw everything that shows translated text
+function handleLanguageChange() {
+    translatePage();
+    renderRadiusOptions();
+    
+    // A ?lang= parameter would override the new choice on reload
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('lang')) {
+        url.searchParams.delete('lang');
+        history.replaceState(null, '', url);
+    }
+    
+    renderLegend();
+    redrawMap();
+    
+    if (searchArea) {
+        updateSearchArea();
+    } else {
+        renderPinLists();
+    }
+    
+    if (showWeatherAlerts) {
+        loadWeatherAlerts();
+    }
+    
+    renderLastUpdated();
+    updateTimelineUI();
+    if (!isEmbed) {
+        renderHelpLocation();
+    }
+    updateUrl();
+}
+
+// =============================================================================
+// Statuses
+// =============================================================================
+
+// Statuses are managed in the admin panel - until they're set up (or while
+// offline with nothing saved) the built-in ones apply
+async function loadStatuses() {
+    setStatuses(await getAllStatuses());
+    activeFilters = new Set(getStatusKeys());
+    knownStatusKeys = getStatusKeys();
+    onStatusesChange(handleStatusesChange);
+}
+
+// An admin added, edited, reordered or deleted a status. New statuses start
+// shown (embeds stick to their show= list); deleted ones leave the filters.
+function handleStatusesChange() {
+    const keys = getStatusKeys();
+    
+    if (!embedStatuses) {
+        keys.filter(key => !knownStatusKeys.includes(key)).forEach(key => activeFilters.add(key));
+    }
+    activeFilters = new Set([...activeFilters].filter(key => keys.includes(key)));
+    knownStatusKeys = keys;
+    
+    renderLegend();
+    redrawMap();
+    applyFilter(activeFilters, activeCategories);
+    renderPinLists();
+    updateUrl();
+}
+
+// Rebuild markers and areas after their colors or text change. Re-rendering
+// closes the open popup, so it's reopened.
+function redrawMap() {
+    const reopenPinId = openPinId;
+    renderPins(pinsCache);
+    renderDisplayedAreas();
+    if (reopenPinId !== null) {
+        openPinPopup(reopenPinId);
+    }
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+function setupExport() {
+    exportKmlBtn.onclick = () => exportVisiblePins('kml');
+    exportGpxBtn.onclick = () => exportVisiblePins('gpx');
+}
+
+// Pins matching the legend filters, limited to the search area if there is one
+function getVisiblePins() {
+    const pins = pinsCache.filter(isPinShown);
+    
+    if (!searchArea) {
+        return pins;
+    }
+    
+    return pins.filter(pin =>
+        haversineDistance(searchArea.lat, searchArea.lng, pin.lat, pin.lng) <= searchArea.radiusMiles
+    );
+}
+
+function exportVisiblePins(format) {
+    const pins = getVisiblePins();
+    
+    if (pins.length === 0) {
+        alert(t('legend.exportEmpty'));
+        return;
+    }
+    
+    if (format === 'kml') {
+        downloadFile(buildExportFilename('kml'), pinsToKML(pins), 'application/vnd.google-earth.kml+xml');
+    } else {
+        downloadFile(buildExportFilename('gpx'), pinsToGPX(pins), 'application/gpx+xml');
+    }
+}
+
+// =============================================================================
+// Counts & Timestamps
+// =============================================================================
+
+// Each legend item counts every displayed pin with its status or category,
+// whatever the other facet's filters
+function updateCounts() {
+    const statusCounts = {};
+    const categoryCounts = {};
+    
+    pinsCache.forEach(pin => {
+        statusCounts[pin.status] = (statusCounts[pin.status] || 0) + 1;
+        const category = getCategoryKey(pin);
+        categoryCounts[category] = (categoryCounts[category] || 0) + 1;
+    });
+    
+    // Update count displays
+    legendList.querySelectorAll('.legend__item').forEach(item => {
+        item.querySelector('.legend__count').textContent = statusCounts[item.dataset.status] || 0;
+    });
+    categoryList.querySelectorAll('.legend__item').forEach(item => {
+        item.querySelector('.legend__count').textContent = categoryCounts[item.dataset.category] || 0;
+    });
+}
+
+function updateLastUpdated() {
+    if (!isOffline) {
+        dataTimestamp = new Date();
+    }
+    
+    renderLastUpdated();
+}
+
+function renderLastUpdated() {
+    lastUpdatedEl.classList.toggle('legend__updated--offline', isOffline);
+    
+    if (!dataTimestamp) {
+        lastUpdatedEl.textContent = t('legend.offlineNoData');
+        return;
+    }
+    
+    const timeStr = formatDate(dataTimestamp, { hour: '2-digit', minute: '2-digit' });
+    
+    if (isOffline) {
+        const isToday = dataTimestamp.toDateString() === new Date().toDateString();
+        const dateStr = isToday
+            ? timeStr
+            : formatDate(dataTimestamp, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        lastUpdatedEl.textContent = t('legend.offlineFrom', { date: dateStr });
+    } else {
+        lastUpdatedEl.textContent = t('legend.updated', { time: timeStr });
+    }
+}
+
+// =============================================================================
+// Offline
+// =============================================================================
+
+async function loadPins() {
+    const { pins, offline, cachedAt } = await getAllPinsCached();
+    
+    allPins = pins;
+    pinsCache = pins.map(pin => getDisplayedPin(pin)).filter(Boolean);
+    isOffline = offline;
+    if (isOffline) {
+        dataTimestamp = cachedAt ? new Date(cachedAt) : null;
+    }
+    
+    renderPins(pinsCache);
+    updateCounts();
+    renderPinLists();
+    updateLastUpdated();
+}
+
+// Areas aren't kept in the offline snapshot - while offline the map keeps
+// whatever was loaded last
+async function loadAreas() {
+    const areas = await getAllAreas();
+    if (areas.length > 0 || !isOffline) {
+        allAreas = areas;
+    }
+    renderDisplayedAreas();
+}
+
+function setupConnectivity() {
+    window.addEventListener('offline', () => {
+        isOffline = true;
+        updateLastUpdated();
+    });
+    
+    window.addEventListener('online', refreshIfOffline);
+}
+
+function refreshIfOffline() {
+    // Realtime events may have been missed while disconnected
+    if (isOffline) {
+        loadPins();
+        loadAreas();
+    }
+}
+
+// =============================================================================
+// Realtime
+// =============================================================================
+
+function setupRealtime() {
+    subscribeToChanges(
+        // On insert
+        (newPin) => {
+            console.log('Realtime: New pin', newPin.id);
+            allPins.push(newPin);
+            const shown = syncDisplayedPin(newPin);
+            updateCounts();
+            renderPinLists();
+            updateLastUpdated();
+            savePinSnapshot(allPins);
+            
+            // Re-apply filters to include new pin
+            if (shown && !isPinShown(shown)) {
+                applyFilter(activeFilters, activeCategories);
+            }
+        },
+        // On update
+        (updatedPin) => {
+            console.log('Realtime: Updated pin', updatedPin.id);
+            const index = allPins.findIndex(p => p.id === updatedPin.id);
+            if (index !== -1) {
+                allPins[index] = updatedPin;
+            } else {
+                allPins.push(updatedPin);
+            }
+            syncDisplayedPin(updatedPin);
+            updateCounts();
+            renderPinLists();
+            updateLastUpdated();
+            savePinSnapshot(allPins);
+        },
+        // On delete
+        (deletedPin) => {
+            console.log('Realtime: Deleted pin', deletedPin.id);
+            allPins = allPins.filter(p => p.id !== deletedPin.id);
+            pinsCache = pinsCache.filter(p => p.id !== deletedPin.id);
+            removePinFromMap(deletedPin.id);
+            updateCounts();
+            renderPinLists();
+            updateLastUpdated();
+            savePinSnapshot(allPins);
+        },
+        // On channel status - (re)joining means we're back online
+        (status) => {
+            if (status === 'SUBSCRIBED') {
+                refreshIfOffline();
+            }
+        }
+    );
+    
+    // Status edits replace the whole list - there are only a handful
+    subscribeToStatusChanges(async () => {
+        console.log('Realtime: Statuses changed');
+        setStatuses(await getAllStatuses());
+    });
+    
+    subscribeToAreaChanges(
+        // On insert
+        (newArea) => {
+            console.log('Realtime: New area', newArea.id);
+            allAreas.push(newArea);
+            renderDisplayedAreas();
+        },
+        // On update
+        (updatedArea) => {
+            console.log('Realtime: Updated area', updatedArea.id);
+            allAreas = allAreas.filter(a => a.id !== updatedArea.id).concat(updatedArea);
+            renderDisplayedAreas();
+        },
+        // On delete
+        (deletedArea) => {
+            console.log('Realtime: Deleted area', deletedArea.id);
+            allAreas = allAreas.filter(a => a.id !== deletedArea.id);
+            renderDisplayedAreas();
+        }
+    );
+}
+
+// Areas are few, so they're simply re-rendered whenever anything changes.
+// They share the pins' timestamp fields, so the timeline applies as-is.
+function renderDisplayedAreas() {
+    renderAreas(allAreas.map(area => getDisplayedPin(area)).filter(Boolean));
+}
+
+// How a pin should be displayed: live (with expiry applied) or as it was at
+// the timeline's time. Returns null if it shouldn't be on the map (including
+// statuses an embed leaves out).
+function getDisplayedPin(pin, now = Date.now()) {
+    const shown = timelineTime === null ? applyExpiry(pin, now) : getPinAt(pin, timelineTime);
+    
+    if (shown && embedStatuses && !embedStatuses.has(shown.status)) {
+        return null;
+    }
+    return shown;
+}
+
+// Bring a pin's marker in line with how it should be displayed now - added,
+// patched in place (so open popups stay open) or removed if it's hidden.
+// Returns the displayed pin, or null if it's hidden.
+function syncDisplayedPin(pin, now = Date.now()) {
+    const shown = getDisplayedPin(pin, now);
+    const index = pinsCache.findIndex(p => p.id === pin.id);
+    
+    if (!shown) {
+        if (index !== -1) {
+            pinsCache.splice(index, 1);
+            removePinFromMap(pin.id);
+        }
+        return null;
+    }
+    
+    if (index !== -1) {
+        pinsCache[index] = shown;
+        updatePinOnMap(shown);
+    } else {
+        pinsCache.push(shown);
+        addPinToMap(shown);
+    }
+    return shown;
+}
+
+// =============================================================================
+// Expiry
+// =============================================================================
+
+// Pins expire on their own schedule, not when the data changes, so the page
+// re-checks periodically
+function setupExpiryCheck() {
+    setInterval(refreshDisplayedPins, CONFIG.ExpiryCheckSeconds * 1000);
+}
+
+// Re-derive how every pin should be displayed (after time passes or the
+// timeline moves) and update the markers that appeared, vanished or changed
+// status
+function refreshDisplayedPins() {
+    const now = Date.now();
+    const displayedById = new Map(pinsCache.map(pin => [pin.id, pin]));
+    
+    const changed = allPins.filter(pin => {
+        const displayed = displayedById.get(pin.id);
+        const shown = getDisplayedPin(pin, now);
+        return Boolean(displayed) !== Boolean(shown) ||
+            (shown && displayed.status !== shown.status);
+    });
+    
+    if (changed.length === 0) return;
+    
+    if (changed.length > BULK_RENDER_THRESHOLD) {
+        pinsCache = allPins.map(pin => getDisplayedPin(pin, now)).filter(Boolean);
+        renderPins(pinsCache);
+    } else {
+        changed.forEach(pin => syncDisplayedPin(pin, now));
+    }
+    updateCounts();
+    renderPinLists();
+}
+
+// =============================================================================
+// Timeline
+// =============================================================================
+
+function setupTimeline() {
+    timelineSlider.min = 0;
+    timelineSlider.max = TIMELINE_STEPS;
+    timelineSlider.value = TIMELINE_STEPS;
+    
+    timelineSlider.addEventListener('input', handleTimelineInput);
+    timelinePlayBtn.onclick = toggleTimelinePlayback;
+    timelineLiveBtn.onclick = showLive;
+    updateTimelineUI();
+}
+
+function handleTimelineInput() {
+    stopTimelinePlayback();
+    showTimelinePosition(Number(timelineSlider.value));
+}
+
+// Show the map as it was at a slider position (the last position is live)
+function showTimelinePosition(position) {
+    if (position >= TIMELINE_STEPS) {
+        showLive();
+        return;
+    }
+    
+    // The span is fixed on entering replay so the slider doesn't drift
+    if (timelineTime === null) {
+        timelineRange = getTimelineRange(allPins);
+    }
+    
+    const { start, end } = timelineRange;
+    timelineTime = start + (end - start) * position / TIMELINE_STEPS;
+    timelineSlider.value = position;
+    
+    refreshDisplayedPins();
+    renderDisplayedAreas();
+    renderListView();
+    updateTimelineUI();
+}
+
+function showLive() {
+    stopTimelinePlayback();
+    timelineTime = null;
+    timelineSlider.value = TIMELINE_STEPS;
+    
+    refreshDisplayedPins();
+    renderDisplayedAreas();
+    renderListView();
+    updateTimelineUI();
+}
+
+function toggleTimelinePlayback() {
+    if (timelineTimer) {
+        stopTimelinePlayback();
+        renderListView();
+        return;
+    }
+    
+    // Play from the start unless paused part way through
+    let position = timelineTime === null ? 0 : Number(timelineSlider.value);
+    
+    timelineTimer = setInterval(() => {
+        position += TIMELINE_STEPS / TIMELINE_PLAY_FRAMES;
+        showTimelinePosition(Math.min(position, TIMELINE_STEPS));
+    }, TIMELINE_FRAME_MS);
+    showTimelinePosition(position);
+}
+
+function stopTimelinePlayback() {
+    if (!timelineTimer) return;
+    
+    clearInterval(timelineTimer);
+    timelineTimer = null;
+    updateTimelineUI();
+}
+
+function updateTimelineUI() {
+    const isPlaying = Boolean(timelineTimer);
+    const isLive = timelineTime === null;
+    
+    timelinePlayBtn.textContent = isPlaying ? '⏸' : '▶';
+    timelinePlayBtn.setAttribute('aria-label', t(isPlaying ? 'timeline.pause' : 'timeline.play'));
+    timelineDate.textContent = isLive ? t('timeline.live') : formatTimelineDate(timelineTime);
+    timelineLiveBtn.classList.toggle('is-hidden', isLive);
+    timeline.classList.toggle('timeline--replay', !isLive);
+}
+
+function formatTimelineDate(time) {
+    return formatDate(time, {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
 }
 
 // =============================================================================
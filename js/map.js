@@ -1,34 +1,83 @@
 // =============================================================================
 // FILENAME: map.js
 // =============================================================================
-// Purpose: Leaflet map initialization and pin marker management
+// Purpose: Leaflet map initialization and pin/area feature management
 //
 // Responsibilities:
 // - Initialize Leaflet map with tile layer
-// - Create styled circle markers with pulse animation
-// - Build popup content with conditional CTA buttons
+// - Create styled circle markers with pulse animation, showing the pin's
+//   category icon inside
+// - Build popup content with conditional CTA buttons (and a Share button
+//   when the page handles sharing), optionally compact for embeds; Get Help
+//   opens the page's request form when it has one
 // - CRUD operations for markers on map
+// - Cluster nearby markers into severity-colored count bubbles
+// - Area features (polygons and lines) styled by status, dimmed by the
+//   same status filters as pins
+// - Filter pins by status and category together
+// - Weather alert overlay (NWS polygons colored by severity)
+// - Preview layer for pins that haven't been saved yet (imports)
 //
 // Dependencies:
-// - config.js (CONFIG, PIN_STATUS)
+// - config.js (CONFIG, PIN_CATEGORIES, NO_CATEGORY)
+// - statuses.js (getStatus)
+// - weather.js (ALERT_SEVERITY)
+// - i18n.js (t, tCount, formatDate, getPinText, getCategoryLabel)
 // - Leaflet (global L)
 //
 // Public API:
 // - initMap(containerId, options) -> map instance
 // - getMap() -> map instance
-// - renderPins(pins), addPinToMap(pin), removePinFromMap(id)
-// - panToPin(pin), clearMarkers()
+// - renderPins(pins), addPinToMap(pin), updatePinOnMap(pin), removePinFromMap(id)
+// - getPinMarker(id), panToPin(pin), openPinPopup(id), clearMarkers()
+// - createPinActions(pin) -> call-to-action links shared with pin lists
+// - setPinPopupHandlers({ onOpen, onClose, onShare, onRequestHelp })
+// - renderAreas(areas), addAreaToMap(area), updateAreaOnMap(area), removeAreaFromMap(id)
+// - getAreaLayer(id)
+// - renderWeatherAlerts(alerts), clearWeatherAlerts()
+// - applyFilter(activeStatuses, activeCategories), clearFilter()
+// - getCategoryKey(pin) -> category key, or NO_CATEGORY
+// - showPreviewPins(pins), clearPreviewPins()
 // =============================================================================
 
-import { CONFIG, PIN_STATUS } from './config.js';
+import { CONFIG, PIN_CATEGORIES, NO_CATEGORY } from './config.js';
+import { getStatus } from './statuses.js';
+import { ALERT_SEVERITY } from './weather.js';
+import { t, tCount, formatDate, getPinText, getCategoryLabel } from './i18n.js';
+
+const AREAS_PANE = 'areas';
+const WEATHER_PANE = 'weather';
 
 let mapInstance = null;
 let markersLayer = null;
+let areasLayer = null;
+let weatherLayer = null;
+let previewLayer = null;
+
+// Every pin marker keyed by pin ID, whether currently shown on its own or
+// inside a cluster
+const markerRegistry = new Map();
+
+// Every area layer keyed by area ID
+const areaRegistry = new Map();
+
+// Page callbacks for pin popups (see setPinPopupHandlers)
+let pinPopupHandlers = {};
+
+// Statuses and categories shown at full opacity (null = no filter)
+let activeStatuses = null;
+let activeCategories = null;
+let clusteringEnabled = false;
+
+// Short popups (embedded maps) - see initMap's compactPopups option
+let compactPopups = false;
 
 /**
  * Initialize the Leaflet map
  * @param {string} containerId - DOM element ID for the map
- * @param {Object} options - Optional overrides
+ * @param {Object} options - Optional overrides (center, zoom, minZoom,
+ *   maxZoom, cluster, compactPopups: leave the date and address out of
+ *   popups and clip long summaries)
  * @returns {Object} Leaflet map instance
  */
 export function initMap(containerId, options = {}) {
@@ -37,6 +86,8 @@ export function initMap(containerId, options = {}) {
         zoom: CONFIG.MapZoom,
         minZoom: CONFIG.MapMinZoom,
         maxZoom: CONFIG.MapMaxZoom,
+        cluster: CONFIG.ClusterPins,
+        compactPopups: false,
         ...options
     };
     
@@ -51,12 +102,29 @@ export function initMap(containerId, options = {}) {
     // Add zoom control to bottom-left (avoids search bar overlap)
     L.control.zoom({ position: 'bottomleft' }).addTo(mapInstance);
     
+    // CORS tile requests let sw.js cache tiles at their real size - opaque
+    // responses count against the storage quota at several MB each
     L.tileLayer(CONFIG.TileUrl, {
-        attribution: CONFIG.TileAttribution
+        attribution: CONFIG.TileAttribution,
+        crossOrigin: true
     }).addTo(mapInstance);
     
-    // Layer group for markers (easy to clear/refresh)
+    // Areas get their own pane below the pins' so they never cover a marker,
+    // and weather alerts sit below the areas
+    mapInstance.createPane(AREAS_PANE).style.zIndex = 350;
+    mapInstance.createPane(WEATHER_PANE).style.zIndex = 340;
+    
+    // Layer groups for alerts, areas and markers (easy to clear/refresh)
+    weatherLayer = L.layerGroup().addTo(mapInstance);
+    areasLayer = L.layerGroup().addTo(mapInstance);
     markersLayer = L.layerGroup().addTo(mapInstance);
+    previewLayer = L.layerGroup().addTo(mapInstance);
+    
+    // Clusters depend on pixel distance, so regroup whenever zoom changes
+    clusteringEnabled = config.cluster;
+    mapInstance.on('zoomend', refreshMarkers);
+    
+    compactPopups = config.compactPopups;
     
     return mapInstance;
 }
@@ -69,30 +137,118 @@ export function getMap() {
     return mapInstance;
 }
 
+/**
+ * Set callbacks for pin popups. Call before rendering pins - popups built
+ * earlier won't have a Share button.
+ * @param {Object} handlers - { onOpen(pin), onClose(pin): a pin's popup
+ *   opened/closed; onShare(pin, button): adds a Share button to popups;
+ *   onRequestHelp(pin): Get Help buttons call it instead of following
+ *   CONFIG.RequestHelpUrl }
+ */
+export function setPinPopupHandlers(handlers) {
+    pinPopupHandlers = handlers;
+}
+
 /**
  * Build CSS class string for a pin marker
  * @param {string} status - Pin status key
+ * @param {boolean} isPending - Pin has unsynced offline edits (admin only)
  * @returns {string} Space-separated class names
  */
-function getMarkerClassName(status) {
-    const baseClass = `pin-marker--${status}`;
+function getMarkerClassName(status, isPending = false) {
+    const baseClass = isPending
+        ? `pin-marker--${status} pin-marker--pending`
+        : `pin-marker--${status}`;
     
-    // Past pins don't pulse
-    if (status === 'past') {
+    // Statuses with pulse off (e.g. Past) look static; pending pins don't pulse
+    if (!getStatus(status).pulse) {
+        return `pin-marker--static ${baseClass}`;
+    }
+    if (isPending) {
         return baseClass;
     }
     
     return `pin-marker--pulse ${baseClass}`;
 }
 
+/**
+ * Glow color for a pulsing marker - its status color at 90% opacity
+ * @param {string} color - Status color (#rrggbb)
+ * @returns {string} #rrggbbaa
+ */
+function getPulseColor(color) {
+    return `${color}e6`;
+}
+
+/**
+ * Registry key for a pin ID (IDs arrive as numbers from the API but as
+ * strings from form inputs)
+ * @param {string|number} pinId - Pin ID
+ * @returns {string}
+ */
+function markerKey(pinId) {
+    return String(pinId);
+}
+
+/**
+ * Swap a marker's status classes, both in its options (used when the
+ * element is recreated) and on the live element
+ * @param {Object} marker - Leaflet circle marker
+ * @param {string} className - New space-separated class names
+ */
+function setMarkerClassName(marker, className) {
+    const el = marker.getElement();
+    if (el) {
+        el.classList.remove(...marker.options.className.split(' '));
+        el.classList.add(...className.split(' '));
+    }
+    marker.options.className = className;
+}
+
+/**
+ * A pin's category key
+ * @param {Object} pin - Pin data
+ * @returns {string} Key in PIN_CATEGORIES, or NO_CATEGORY if it has none
+ *   (or one that's no longer defined)
+ */
+export function getCategoryKey(pin) {
+    return PIN_CATEGORIES[pin.category] ? pin.category : NO_CATEGORY;
+}
+
+/**
+ * Show a pin's category icon inside its marker. The icon is a permanent,
+ * centered tooltip, so it follows the marker in and out of clusters; pins
+ * with an icon get a larger circle to fit it.
+ * @param {Object} marker - Leaflet circle marker with pinData
+ */
+function syncMarkerCategory(marker) {
+    const category = PIN_CATEGORIES[getCategoryKey(marker.pinData)];
+    
+    marker.setRadius(category ? 13 : 10);
+    
+    if (!category) {
+        marker.unbindTooltip();
+    } else if (marker.getTooltip()) {
+        marker.setTooltipContent(category.icon);
+    } else {
+        marker.bindTooltip(category.icon, {
+            permanent: true,
+            direction: 'center',
+            interactive: false,
+            opacity: 1,
+            className: 'pin-marker__icon'
+        });
+    }
+}
+
 /**
  * Create a colored circle marker for a pin
  * @param {Object} pin - Pin data
  * @returns {Object} Leaflet marker
  */
 export function createPinMarker(pin) {
-    const status = PIN_STATUS[pin.status] || PIN_STATUS.active;
-    const className = getMarkerClassName(pin.status);
+    const status = getStatus(pin.status);
+    const className = getMarkerClassName(pin.status, Boolean(pin._pending));
     
     const marker = L.circleMarker([pin.lat, pin.lng], {
         radius: 10,
@@ -107,6 +263,17 @@ export function createPinMarker(pin) {
     // Store pin data on marker for reference
     marker.pinData = pin;
     
+    // Bound first so the icon is open by the time the add handler below
+    // dims it
+    syncMarkerCategory(marker);
+    
+    // Marker elements are recreated each time they leave a cluster,
+    // so filter dimming and the glow color have to be re-applied on every add
+    marker.on('add', () => {
+        syncMarkerDimming(marker);
+        syncMarkerPulseColor(marker);
+    });
+    
     return marker;
 }
 
@@ -116,11 +283,10 @@ export function createPinMarker(pin) {
  * @returns {HTMLElement} Popup content element
  */
 export function createPopupContent(pin) {
-    const status = PIN_STATUS[pin.status] || PIN_STATUS.active;
-    const date = new Date(pin.created_at).toLocaleDateString();
+    const status = getStatus(pin.status);
     
     const container = document.createElement('div');
-    container.className = 'pin-popup';
+    container.className = compactPopups ? 'pin-popup pin-popup--compact' : 'pin-popup';
     
     // Header
     const header = document.createElement('div');
@@ -132,20 +298,39 @@ export function createPopupContent(pin) {
     
     const title = document.createElement('span');
     title.className = 'pin-popup__title';
-    title.textContent = pin.title;
+    title.textContent = getPinText(pin, 'title');
     
     header.appendChild(statusDot);
     header.appendChild(title);
     container.appendChild(header);
     
-    // Date
-    const dateEl = document.createElement('div');
-    dateEl.className = 'pin-popup__date';
-    dateEl.textContent = date;
-    container.appendChild(dateEl);
+    // Category (spelled out - the marker only shows its icon)
+    const categoryKey = getCategoryKey(pin);
+    if (categoryKey !== NO_CATEGORY) {
+        const categoryEl = document.createElement('div');
+        categoryEl.className = 'pin-popup__category';
+        categoryEl.textContent = `${PIN_CATEGORIES[categoryKey].icon} ${getCategoryLabel(categoryKey)}`;
+        container.appendChild(categoryEl);
+    }
+    
+    // Date (unsaved preview pins don't have one yet)
+    if (pin.created_at && !compactPopups) {
+        const dateEl = document.createElement('div');
+        dateEl.className = 'pin-popup__date';
+        dateEl.textContent = formatDate(pin.created_at);
+        container.appendChild(dateEl);
+    }
+    
+    // Offline edit not yet synced (admin only)
+    if (pin._pending) {
+        const pendingEl = document.createElement('div');
+        pendingEl.className = 'pin-popup__pending';
+        pendingEl.textContent = t(pin._pending === 'delete' ? 'popup.pendingDelete' : 'popup.pendingSync');
+        container.appendChild(pendingEl);
+    }
     
     // Address (if present)
-    if (pin.address) {
+    if (pin.address && !compactPopups) {
         const addressEl = document.createElement('div');
         addressEl.className = 'pin-popup__address';
         addressEl.textContent = pin.address;
@@ -153,63 +338,126 @@ export function createPopupContent(pin) {
     }
     
     // Summary
-    if (pin.summary) {
+    const summaryText = getPinText(pin, 'summary');
+    if (summaryText) {
         const summary = document.createElement('p');
         summary.className = 'pin-popup__summary';
-        summary.textContent = pin.summary;
+        summary.textContent = summaryText;
         container.appendChild(summary);
     }
     
     // Action buttons (only if at least one is enabled)
+    const actions = createPinActions(pin);
+    if (actions) {
+        container.appendChild(actions);
+    }
+    
+    // Share link (saved pins only - previews and areas have no link of their own)
+    if (pinPopupHandlers.onShare && pin.id != null && pin.lat != null) {
+        const shareBtn = document.createElement('button');
+        shareBtn.type = 'button';
+        shareBtn.className = 'pin-popup__share';
+        shareBtn.textContent = t('popup.share');
+        shareBtn.onclick = () => pinPopupHandlers.onShare(pin, shareBtn);
+        container.appendChild(shareBtn);
+    }
+    
+    return container;
+}
+
+/**
+ * Text for a pin or area's own link. The default "More Info" is translated;
+ * custom text is shown as the admin wrote it.
+ * @param {Object} item - Pin or area data
+ * @returns {string}
+ */
+function getLinkText(item) {
+    return item.url_text && item.url_text !== 'More Info' ? item.url_text : t('popup.moreInfo');
+}
+
+/**
+ * Build a pin's call-to-action links (Donate, Volunteer, Get Help, plus its
+ * custom link)
+ * @param {Object} pin - Pin data
+ * @returns {HTMLElement|null} Actions row, or null if none of the three
+ *   buttons is enabled
+ */
+export function createPinActions(pin) {
     const showDonate = pin.show_donate === true;
     const showVolunteer = pin.show_volunteer === true;
     const showHelp = pin.show_help === true;
     
-    if (showDonate || showVolunteer || showHelp) {
-        const actions = document.createElement('div');
-        actions.className = 'pin-popup__actions';
-        
-        if (showDonate) {
-            const donateBtn = document.createElement('a');
-            donateBtn.className = 'pin-popup__btn pin-popup__btn--donate';
-            donateBtn.href = CONFIG.DonateUrl;
-            donateBtn.target = '_blank';
-            donateBtn.textContent = 'Donate';
-            actions.appendChild(donateBtn);
-        }
-        
-        if (showVolunteer) {
-            const volunteerBtn = document.createElement('a');
-            volunteerBtn.className = 'pin-popup__btn pin-popup__btn--volunteer';
-            volunteerBtn.href = CONFIG.VolunteerUrl;
-            volunteerBtn.target = '_blank';
-            volunteerBtn.textContent = 'Volunteer';
-            actions.appendChild(volunteerBtn);
-        }
-        
-        if (showHelp) {
-            const helpBtn = document.createElement('a');
-            helpBtn.className = 'pin-popup__btn pin-popup__btn--help';
-            helpBtn.href = CONFIG.RequestHelpUrl;
-            helpBtn.target = '_blank';
-            helpBtn.textContent = 'Get Help';
-            actions.appendChild(helpBtn);
-        }
-        
-        // Custom URL button
-        if (pin.url) {
-            const urlBtn = document.createElement('a');
-            urlBtn.className = 'pin-popup__btn pin-popup__btn--url';
-            urlBtn.href = pin.url;
-            urlBtn.target = '_blank';
-            urlBtn.textContent = pin.url_text || 'More Info';
-            actions.appendChild(urlBtn);
+    if (!showDonate && !showVolunteer && !showHelp) {
+        return null;
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'pin-popup__actions';
+    
+    if (showDonate) {
+        const donateBtn = document.createElement('a');
+        donateBtn.className = 'pin-popup__btn pin-popup__btn--donate';
+        donateBtn.href = CONFIG.DonateUrl;
+        donateBtn.target = '_blank';
+        donateBtn.textContent = t('popup.donate');
+        actions.appendChild(donateBtn);
+    }
+    
+    if (showVolunteer) {
+        const volunteerBtn = document.createElement('a');
+        volunteerBtn.className = 'pin-popup__btn pin-popup__btn--volunteer';
+        volunteerBtn.href = CONFIG.VolunteerUrl;
+        volunteerBtn.target = '_blank';
+        volunteerBtn.textContent = t('popup.volunteer');
+        actions.appendChild(volunteerBtn);
+    }
+    
+    if (showHelp) {
+        const helpBtn = document.createElement('a');
+        helpBtn.className = 'pin-popup__btn pin-popup__btn--help';
+        helpBtn.href = CONFIG.RequestHelpUrl;
+        helpBtn.target = '_blank';
+        helpBtn.textContent = t('popup.getHelp');
+        if (pinPopupHandlers.onRequestHelp) {
+            helpBtn.onclick = (e) => {
+                e.preventDefault();
+                pinPopupHandlers.onRequestHelp(pin);
+            };
         }
-        
-        container.appendChild(actions);
+        actions.appendChild(helpBtn);
     }
     
-    return container;
+    // Custom URL button
+    if (pin.url) {
+        const urlBtn = document.createElement('a');
+        urlBtn.className = 'pin-popup__btn pin-popup__btn--url';
+        urlBtn.href = pin.url;
+        urlBtn.target = '_blank';
+        urlBtn.textContent = getLinkText(pin);
+        actions.appendChild(urlBtn);
+    }
+    
+    return actions;
+}
+
+/**
+ * Create a marker with its popup bound
+ * @param {Object} pin - Pin data
+ * @returns {Object} Leaflet marker
+ */
+function buildPinMarker(pin) {
+    const marker = createPinMarker(pin);
+    const popupContent = createPopupContent(pin);
+    
+    marker.bindPopup(popupContent, {
+        maxWidth: 280,
+        className: 'pin-popup-wrapper'
+    });
+    
+    marker.on('popupopen', () => pinPopupHandlers.onOpen?.(marker.pinData));
+    marker.on('popupclose', () => pinPopupHandlers.onClose?.(marker.pinData));
+    
+    return marker;
 }
 
 /**
@@ -220,17 +468,11 @@ export function renderPins(pins) {
     // Clear existing markers
     markersLayer.clearLayers();
     
+    markerRegistry.clear();
     pins.forEach(pin => {
-        const marker = createPinMarker(pin);
-        const popupContent = createPopupContent(pin);
-        
-        marker.bindPopup(popupContent, {
-            maxWidth: 280,
-            className: 'pin-popup-wrapper'
-        });
-        
-        markersLayer.addLayer(marker);
+        markerRegistry.set(markerKey(pin.id), buildPinMarker(pin));
     });
+    refreshMarkers();
 }
 
 /**
@@ -239,28 +481,63 @@ export function renderPins(pins) {
  * @returns {Object} Leaflet marker
  */
 export function addPinToMap(pin) {
-    const marker = createPinMarker(pin);
-    const popupContent = createPopupContent(pin);
+    const marker = buildPinMarker(pin);
     
-    marker.bindPopup(popupContent, {
-        maxWidth: 280,
-        className: 'pin-popup-wrapper'
-    });
+    markerRegistry.set(markerKey(pin.id), marker);
+    refreshMarkers();
+    return marker;
+}
+
+/**
+ * Update a pin's marker in place - moves and restyles it and refreshes its
+ * popup content without closing the popup if it's open
+ * @param {Object} pin - Updated pin data
+ * @returns {Object} Leaflet marker
+ */
+export function updatePinOnMap(pin) {
+    const marker = markerRegistry.get(markerKey(pin.id));
+    if (!marker) {
+        return addPinToMap(pin);
+    }
+    
+    const previous = marker.pinData;
+    const status = getStatus(pin.status);
+    
+    marker.pinData = pin;
+    marker.setLatLng([pin.lat, pin.lng]);
+    marker.setStyle({ fillColor: status.color });
+    setMarkerClassName(marker, getMarkerClassName(pin.status, Boolean(pin._pending)));
+    marker.setPopupContent(createPopupContent(pin));
+    syncMarkerCategory(marker);
+    syncMarkerDimming(marker);
+    syncMarkerPulseColor(marker);
+    
+    // Position, status and category all affect which cluster (and color) the
+    // pin lands in - filtered-out pins don't count
+    const moved = previous.lat !== pin.lat || previous.lng !== pin.lng;
+    if (moved || previous.status !== pin.status || previous.category !== pin.category) {
+        refreshMarkers();
+    }
     
-    markersLayer.addLayer(marker);
     return marker;
 }
 
+/**
+ * Get the marker for a pin
+ * @param {string|number} pinId - Pin ID
+ * @returns {Object|null} Leaflet marker
+ */
+export function getPinMarker(pinId) {
+    return markerRegistry.get(markerKey(pinId)) || null;
+}
+
 /**
  * Remove a pin from the map by ID
  * @param {string} pinId - Pin ID
  */
 export function removePinFromMap(pinId) {
-    markersLayer.eachLayer(layer => {
-        if (layer.pinData && layer.pinData.id === pinId) {
-            markersLayer.removeLayer(layer);
-        }
-    });
+    markerRegistry.delete(markerKey(pinId));
+    refreshMarkers();
 }
 
 /**
@@ -271,44 +548,550 @@ export function panToPin(pin) {
     mapInstance.setView([pin.lat, pin.lng], 12);
 }
 
+/**
+ * Zoom to a pin and open its popup, breaking it out of any cluster
+ * @param {string} pinId - Pin ID
+ */
+export function openPinPopup(pinId) {
+    const marker = getPinMarker(pinId);
+    if (!marker) return;
+    
+    // Zoom in past ClusterMaxZoom so the pin is shown on its own
+    const zoom = Math.max(mapInstance.getZoom(), 12, CONFIG.ClusterMaxZoom + 1);
+    const needsZoom = zoom !== mapInstance.getZoom();
+    
+    if (needsZoom) {
+        // Registered before setView, which fires zoomend synchronously when it
+        // doesn't animate. refreshMarkers (also on zoomend) adds the marker first.
+        mapInstance.once('zoomend', () => marker.openPopup());
+        mapInstance.setView(marker.getLatLng(), zoom);
+    } else {
+        mapInstance.setView(marker.getLatLng(), zoom);
+        marker.openPopup();
+    }
+}
+
 /**
  * Clear all markers
  */
 export function clearMarkers() {
+    markerRegistry.clear();
     markersLayer.clearLayers();
 }
 
 /**
- * Apply filter to markers - dims markers with statuses not in activeStatuses
- * @param {Set<string>} activeStatuses - Set of status keys to show fully
+ * Apply filter to markers - dims markers whose status isn't in statuses or
+ * whose category isn't in categories (a pin has to pass both). Areas have
+ * no category, so only the status filter applies to them.
+ * @param {Set<string>} statuses - Set of status keys to show fully
+ * @param {Set<string>} [categories] - Set of category keys (NO_CATEGORY
+ *   for uncategorized pins) to show fully; omit to show every category
+ */
+export function applyFilter(statuses, categories = null) {
+    activeStatuses = new Set(statuses);
+    activeCategories = categories ? new Set(categories) : null;
+    markerRegistry.forEach(syncMarkerDimming);
+    areaRegistry.forEach(syncAreaStyle);
+    
+    // Cluster colors and counts only consider unfiltered pins
+    refreshMarkers();
+}
+
+/**
+ * Clear all filters - show all markers fully
+ */
+export function clearFilter() {
+    activeStatuses = null;
+    activeCategories = null;
+    markerRegistry.forEach(syncMarkerDimming);
+    areaRegistry.forEach(syncAreaStyle);
+    refreshMarkers();
+}
+
+/**
+ * Check whether a status passes the current legend filter
+ * @param {string} status - Pin status key
+ * @returns {boolean}
+ */
+function isStatusActive(status) {
+    return !activeStatuses || activeStatuses.has(status);
+}
+
+/**
+ * Check whether a pin passes both the status and category filters
+ * @param {Object} pin - Pin data
+ * @returns {boolean}
+ */
+function isPinActive(pin) {
+    return isStatusActive(pin.status) &&
+        (!activeCategories || activeCategories.has(getCategoryKey(pin)));
+}
+
+/**
+ * Dim or undim a marker's element (and its category icon) to match the
+ * current filter
+ * @param {Object} marker - Leaflet marker with pinData
  */
-export function applyFilter(activeStatuses) {
+function syncMarkerDimming(marker) {
+    const isActive = isPinActive(marker.pinData);
+    
+    [marker.getElement(), marker.getTooltip()?.getElement()].forEach(el => {
+        el?.classList.toggle('pin-marker--dimmed', !isActive);
+    });
+}
+
+/**
+ * Tint a marker element's pulse glow with its status color
+ * @param {Object} marker - Leaflet marker with pinData
+ */
+function syncMarkerPulseColor(marker) {
+    const el = marker.getElement();
+    if (!el) return;
+    
+    el.style.setProperty('--pulse-color', getPulseColor(getStatus(marker.pinData.status).color));
+}
+
+// =============================================================================
+// Areas
+// =============================================================================
+
+/**
+ * Build the path style for an area - status color, dimmed when its status
+ * is filtered out
+ * @param {Object} area - Area data
+ * @returns {Object} Leaflet path options
+ */
+function getAreaStyle(area) {
+    const status = getStatus(area.status);
+    const isActive = isStatusActive(area.status);
+    const isLine = area.kind === 'line';
+    
+    return {
+        pane: AREAS_PANE,
+        color: status.color,
+        weight: isLine ? 6 : 2,
+        dashArray: isLine ? '10, 8' : null,
+        opacity: isActive ? 0.9 : 0.2,
+        fillColor: status.color,
+        fillOpacity: isActive ? 0.2 : 0.05
+    };
+}
+
+/**
+ * Build popup content for an area - a pin popup, plus the area's link (pins
+ * only show theirs alongside CTA buttons, which areas don't have)
+ * @param {Object} area - Area data
+ * @returns {HTMLElement} Popup content element
+ */
+export function createAreaPopupContent(area) {
+    const container = createPopupContent(area);
+    
+    if (area.url) {
+        const actions = document.createElement('div');
+        actions.className = 'pin-popup__actions';
+        
+        const urlBtn = document.createElement('a');
+        urlBtn.className = 'pin-popup__btn pin-popup__btn--url';
+        urlBtn.href = area.url;
+        urlBtn.target = '_blank';
+        urlBtn.textContent = getLinkText(area);
+        actions.appendChild(urlBtn);
+        
+        container.appendChild(actions);
+    }
+    
+    return container;
+}
+
+/**
+ * Create a polygon or polyline for an area with its popup bound
+ * @param {Object} area - Area data (coordinates as [[lat, lng], ...])
+ * @returns {Object} Leaflet path
+ */
+function buildAreaLayer(area) {
+    const style = getAreaStyle(area);
+    const layer = area.kind === 'line'
+        ? L.polyline(area.coordinates, style)
+        : L.polygon(area.coordinates, style);
+    
+    layer.areaData = area;
+    layer.bindPopup(createAreaPopupContent(area), {
+        maxWidth: 280,
+        className: 'pin-popup-wrapper'
+    });
+    
+    return layer;
+}
+
+/**
+ * Restyle an area to match the current filter
+ * @param {Object} layer - Leaflet path with areaData
+ */
+function syncAreaStyle(layer) {
+    layer.setStyle(getAreaStyle(layer.areaData));
+}
+
+/**
+ * Render all areas on the map
+ * @param {Array} areas - Array of area objects
+ */
+export function renderAreas(areas) {
+    areasLayer.clearLayers();
+    areaRegistry.clear();
+    
+    areas.forEach(addAreaToMap);
+}
+
+/**
+ * Add a single area to the map
+ * @param {Object} area - Area data
+ * @returns {Object} Leaflet path
+ */
+export function addAreaToMap(area) {
+    const layer = buildAreaLayer(area);
+    
+    areaRegistry.set(markerKey(area.id), layer);
+    layer.addTo(areasLayer);
+    return layer;
+}
+
+/**
+ * Update an area in place - reshapes and restyles it and refreshes its
+ * popup content without closing the popup if it's open
+ * @param {Object} area - Updated area data
+ * @returns {Object} Leaflet path
+ */
+export function updateAreaOnMap(area) {
+    const layer = areaRegistry.get(markerKey(area.id));
+    
+    // A polygon can't become a line in place
+    if (!layer || layer.areaData.kind !== area.kind) {
+        removeAreaFromMap(area.id);
+        return addAreaToMap(area);
+    }
+    
+    layer.areaData = area;
+    layer.setLatLngs(area.coordinates);
+    syncAreaStyle(layer);
+    layer.setPopupContent(createAreaPopupContent(area));
+    return layer;
+}
+
+/**
+ * Remove an area from the map by ID
+ * @param {string|number} areaId - Area ID
+ */
+export function removeAreaFromMap(areaId) {
+    const layer = areaRegistry.get(markerKey(areaId));
+    if (layer) {
+        areasLayer.removeLayer(layer);
+        areaRegistry.delete(markerKey(areaId));
+    }
+}
+
+/**
+ * Get the layer for an area
+ * @param {string|number} areaId - Area ID
+ * @returns {Object|null} Leaflet path
+ */
+export function getAreaLayer(areaId) {
+    return areaRegistry.get(markerKey(areaId)) || null;
+}
+
+// =============================================================================
+// Weather Alerts
+// =============================================================================
+
+/**
+ * Build popup content for a weather alert - event, headline and when it ends
+ * @param {Object} alert - Alert (see weather.js)
+ * @returns {HTMLElement} Popup content element
+ */
+export function createAlertPopupContent(alert) {
+    const severityKey = ALERT_SEVERITY[alert.severity] ? alert.severity : 'Unknown';
+    const severity = ALERT_SEVERITY[severityKey];
+    const severityLabel = t(`alert.severity.${severityKey}`);
+    
+    const container = document.createElement('div');
+    container.className = 'pin-popup';
+    
+    const header = document.createElement('div');
+    header.className = 'pin-popup__header';
+    
+    const severityDot = document.createElement('span');
+    severityDot.className = 'pin-popup__status';
+    severityDot.style.backgroundColor = severity.color;
+    
+    const title = document.createElement('span');
+    title.className = 'pin-popup__title';
+    title.textContent = alert.event;
+    
+    header.appendChild(severityDot);
+    header.appendChild(title);
+    container.appendChild(header);
+    
+    const meta = document.createElement('div');
+    meta.className = 'pin-popup__date';
+    meta.textContent = alert.expires
+        ? t('alert.until', {
+            severity: severityLabel,
+            time: formatDate(alert.expires, {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            })
+        })
+        : severityLabel;
+    container.appendChild(meta);
+    
+    if (alert.areaDesc) {
+        const areaEl = document.createElement('div');
+        areaEl.className = 'pin-popup__address';
+        areaEl.textContent = alert.areaDesc;
+        container.appendChild(areaEl);
+    }
+    
+    if (alert.headline) {
+        const headline = document.createElement('p');
+        headline.className = 'pin-popup__summary';
+        headline.textContent = alert.headline;
+        container.appendChild(headline);
+    }
+    
+    const source = document.createElement('div');
+    source.className = 'pin-popup__source';
+    source.textContent = t('alert.source');
+    container.appendChild(source);
+    
+    return container;
+}
+
+/**
+ * Draw weather alert polygons, replacing any already shown. Alerts without
+ * a geometry are skipped (the legend lists them instead).
+ * @param {Array} alerts - Alerts (see weather.js)
+ */
+export function renderWeatherAlerts(alerts) {
+    weatherLayer.clearLayers();
+    
+    alerts.filter(alert => alert.geometry).forEach(alert => {
+        const severity = ALERT_SEVERITY[alert.severity] || ALERT_SEVERITY.Unknown;
+        
+        L.geoJSON(alert.geometry, {
+            pane: WEATHER_PANE,
+            style: {
+                color: severity.color,
+                weight: 2,
+                dashArray: '4, 4',
+                opacity: 0.9,
+                fillColor: severity.color,
+                fillOpacity: 0.12
+            }
+        })
+            .bindPopup(createAlertPopupContent(alert), {
+                maxWidth: 280,
+                className: 'pin-popup-wrapper'
+            })
+            .addTo(weatherLayer);
+    });
+}
+
+/**
+ * Remove all weather alert polygons
+ */
+export function clearWeatherAlerts() {
+    weatherLayer.clearLayers();
+}
+
+// =============================================================================
+// Clustering
+// =============================================================================
+
+/**
+ * Sync the markers layer with the current zoom level - shows clusters when
+ * zoomed out, individual markers otherwise. Markers that stay visible are
+ * left in place so their open popups survive.
+ */
+function refreshMarkers() {
+    if (!mapInstance) return;
+    
+    const markers = [...markerRegistry.values()];
+    const shouldCluster = clusteringEnabled && mapInstance.getZoom() <= CONFIG.ClusterMaxZoom;
+    const nextLayers = new Set(shouldCluster ? buildClusters(markers) : markers);
+    
     markersLayer.eachLayer(layer => {
-        if (!layer.pinData) return;
+        if (!nextLayers.has(layer)) {
+            markersLayer.removeLayer(layer);
+        }
+    });
+    
+    nextLayers.forEach(layer => {
+        if (!markersLayer.hasLayer(layer)) {
+            markersLayer.addLayer(layer);
+        }
+    });
+}
+
+/**
+ * Group markers that sit within CONFIG.ClusterRadius pixels of each other
+ * @param {Array} markers - Pin markers
+ * @returns {Array} Mix of lone pin markers and cluster markers
+ */
+function buildClusters(markers) {
+    const zoom = mapInstance.getZoom();
+    
+    // Seed clusters from the most severe pins so bubbles form around them
+    const points = markers
+        .map(marker => ({
+            marker,
+            point: mapInstance.project(marker.getLatLng(), zoom)
+        }))
+        .sort((a, b) => getSeverity(b.marker.pinData.status) - getSeverity(a.marker.pinData.status));
+    
+    const grouped = new Set();
+    const layers = [];
+    
+    points.forEach(seed => {
+        if (grouped.has(seed)) return;
         
-        const el = layer.getElement();
-        if (!el) return;
+        const members = points.filter(p => 
+            !grouped.has(p) && p.point.distanceTo(seed.point) <= CONFIG.ClusterRadius
+        );
+        members.forEach(p => grouped.add(p));
         
-        if (activeStatuses.has(layer.pinData.status)) {
-            el.classList.remove('pin-marker--dimmed');
+        if (members.length === 1) {
+            layers.push(seed.marker);
         } else {
-            el.classList.add('pin-marker--dimmed');
+            layers.push(createClusterMarker(members.map(p => p.marker)));
         }
     });
+    
+    return layers;
 }
 
 /**
- * Clear all filters - show all markers fully
+ * Get the severity rank for a status
+ * @param {string} status - Pin status key
+ * @returns {number} Higher = more urgent
  */
-export function clearFilter() {
-    markersLayer.eachLayer(layer => {
-        const el = layer.getElement();
-        if (el) {
-            el.classList.remove('pin-marker--dimmed');
-        }
+function getSeverity(status) {
+    return getStatus(status).severity;
+}
+
+/**
+ * Find the most severe status among a set of markers
+ * @param {Array} markers - Pin markers
+ * @returns {string} Status key
+ */
+function getMostSevereStatus(markers) {
+    return markers.reduce((worst, marker) => {
+        const status = marker.pinData.status;
+        return getSeverity(status) > getSeverity(worst) ? status : worst;
+    }, markers[0].pinData.status);
+}
+
+/**
+ * Create a count bubble for a group of markers
+ * @param {Array} markers - Pin markers in the cluster
+ * @returns {Object} Leaflet marker
+ */
+function createClusterMarker(markers) {
+    // Filtered-out pins don't count toward the bubble unless nothing else is left
+    const activeMarkers = markers.filter(m => isPinActive(m.pinData));
+    const counted = activeMarkers.length > 0 ? activeMarkers : markers;
+    
+    const statusKey = getMostSevereStatus(counted);
+    const status = getStatus(statusKey);
+    const count = counted.length;
+    const size = count < 10 ? 32 : count < 100 ? 40 : 48;
+    
+    let className = `pin-cluster__count ${getMarkerClassName(statusKey)}`;
+    if (activeMarkers.length === 0) {
+        className += ' pin-marker--dimmed';
+    }
+    
+    const cluster = L.marker(getCentroid(markers), {
+        icon: L.divIcon({
+            html: `<span class="${className}" style="background-color: ${status.color}; --pulse-color: ${getPulseColor(status.color)}">${count}</span>`,
+            className: 'pin-cluster',
+            iconSize: [size, size]
+        }),
+        title: tCount('cluster.pins', count)
+    });
+    
+    cluster.clusterMarkers = markers;
+    cluster.on('click', () => zoomToCluster(markers));
+    
+    return cluster;
+}
+
+/**
+ * Average position of a set of markers
+ * @param {Array} markers - Leaflet markers
+ * @returns {Array} [lat, lng]
+ */
+function getCentroid(markers) {
+    const sum = markers.reduce((acc, marker) => {
+        const latlng = marker.getLatLng();
+        acc.lat += latlng.lat;
+        acc.lng += latlng.lng;
+        return acc;
+    }, { lat: 0, lng: 0 });
+    
+    return [sum.lat / markers.length, sum.lng / markers.length];
+}
+
+/**
+ * Zoom in far enough to split a cluster apart
+ * @param {Array} markers - Pin markers in the cluster
+ */
+function zoomToCluster(markers) {
+    const bounds = L.latLngBounds(markers.map(m => m.getLatLng()));
+    mapInstance.fitBounds(bounds.pad(0.2), {
+        maxZoom: CONFIG.ClusterMaxZoom + 1
     });
 }
 
+/**
+ * Show unsaved pins (e.g. an import) as dashed markers and zoom to them
+ * @param {Array} pins - Array of pin objects
+ */
+export function showPreviewPins(pins) {
+    clearPreviewPins();
+    
+    pins.forEach(pin => {
+        const status = getStatus(pin.status);
+        
+        L.circleMarker([pin.lat, pin.lng], {
+            radius: 8,
+            fillColor: status.color,
+            color: '#1e293b',
+            weight: 2,
+            dashArray: '3, 3',
+            opacity: 1,
+            fillOpacity: 0.6
+        })
+            .bindPopup(createPopupContent(pin), {
+                maxWidth: 280,
+                className: 'pin-popup-wrapper'
+            })
+            .addTo(previewLayer);
+    });
+    
+    if (pins.length > 0) {
+        const bounds = L.latLngBounds(pins.map(pin => [pin.lat, pin.lng]));
+        mapInstance.fitBounds(bounds.pad(0.1), { maxZoom: 12 });
+    }
+}
+
+/**
+ * Remove all preview markers
+ */
+export function clearPreviewPins() {
+    previewLayer.clearLayers();
+}
+
 /**
  * Get marker layer for external access
  * @returns {Object} Leaflet layer group
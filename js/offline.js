@@ -0,0 +1,84 @@
+// =============================================================================
+// FILENAME: offline.js
+// =============================================================================
+// Purpose: Offline support for the public map
+//
+// Responsibilities:
+// - Register the service worker (sw.js) that caches the app shell and tiles
+// - Persist the last known pin set so the map can load without a connection
+// - Persist the last known status list (custom statuses keep their colors
+//   offline)
+//
+// Dependencies:
+// - sw.js (service worker, repo root)
+// =============================================================================
+
+const SNAPSHOT_KEY = 'ucn-pin-snapshot';
+const STATUS_SNAPSHOT_KEY = 'ucn-status-snapshot';
+
+/**
+ * Register the service worker (no-op where unsupported)
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('./sw.js').catch(err => {
+        console.error('Service worker registration failed:', err);
+    });
+}
+
+/**
+ * Save the current pin set as the offline snapshot
+ * @param {Array} pins - Array of pin objects
+ */
+export function savePinSnapshot(pins) {
+    try {
+        localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({
+            pins,
+            savedAt: new Date().toISOString()
+        }));
+    } catch (err) {
+        // Quota exceeded or storage disabled - the live map still works
+        console.error('Failed to save pin snapshot:', err);
+    }
+}
+
+/**
+ * Load the offline snapshot
+ * @returns {{pins: Array, savedAt: string}|null} Snapshot or null if none saved
+ */
+export function loadPinSnapshot() {
+    try {
+        const raw = localStorage.getItem(SNAPSHOT_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+        console.error('Failed to read pin snapshot:', err);
+        return null;
+    }
+}
+
+/**
+ * Save the current status list for offline loads
+ * @param {Array} statuses - Status rows
+ */
+export function saveStatusSnapshot(statuses) {
+    try {
+        localStorage.setItem(STATUS_SNAPSHOT_KEY, JSON.stringify(statuses));
+    } catch (err) {
+        console.error('Failed to save status snapshot:', err);
+    }
+}
+
+/**
+ * Load the saved status list
+ * @returns {Array|null} Status rows or null if none saved
+ */
+export function loadStatusSnapshot() {
+    try {
+        const raw = localStorage.getItem(STATUS_SNAPSHOT_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+        console.error('Failed to read status snapshot:', err);
+        return null;
+    }
+}
@@ -0,0 +1,276 @@
+// =============================================================================
+// FILENAME: outbox.js
+// =============================================================================
+// Purpose: Persistent queue of admin pin edits made while offline (or
+// that failed to get through on a flaky connection)
+//
+// Responsibilities:
+// - Queue creates/updates/deletes in localStorage so they survive reloads
+// - Collapse repeated edits to the same pin into a single entry
+// - Overlay queued changes onto the pin list for display
+// - Replay the queue through storage.js once the connection returns
+//
+// Dependencies:
+// - storage.js (savePin, updatePin, deletePin, getLastWriteFailure)
+//
+// Entry shape: { id, type: 'create'|'update'|'delete', pinId, data, queuedAt,
+// sending }
+// Pins created offline get a temporary "pending-..." ID until replayed. An
+// entry marked sending is on its way to the server and is never changed -
+// edits and deletes made meanwhile are queued as entries of their own.
+// =============================================================================
+
+import { savePin, updatePin, deletePin, getLastWriteFailure } from './storage.js';
+
+const OUTBOX_KEY = 'ucn-admin-outbox';
+const PENDING_ID_PREFIX = 'pending-';
+
+/**
+ * Read all queued entries, oldest first
+ * @returns {Array} Outbox entries
+ */
+export function getOutbox() {
+    try {
+        const raw = localStorage.getItem(OUTBOX_KEY);
+        return raw ? JSON.parse(raw) : [];
+    } catch (err) {
+        console.error('Failed to read outbox:', err);
+        return [];
+    }
+}
+
+/**
+ * Persist the outbox
+ * @param {Array} entries - Outbox entries
+ */
+function writeOutbox(entries) {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+}
+
+/**
+ * Generate a unique local ID
+ * @returns {string}
+ */
+function createLocalId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Check whether a pin ID belongs to a pin that only exists in the outbox
+ * @param {string|number} pinId - Pin ID
+ * @returns {boolean}
+ */
+export function isPendingId(pinId) {
+    return String(pinId).startsWith(PENDING_ID_PREFIX);
+}
+
+/**
+ * Queue a new pin
+ * @param {Object} data - Pin data (as passed to savePin)
+ * @returns {string} Temporary pin ID
+ */
+export function queueCreate(data) {
+    const pinId = PENDING_ID_PREFIX + createLocalId();
+    
+    writeOutbox(getOutbox().concat({
+        id: createLocalId(),
+        type: 'create',
+        pinId,
+        data,
+        queuedAt: new Date().toISOString()
+    }));
+    
+    return pinId;
+}
+
+/**
+ * Check whether an entry is for a pin
+ * @param {Object} entry - Outbox entry
+ * @param {string|number} pinId - Pin ID (real or pending)
+ * @returns {boolean}
+ */
+function isForPin(entry, pinId) {
+    return String(entry.pinId) === String(pinId);
+}
+
+/**
+ * Queue changes to a pin - folded into the pin's latest queued create/update
+ * unless that one is already being sent
+ * @param {string|number} pinId - Pin ID (real or pending)
+ * @param {Object} data - Fields to update
+ */
+export function queueUpdate(pinId, data) {
+    const entries = getOutbox();
+    const latest = entries.filter(entry => isForPin(entry, pinId)).pop();
+    
+    if (latest && latest.type !== 'delete' && !latest.sending) {
+        latest.data = { ...latest.data, ...data };
+        writeOutbox(entries);
+        return;
+    }
+    
+    writeOutbox(entries.concat({
+        id: createLocalId(),
+        type: 'update',
+        pinId,
+        data,
+        queuedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Queue a pin deletion
+ * @param {string|number} pinId - Pin ID (real or pending)
+ * @param {string} title - Pin title, for the sync report
+ */
+export function queueDelete(pinId, title) {
+    // Queued creates/updates for this pin are now moot - except one being
+    // sent, which will still land and so still needs deleting
+    const outbox = getOutbox();
+    const isSending = outbox.some(entry => isForPin(entry, pinId) && entry.sending);
+    const entries = outbox.filter(entry => !isForPin(entry, pinId) || entry.sending);
+    
+    // A pin that never reached the server just disappears
+    if (!isPendingId(pinId) || isSending) {
+        entries.push({
+            id: createLocalId(),
+            type: 'delete',
+            pinId,
+            data: { title },
+            queuedAt: new Date().toISOString()
+        });
+    }
+    
+    writeOutbox(entries);
+}
+
+/**
+ * Overlay queued changes onto pins from the server. Affected pins get a
+ * _pending field ('create', 'update' or 'delete') for display.
+ * @param {Array} pins - Pins from storage
+ * @returns {Array} New array including pending pins
+ */
+export function applyOutbox(pins) {
+    // Fold each pin's entries into one change - a create followed by
+    // updates is still a create, and a delete wins over everything before it
+    const byPinId = new Map();
+    getOutbox().forEach(entry => {
+        const key = String(entry.pinId);
+        const folded = byPinId.get(key);
+        
+        if (folded && entry.type === 'update' && folded.type !== 'delete') {
+            byPinId.set(key, { ...folded, data: { ...folded.data, ...entry.data } });
+        } else {
+            byPinId.set(key, entry);
+        }
+    });
+    
+    const merged = pins.map(pin => {
+        const entry = byPinId.get(String(pin.id));
+        if (!entry) return pin;
+        
+        if (entry.type === 'delete') {
+            return { ...pin, _pending: 'delete' };
+        }
+        return { ...pin, ...entry.data, _pending: 'update' };
+    });
+    
+    // Newest first, matching getAllPins order
+    const created = [...byPinId.values()]
+        .filter(entry => entry.type === 'create')
+        .reverse()
+        .map(entry => ({
+            ...entry.data,
+            id: entry.pinId,
+            created_at: entry.queuedAt,
+            _pending: 'create'
+        }));
+    
+    return created.concat(merged);
+}
+
+/**
+ * Describe an entry for the sync report
+ * @param {Object} entry - Outbox entry
+ * @returns {string}
+ */
+export function describeEntry(entry) {
+    const verbs = { create: 'Create', update: 'Edit', delete: 'Delete' };
+    return `${verbs[entry.type]} "${entry.data.title || 'Untitled'}"`;
+}
+
+/**
+ * Mark an entry as being sent (or not)
+ * @param {string} id - Entry ID
+ * @param {boolean} sending - Whether it's on its way to the server
+ */
+function markSending(id, sending) {
+    writeOutbox(getOutbox().map(entry => entry.id === id ? { ...entry, sending } : entry));
+}
+
+/**
+ * Send one entry to storage
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object|boolean|null>} The saved pin for creates, otherwise
+ *   whether the server accepted it (falsy if not)
+ */
+async function replayEntry(entry) {
+    if (entry.type === 'create') {
+        return savePin(entry.data);
+    }
+    if (entry.type === 'update') {
+        return Boolean(await updatePin(entry.pinId, entry.data));
+    }
+    return deletePin(entry.pinId);
+}
+
+/**
+ * Remove a sent entry. Entries queued for a pin while its create was being
+ * sent move to the pin's real ID, or are dropped with it if it was rejected.
+ * @param {Object} entry - Outbox entry
+ * @param {Object|boolean|null} result - What replayEntry returned
+ * @returns {Array} Follow-up entries dropped with a rejected create
+ */
+function settleEntry(entry, result) {
+    const entries = getOutbox().filter(e => e.id !== entry.id);
+    
+    if (entry.type !== 'create') {
+        writeOutbox(entries);
+        return [];
+    }
+    if (!result) {
+        writeOutbox(entries.filter(e => !isForPin(e, entry.pinId)));
+        return entries.filter(e => isForPin(e, entry.pinId));
+    }
+    
+    writeOutbox(entries.map(e => isForPin(e, entry.pinId) ? { ...e, pinId: result.id } : e));
+    return [];
+}
+
+/**
+ * Replay queued entries in order, including any queued while replaying.
+ * Entries the server rejects (4xx/RLS) are dropped and reported; if a
+ * request doesn't get through (offline, timeout, 5xx) it and the rest stay
+ * queued for the next attempt.
+ * @returns {Promise<{synced: Array, rejected: Array}>} Processed entries
+ */
+export async function replayOutbox() {
+    const synced = [];
+    const rejected = [];
+    let entry;
+    
+    while ((entry = getOutbox()[0])) {
+        markSending(entry.id, true);
+        const result = await replayEntry(entry);
+        
+        if (!result && getLastWriteFailure() !== 'rejected') {
+            markSending(entry.id, false);
+            break;
+        }
+        
+        const dropped = settleEntry(entry, result);
+        (result ? synced : rejected).push(entry, ...dropped);
+    }
+    
+    return { synced, rejected };
+}
@@ -0,0 +1,182 @@
+// =============================================================================
+// FILENAME: permalink.js
+// =============================================================================
+// Purpose: Encode the public map's view in the URL so it can be shared or
+// embedded
+//
+// Responsibilities:
+// - Read map state from a query string
+// - Write map state into a URL, leaving unrelated parameters alone
+// - Read and build the embed page's display options
+//
+// Dependencies: none
+//
+// Query parameters:
+//   pin=12               Pin whose popup is open
+//   at=30.2266,-93.2174  Map center
+//   z=9                  Zoom level
+//   show=critical,past   Legend filters (omitted when every status is shown)
+//   cat=shelter,none     Category filters (omitted when every category is
+//                        shown; none = uncategorized pins)
+//   near=30.2,-93.2      Search location, with
+//   q=Lake Charles, LA   its display name and
+//   r=25                 the search radius in miles
+//   lang=es              Interface language (read by i18n.js - overrides
+//                        the visitor's saved choice without replacing it)
+//
+// Embed page (embed.html) only - it also reads the parameters above, except
+// that show= leaves other statuses off the map and legend entirely:
+//   search=0             Hide the search bar
+//   legend=0             Hide the legend
+//   popups=compact       Short popups (no date or address, summary clipped)
+// =============================================================================
+
+const STATE_PARAMS = ['pin', 'at', 'z', 'show', 'cat', 'near', 'q', 'r'];
+const EMBED_PARAMS = ['search', 'legend', 'popups', 'lang'];
+
+/**
+ * Parse a "lat,lng" parameter
+ * @param {string|null} value - Parameter value
+ * @returns {{lat: number, lng: number}|null}
+ */
+function parseLatLng(value) {
+    const [lat, lng] = String(value ?? '').split(',').map(Number);
+    
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return { lat, lng };
+}
+
+/**
+ * Format coordinates for a URL (5 decimals is ~1 m)
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+function formatLatLng(lat, lng) {
+    return `${lat.toFixed(5)},${lng.toFixed(5)}`;
+}
+
+/**
+ * Serialize a URL, leaving commas unescaped - they're safe in a query string
+ * and keep links readable
+ * @param {URL} url
+ * @returns {string}
+ */
+function toUrlString(url) {
+    return url.toString().replace(/%2C/gi, ',');
+}
+
+/**
+ * Read map state from a query string. Missing or invalid parameters come
+ * back null.
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {{pinId: string|null, center: {lat, lng}|null, zoom: number|null,
+ *   filters: Array<string>|null, categories: Array<string>|null,
+ *   search: {lat, lng, display, radiusMiles}|null}}
+ */
+export function readMapState(search) {
+    const params = new URLSearchParams(search);
+    
+    const zoom = parseInt(params.get('z'), 10);
+    const near = parseLatLng(params.get('near'));
+    const radiusMiles = Number(params.get('r'));
+    
+    return {
+        pinId: params.get('pin') || null,
+        center: parseLatLng(params.get('at')),
+        zoom: Number.isFinite(zoom) ? zoom : null,
+        filters: params.has('show')
+            ? params.get('show').split(',').filter(Boolean)
+            : null,
+        categories: params.has('cat')
+            ? params.get('cat').split(',').filter(Boolean)
+            : null,
+        search: near
+            ? {
+                ...near,
+                display: params.get('q') || formatLatLng(near.lat, near.lng),
+                radiusMiles: radiusMiles > 0 ? radiusMiles : null
+            }
+            : null
+    };
+}
+
+/**
+ * Build a URL with map state in its query string
+ * @param {string} baseUrl - URL to start from (its other parameters are kept)
+ * @param {Object} state - { pinId, center, zoom, filters, categories, search }
+ *   as returned by readMapState (filters/categories null = all shown)
+ * @returns {string} URL
+ */
+export function buildMapUrl(baseUrl, { pinId, center, zoom, filters, categories, search }) {
+    const url = new URL(baseUrl);
+    STATE_PARAMS.forEach(param => url.searchParams.delete(param));
+    
+    if (pinId != null) {
+        url.searchParams.set('pin', pinId);
+    }
+    if (center) {
+        url.searchParams.set('at', formatLatLng(center.lat, center.lng));
+    }
+    if (zoom != null) {
+        url.searchParams.set('z', zoom);
+    }
+    if (filters) {
+        url.searchParams.set('show', filters.join(','));
+    }
+    if (categories) {
+        url.searchParams.set('cat', categories.join(','));
+    }
+    if (search) {
+        url.searchParams.set('near', formatLatLng(search.lat, search.lng));
+        url.searchParams.set('q', search.display);
+        url.searchParams.set('r', search.radiusMiles);
+    }
+    
+    return toUrlString(url);
+}
+
+/**
+ * Read the embed page's display options from a query string
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {{showSearch: boolean, showLegend: boolean, compactPopups: boolean}}
+ */
+export function readEmbedOptions(search) {
+    const params = new URLSearchParams(search);
+    
+    return {
+        showSearch: params.get('search') !== '0',
+        showLegend: params.get('legend') !== '0',
+        compactPopups: params.get('popups') === 'compact'
+    };
+}
+
+/**
+ * Build an embed page URL
+ * @param {string} baseUrl - Embed page URL
+ * @param {Object} options - { statuses (null = all), center, zoom,
+ *   showSearch, showLegend, compactPopups, language (null = the visitor's) }
+ * @returns {string} URL
+ */
+export function buildEmbedUrl(baseUrl, { statuses, center, zoom, showSearch, showLegend, compactPopups, language }) {
+    const url = new URL(buildMapUrl(baseUrl, { center, zoom, filters: statuses }));
+    EMBED_PARAMS.forEach(param => url.searchParams.delete(param));
+    
+    if (!showSearch) {
+        url.searchParams.set('search', '0');
+    }
+    if (!showLegend) {
+        url.searchParams.set('legend', '0');
+    }
+    if (compactPopups) {
+        url.searchParams.set('popups', 'compact');
+    }
+    if (language) {
+        url.searchParams.set('lang', language);
+    }
+    
+    return toUrlString(url);
+}
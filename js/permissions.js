@@ -0,0 +1,107 @@
+// =============================================================================
+// FILENAME: permissions.js
+// =============================================================================
+// Purpose: Role-based permission checks for admin users
+//
+// Responsibilities:
+// - Define the roles (viewer, editor, admin)
+// - Answer "may this profile do X?" for storage.js (enforcement) and
+//   admin.js (hiding/disabling controls)
+//
+// Dependencies: none
+//
+// Profile shape: { id, email, role, allowed_statuses }
+// allowed_statuses limits which pin statuses an editor may create or edit
+// (null/empty = all statuses). Admins are never limited.
+// =============================================================================
+
+export const ROLES = {
+    viewer: {
+        label: 'Viewer',
+        description: 'Can view pins and history'
+    },
+    editor: {
+        label: 'Editor',
+        description: 'Can create and edit pins in assigned statuses'
+    },
+    admin: {
+        label: 'Admin',
+        description: 'Full access, including deleting pins and managing users and statuses'
+    }
+};
+
+// Least privilege for anyone without a profile row
+export const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Check whether a profile may create or edit pins with a given status
+ * @param {Object|null} profile - User profile
+ * @param {string} status - Pin status
+ * @returns {boolean}
+ */
+export function canEditStatus(profile, status) {
+    if (profile?.role === 'admin') return true;
+    if (profile?.role !== 'editor') return false;
+    
+    const allowed = profile.allowed_statuses;
+    return !allowed || allowed.length === 0 || allowed.includes(status);
+}
+
+/**
+ * Check whether a profile may create or edit pins at all
+ * @param {Object|null} profile - User profile
+ * @returns {boolean}
+ */
+export function canEditPins(profile) {
+    return profile?.role === 'admin' || profile?.role === 'editor';
+}
+
+/**
+ * Check whether a profile may change a pin (both its current status and the
+ * status it would end up with must be allowed)
+ * @param {Object|null} profile - User profile
+ * @param {Object} pin - Pin as it is now
+ * @param {Object} updates - Fields being changed
+ * @returns {boolean}
+ */
+export function canUpdatePin(profile, pin, updates = {}) {
+    return canEditStatus(profile, pin.status) &&
+        canEditStatus(profile, updates.status ?? pin.status);
+}
+
+/**
+ * Check whether a profile may delete (and restore) pins
+ * @param {Object|null} profile - User profile
+ * @returns {boolean}
+ */
+export function canDeletePins(profile) {
+    return profile?.role === 'admin';
+}
+
+/**
+ * Check whether a profile may change other users' roles
+ * @param {Object|null} profile - User profile
+ * @returns {boolean}
+ */
+export function canManageUsers(profile) {
+    return profile?.role === 'admin';
+}
+
+/**
+ * Check whether a profile may see public help requests (and the contact
+ * details in them) and approve, merge or reject them
+ * @param {Object|null} profile - User profile
+ * @returns {boolean}
+ */
+export function canReviewHelpRequests(profile) {
+    return canEditPins(profile);
+}
+
+/**
+ * Check whether a profile may add, edit or delete pin statuses
+ * @param {Object|null} profile - User profile
+ * @returns {boolean}
+ */
+export function canManageStatuses(profile) {
+    return profile?.role === 'admin';
+}
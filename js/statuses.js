@@ -0,0 +1,167 @@
+// =============================================================================
+// FILENAME: statuses.js
+// =============================================================================
+// Purpose: The pin status taxonomy as data - the single source for markers,
+// legend, counts, filters and the admin status pickers
+//
+// Responsibilities:
+// - Hold the current status list (loaded from the statuses table by the
+//   page, built-in PIN_STATUS until then or if the table is empty)
+// - Look up a status, with a neutral fallback for deleted/unknown keys
+// - Validate status definitions before they're saved
+// - Notify pages when the list changes (realtime edits from the admin panel)
+//
+// Dependencies:
+// - config.js (PIN_STATUS)
+//
+// Public API:
+// - REQUIRED_STATUSES, STATUS_KEY_PATTERN
+// - DEFAULT_STATUSES
+// - getStatuses(), getStatusKeys(), getStatus(key), hasStatus(key)
+// - setStatuses(rows), onStatusesChange(callback)
+// - validateStatus(status, existing) -> array of error messages
+//
+// Status shape: { id, key, label, color (#rrggbb), emoji, pulse, severity,
+// position }. severity ranks statuses for clustering (higher = more urgent);
+// position orders the legend and pickers.
+// =============================================================================
+
+import { PIN_STATUS } from './config.js';
+
+// New pins and areas default to active, and expiring pins move to past, so
+// these can be renamed or recolored but not deleted
+export const REQUIRED_STATUSES = ['active', 'past'];
+
+// Keys end up in URLs (show=), CSS class names and the database
+export const STATUS_KEY_PATTERN = /^[a-z][a-z0-9-]{0,29}$/;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Built-in statuses as rows, in legend order
+export const DEFAULT_STATUSES = Object.entries(PIN_STATUS).map(([key, status], index) => ({
+    key,
+    ...status,
+    position: index
+}));
+
+let statuses = DEFAULT_STATUSES;
+let statusesByKey = indexByKey(statuses);
+const listeners = [];
+
+/**
+ * Map statuses by key
+ * @param {Array} list - Status rows
+ * @returns {Map<string, Object>}
+ */
+function indexByKey(list) {
+    return new Map(list.map(status => [status.key, status]));
+}
+
+/**
+ * Fill in defaults for a stored status row
+ * @param {Object} row - Status row
+ * @returns {Object} Status
+ */
+function normalizeStatus(row) {
+    return {
+        ...row,
+        label: row.label || row.key,
+        color: COLOR_PATTERN.test(row.color) ? row.color : '#64748b',
+        emoji: row.emoji || '',
+        pulse: row.pulse === true,
+        severity: Number(row.severity) || 0,
+        position: Number(row.position) || 0
+    };
+}
+
+/**
+ * All statuses in legend order
+ * @returns {Array} Statuses
+ */
+export function getStatuses() {
+    return statuses;
+}
+
+/**
+ * All status keys in legend order
+ * @returns {Array<string>}
+ */
+export function getStatusKeys() {
+    return statuses.map(status => status.key);
+}
+
+/**
+ * Look up a status. Pins whose status has been deleted get a gray,
+ * non-pulsing stand-in labelled with the raw key.
+ * @param {string} key - Status key
+ * @returns {Object} Status
+ */
+export function getStatus(key) {
+    return statusesByKey.get(key) || {
+        key,
+        label: key || 'Unknown',
+        color: '#64748b',
+        emoji: '⚪',
+        pulse: false,
+        severity: -1,
+        position: Infinity
+    };
+}
+
+/**
+ * Check whether a status exists
+ * @param {string} key - Status key
+ * @returns {boolean}
+ */
+export function hasStatus(key) {
+    return statusesByKey.has(key);
+}
+
+/**
+ * Replace the status list and notify listeners. An empty list (statuses
+ * table not set up yet) falls back to the built-in statuses.
+ * @param {Array} rows - Status rows from storage
+ */
+export function setStatuses(rows) {
+    statuses = rows.length > 0
+        ? rows.map(normalizeStatus).sort((a, b) => a.position - b.position)
+        : DEFAULT_STATUSES;
+    statusesByKey = indexByKey(statuses);
+    
+    listeners.forEach(callback => callback(statuses));
+}
+
+/**
+ * Register a callback for status list changes
+ * @param {Function} callback - Called with the new status list
+ */
+export function onStatusesChange(callback) {
+    listeners.push(callback);
+}
+
+/**
+ * Check a status definition before saving
+ * @param {Object} status - { key, label, color, emoji, severity }
+ * @param {Array} existing - The other statuses (to catch duplicate keys)
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateStatus(status, existing = []) {
+    const errors = [];
+    
+    if (!STATUS_KEY_PATTERN.test(status.key || '')) {
+        errors.push('Key must start with a letter and use only lowercase letters, numbers and dashes (30 characters max)');
+    } else if (existing.some(other => other.key === status.key)) {
+        errors.push(`A status with key "${status.key}" already exists`);
+    }
+    if (!String(status.label ?? '').trim()) {
+        errors.push('Label is required');
+    }
+    if (!COLOR_PATTERN.test(status.color || '')) {
+        errors.push('Color must be a hex color like #16a34a');
+    }
+    if (!Number.isInteger(status.severity)) {
+        errors.push('Severity must be a whole number');
+    }
+    
+    return errors;
+}
@@ -1,35 +1,58 @@
 // =============================================================================
 // FILENAME: storage.js
 // =============================================================================
-// Purpose: Supabase REST API wrapper for pin CRUD and authentication
+// Purpose: Storage facade for pin, area and status CRUD, help requests,
+// authentication and realtime
 //
 // Responsibilities:
-// - Authentication via Supabase Auth
-// - GET/POST/PATCH/DELETE requests to Supabase
-// - Realtime subscriptions
+// - Pick the backend named by CONFIG.StorageBackend
+// - Load the signed-in user's profile (role) and enforce it on writes
+// - Normalize pin, area and status data before writes
+// - Accept help requests from anyone; only reviewers can read or resolve them
+// - Read pin history (recorded by the database on every pin write - see
+//   SECURITY-SETUP.md Step 5) and revert/restore pins from it
+// - Convert backend failures into null/false/[] results for callers, and
+//   report whether a failed pin write was rejected or just didn't get through
 //
 // Dependencies:
-// - config.js (SUPABASE_CONFIG)
-// - Supabase JS client (loaded via script tag)
+// - config.js (CONFIG)
+// - backends/supabase.js (production)
+// - backends/local.js (offline development/demo)
+// - offline.js (pin and status snapshots for offline loads)
+// - permissions.js (role checks)
 // =============================================================================
 
-import { SUPABASE_CONFIG } from './config.js';
+import { CONFIG } from './config.js';
+import * as supabaseBackend from './backends/supabase.js';
+import * as localBackend from './backends/local.js';
+import { savePinSnapshot, loadPinSnapshot, saveStatusSnapshot, loadStatusSnapshot } from './offline.js';
+import {
+    DEFAULT_ROLE, canEditPins, canEditStatus, canUpdatePin, canDeletePins, canManageUsers,
+    canManageStatuses, canReviewHelpRequests
+} from './permissions.js';
 
-const SUPABASE_URL = SUPABASE_CONFIG.url;
-const SUPABASE_KEY = SUPABASE_CONFIG.anonKey;
+const BACKENDS = {
+    supabase: supabaseBackend,
+    local: localBackend
+};
 
-// Singleton Supabase client
-let supabaseClient = null;
+const backend = BACKENDS[CONFIG.StorageBackend] || supabaseBackend;
 
-/**
- * Get or create the Supabase client
- * @returns {Object} Supabase client
- */
-function getClient() {
-    if (!supabaseClient) {
-        supabaseClient = window.supabase.createClient(SUPABASE_URL, SUPABASE_KEY);
-    }
-    return supabaseClient;
+const AREAS_TABLE = 'areas';
+const STATUSES_TABLE = 'statuses';
+const HELP_REQUESTS_TABLE = 'help_requests';
+const HISTORY_TABLE = 'pin_history';
+const PROFILES_TABLE = 'profiles';
+const PROFILE_CACHE_KEY = 'ucn-profile';
+
+// Profile of the signed-in user, loaded once per session
+let currentProfile = null;
+
+// Why the last savePin/updatePin/deletePin failed (see getLastWriteFailure)
+let lastWriteFailure = null;
+
+if (!BACKENDS[CONFIG.StorageBackend]) {
+    console.warn(`Unknown storage backend "${CONFIG.StorageBackend}", using supabase`);
 }
 
 // =============================================================================
@@ -43,19 +66,13 @@ function getClient() {
  * @returns {Promise<{user: Object|null, error: string|null}>}
  */
 export async function signIn(email, password) {
+    currentProfile = null;
+    
     try {
-        const { data, error } = await getClient().auth.signInWithPassword({
-            email,
-            password
-        });
-        
-        if (error) {
-            return { user: null, error: error.message };
-        }
-        
-        return { user: data.user, error: null };
+        const user = await backend.signIn(email, password);
+        return { user, error: null };
     } catch (err) {
-        return { user: null, error: 'Sign in failed' };
+        return { user: null, error: err.message || 'Sign in failed' };
     }
 }
 
@@ -64,8 +81,11 @@ export async function signIn(email, password) {
  * @returns {Promise<boolean>} Success
  */
 export async function signOut() {
+    currentProfile = null;
+    localStorage.removeItem(PROFILE_CACHE_KEY);
+    
     try {
-        await getClient().auth.signOut();
+        await backend.signOut();
         return true;
     } catch (err) {
         return false;
@@ -78,7 +98,7 @@ export async function signOut() {
  */
 export async function getSession() {
     try {
-        const { data: { session } } = await getClient().auth.getSession();
+        const session = await backend.getSession();
         return {
             session,
             user: session?.user || null
@@ -94,54 +114,137 @@ export async function getSession() {
  * @returns {Object} Subscription (call .unsubscribe() to stop)
  */
 export function onAuthStateChange(callback) {
-    const { data: { subscription } } = getClient().auth.onAuthStateChange(callback);
-    return subscription;
+    return backend.onAuthStateChange(callback);
 }
 
 // =============================================================================
-// Pin CRUD
+// Profiles & Permissions
 // =============================================================================
 
 /**
- * Make an authenticated request to Supabase REST API
+ * Get the signed-in user's profile. Users without a profile row get the
+ * default (viewer) role. While offline, the last profile loaded for the same
+ * user is used so queued edits keep working.
+ * @returns {Promise<Object|null>} Profile ({ id, email, role, allowed_statuses })
+ *   or null if signed out
  */
-async function supabaseRequest(endpoint, options = {}) {
-    const client = getClient();
-    const { data: { session } } = await client.auth.getSession();
+export async function getProfile() {
+    let user;
+    try {
+        user = (await backend.getSession())?.user;
+    } catch (err) {
+        user = null;
+    }
     
-    const url = `${SUPABASE_URL}/rest/v1/${endpoint}`;
+    if (!user) {
+        currentProfile = null;
+        return null;
+    }
     
-    const headers = {
-        'apikey': SUPABASE_KEY,
-        'Authorization': `Bearer ${session?.access_token || SUPABASE_KEY}`,
-        'Content-Type': 'application/json',
-        'Prefer': options.prefer || 'return=representation'
-    };
+    if (currentProfile?.id === user.id) {
+        return currentProfile;
+    }
     
-    const response = await fetch(url, {
-        method: options.method || 'GET',
-        headers,
-        body: options.body ? JSON.stringify(options.body) : undefined
-    });
+    const fallback = { id: user.id, email: user.email, role: DEFAULT_ROLE, allowed_statuses: null };
     
-    if (!response.ok) {
-        const error = await response.text();
-        console.error('Supabase error:', error);
-        throw new Error(`Supabase request failed: ${response.status}`);
+    try {
+        const [row] = await backend.select(PROFILES_TABLE, { filters: { id: user.id } });
+        currentProfile = { ...fallback, ...row };
+        localStorage.setItem(PROFILE_CACHE_KEY, JSON.stringify(currentProfile));
+        return currentProfile;
+    } catch (err) {
+        console.error('Failed to load profile:', err);
+        const cached = JSON.parse(localStorage.getItem(PROFILE_CACHE_KEY) || 'null');
+        return cached?.id === user.id ? cached : fallback;
+    }
+}
+
+/**
+ * Throw unless the signed-in user's profile passes a permission check
+ * @param {Function} check - Called with the profile, returns boolean
+ * @param {string} action - Description for the error message
+ * @returns {Promise<Object>} The profile
+ */
+async function requirePermission(check, action) {
+    const profile = await getProfile();
+    if (!check(profile)) {
+        // Same as the server's RLS answer, so it counts as a rejection
+        const err = new Error(`Permission denied: ${action}`);
+        err.status = 403;
+        throw err;
+    }
+    return profile;
+}
+
+/**
+ * Get all user profiles (admins only)
+ * @returns {Promise<Array>} Profiles sorted by email
+ */
+export async function getProfiles() {
+    try {
+        await requirePermission(canManageUsers, 'manage users');
+        return await backend.select(PROFILES_TABLE, {
+            order: { column: 'email', ascending: true }
+        });
+    } catch (err) {
+        console.error('Failed to load profiles:', err);
+        return [];
     }
-    
-    const text = await response.text();
-    return text ? JSON.parse(text) : null;
 }
 
 /**
- * Get all pins from Supabase
+ * Change a user's role or allowed statuses (admins only). Admins can't
+ * change their own role, so there's always at least one admin.
+ * @param {string} id - Profile (user) ID
+ * @param {Object} changes - { role, allowed_statuses }
+ * @returns {Promise<Object|null>} Updated profile or null
+ */
+export async function updateProfile(id, changes) {
+    try {
+        const profile = await requirePermission(canManageUsers, 'manage users');
+        if (String(id) === String(profile.id) && changes.role && changes.role !== profile.role) {
+            throw new Error('Admins cannot change their own role');
+        }
+        
+        const [updated] = await backend.update(PROFILES_TABLE, { id }, changes);
+        return updated || null;
+    } catch (err) {
+        console.error('Failed to update profile:', err);
+        return null;
+    }
+}
+
+// =============================================================================
+// Pin CRUD
+// =============================================================================
+
+/**
+ * Tell why the last savePin, updatePin or deletePin call failed.
+ * 'network' means the request didn't get through (offline, timeout or a
+ * 5xx), so the write is worth queueing and retrying; 'rejected' means the
+ * server or a permission check refused it (4xx/RLS, or the pin is gone).
+ * @returns {string|null} 'network', 'rejected' or null if it succeeded
+ */
+export function getLastWriteFailure() {
+    return lastWriteFailure;
+}
+
+/**
+ * Classify a backend error for getLastWriteFailure
+ * @param {Error} err - Error thrown by the backend or requirePermission
+ * @returns {string} 'network' or 'rejected'
+ */
+function classifyFailure(err) {
+    return err?.status >= 400 && err.status < 500 ? 'rejected' : 'network';
+}
+
+/**
+ * Get all pins, newest first
  * @returns {Promise<Array>} Array of pin objects
  */
 export async function getAllPins() {
     try {
-        const pins = await supabaseRequest('pins?select=*&order=created_at.desc');
-        return pins || [];
+        return await selectAllPins();
     } catch (err) {
         console.error('Failed to load pins:', err);
         return [];
@@ -149,34 +252,98 @@ export async function getAllPins() {
 }
 
 /**
- * Save a new pin to Supabase (requires authentication)
+ * Get all pins, falling back to the last saved snapshot when the backend
+ * can't be reached
+ * @returns {Promise<{pins: Array, offline: boolean, cachedAt: string|null}>}
+ *   cachedAt is when the snapshot was saved (null if live or no snapshot)
+ */
+export async function getAllPinsCached() {
+    try {
+        const pins = await selectAllPins();
+        savePinSnapshot(pins);
+        return { pins, offline: false, cachedAt: null };
+    } catch (err) {
+        console.error('Failed to load pins, using offline snapshot:', err);
+        const snapshot = loadPinSnapshot();
+        return {
+            pins: snapshot?.pins || [],
+            offline: true,
+            cachedAt: snapshot?.savedAt || null
+        };
+    }
+}
+
+/**
+ * Query all pins from the backend, newest first (throws on failure)
+ * @returns {Promise<Array>} Array of pin objects
+ */
+function selectAllPins() {
+    return backend.select('pins', {
+        order: { column: 'created_at', ascending: false }
+    });
+}
+
+/**
+ * Build a pins table row from pin data, filling in defaults
+ * @param {Object} pin - Pin data
+ * @returns {Object} Row to insert
+ */
+function toPinRow(pin) {
+    return {
+        title: pin.title,
+        address: pin.address || '',
+        summary: pin.summary || '',
+        status: pin.status,
+        category: pin.category || null,
+        lat: pin.lat,
+        lng: pin.lng,
+        url: pin.url || '',
+        url_text: pin.url_text || 'More Info',
+        show_donate: pin.show_donate || false,
+        show_volunteer: pin.show_volunteer || false,
+        show_help: pin.show_help || false,
+        expires_at: pin.expires_at || null,
+        expire_action: pin.expire_action || 'past',
+        translations: pin.translations || null
+    };
+}
+
+/**
+ * Save a new pin (requires authentication)
  * @param {Object} pin - Pin data
- * @returns {Promise<Object>} Saved pin with id and created_at
+ * @returns {Promise<Object|null>} Saved pin with id and created_at, or null
+ *   (see getLastWriteFailure)
  */
 export async function savePin(pin) {
+    lastWriteFailure = null;
+    
     try {
-        const newPin = {
-            title: pin.title,
-            address: pin.address || '',
-            summary: pin.summary || '',
-            status: pin.status,
-            lat: pin.lat,
-            lng: pin.lng,
-            url: pin.url || '',
-            url_text: pin.url_text || 'More Info',
-            show_donate: pin.show_donate || false,
-            show_volunteer: pin.show_volunteer || false,
-            show_help: pin.show_help || false
-        };
-        
-        const result = await supabaseRequest('pins', {
-            method: 'POST',
-            body: newPin
-        });
+        await requirePermission(profile => canEditStatus(profile, pin.status), `create ${pin.status} pins`);
         
-        return result[0];
+        const [saved] = await backend.insert('pins', [toPinRow(pin)]);
+        return saved;
     } catch (err) {
         console.error('Failed to save pin:', err);
+        lastWriteFailure = classifyFailure(err);
+        return null;
+    }
+}
+
+/**
+ * Save several new pins in one request (requires authentication)
+ * @param {Array} pins - Array of pin data
+ * @returns {Promise<Array|null>} Saved pins, or null if the batch failed
+ */
+export async function savePins(pins) {
+    try {
+        await requirePermission(
+            profile => pins.every(pin => canEditStatus(profile, pin.status)),
+            'create pins with these statuses'
+        );
+        
+        return await backend.insert('pins', pins.map(toPinRow));
+    } catch (err) {
+        console.error('Failed to save pins:', err);
         return null;
     }
 }
@@ -185,35 +352,78 @@ export async function savePin(pin) {
  * Update an existing pin (requires authentication)
  * @param {string|number} id - Pin ID
  * @param {Object} updates - Fields to update
- * @returns {Promise<Object|null>} Updated pin or null
+ * @returns {Promise<Object|null>} Updated pin, or null (see getLastWriteFailure)
  */
 export async function updatePin(id, updates) {
+    lastWriteFailure = null;
+    
     try {
-        const result = await supabaseRequest(`pins?id=eq.${id}`, {
-            method: 'PATCH',
-            body: updates
-        });
-        
-        return result[0] || null;
+        const updated = await updatePinWithHistory(id, updates, 'update');
+        // No row back: the pin was deleted, or RLS filtered the update out
+        if (!updated) {
+            lastWriteFailure = 'rejected';
+        }
+        return updated;
     } catch (err) {
         console.error('Failed to update pin:', err);
+        lastWriteFailure = classifyFailure(err);
         return null;
     }
 }
 
+/**
+ * Update a pin (throws on failure). The database records the before/after
+ * versions in pin_history, labelled with the action.
+ * @param {string|number} id - Pin ID
+ * @param {Object} updates - Fields to update
+ * @param {string} action - History action ('update', 'revert' or 'expire')
+ * @returns {Promise<Object|null>} Updated pin or null if it doesn't exist
+ */
+async function updatePinWithHistory(id, updates, action) {
+    const [before] = await backend.select('pins', { filters: { id } });
+    if (before) {
+        await requirePermission(profile => canUpdatePin(profile, before, updates), 'edit pins with these statuses');
+    } else {
+        await requirePermission(canEditPins, 'edit pins');
+    }
+    
+    const now = new Date().toISOString();
+    const changes = { ...updates, updated_at: now };
+    
+    // closed_at lets the public timeline tell when a pin moved to Past. An
+    // expired pin closed when its expiry passed, not when it was archived.
+    if (updates.status === 'past' && before?.status !== 'past') {
+        changes.closed_at = (action === 'expire' && before?.expires_at) || now;
+    } else if (updates.status && updates.status !== 'past') {
+        changes.closed_at = null;
+    }
+    
+    // Only archive pins still open, so concurrent admin tabs (and the pg_cron
+    // job) can't expire the same pin twice
+    if (action === 'expire' && before?.status === 'past') return null;
+    const filters = action === 'expire' ? { id, status: before?.status } : { id };
+    const [updated] = await backend.update('pins', filters, changes, { action });
+    
+    return updated || null;
+}
+
 /**
  * Delete a pin (requires authentication)
  * @param {string|number} id - Pin ID
- * @returns {Promise<boolean>} Success
+ * @returns {Promise<boolean>} Success (see getLastWriteFailure)
  */
 export async function deletePin(id) {
+    lastWriteFailure = null;
+    
     try {
-        await supabaseRequest(`pins?id=eq.${id}`, {
-            method: 'DELETE'
-        });
+        await requirePermission(canDeletePins, 'delete pins');
+        
+        // The delete's history entry keeps the last version for restoring
+        await backend.remove('pins', { id });
         return true;
     } catch (err) {
         console.error('Failed to delete pin:', err);
+        lastWriteFailure = classifyFailure(err);
         return false;
     }
 }
@@ -225,14 +435,403 @@ export async function deletePin(id) {
  */
 export async function getPinById(id) {
     try {
-        const result = await supabaseRequest(`pins?id=eq.${id}&select=*`);
-        return result[0] || null;
+        const [pin] = await backend.select('pins', { filters: { id } });
+        return pin || null;
     } catch (err) {
         console.error('Failed to get pin:', err);
         return null;
     }
 }
 
+// =============================================================================
+// Pin History
+// =============================================================================
+
+// Entries are written by the database on every pin write (the
+// record_pin_history trigger in SECURITY-SETUP.md Step 5), never by the client
+
+/**
+ * Get a pin's history, newest first
+ * @param {string|number} pinId - Pin ID
+ * @returns {Promise<Array>} History entries
+ *   ({ id, pin_id, action, changed_by, before, after, created_at })
+ */
+export async function getPinHistory(pinId) {
+    try {
+        return await backend.select(HISTORY_TABLE, {
+            filters: { pin_id: pinId },
+            order: { column: 'created_at', ascending: false }
+        });
+    } catch (err) {
+        console.error('Failed to load pin history:', err);
+        return [];
+    }
+}
+
+/**
+ * Get the latest delete entry for each deleted pin that hasn't been
+ * restored, newest first
+ * @returns {Promise<Array>} History entries (the pin is in entry.before)
+ */
+export async function getDeletedPins() {
+    try {
+        const [entries, pins] = await Promise.all([
+            backend.select(HISTORY_TABLE, {
+                filters: { action: 'delete' },
+                order: { column: 'created_at', ascending: false }
+            }),
+            selectAllPins()
+        ]);
+        
+        const seen = new Set(pins.map(pin => String(pin.id)));
+        return entries.filter(entry => {
+            const key = String(entry.pin_id);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    } catch (err) {
+        console.error('Failed to load deleted pins:', err);
+        return [];
+    }
+}
+
+/**
+ * Revert a pin to an earlier version (requires authentication)
+ * @param {string|number} id - Pin ID
+ * @param {Object} version - Pin as it was (a history entry's before/after)
+ * @returns {Promise<Object|null>} Updated pin or null
+ */
+export async function revertPin(id, version) {
+    try {
+        return await updatePinWithHistory(id, toPinRow(version), 'revert');
+    } catch (err) {
+        console.error('Failed to revert pin:', err);
+        return null;
+    }
+}
+
+/**
+ * Archive an expired pin: move it to Past and clear its expiry
+ * (requires authentication)
+ * @param {string|number} id - Pin ID
+ * @returns {Promise<Object|null>} Updated pin, or null if it failed or the
+ *   pin had already been archived
+ */
+export async function expirePin(id) {
+    try {
+        return await updatePinWithHistory(id, { status: 'past', expires_at: null }, 'expire');
+    } catch (err) {
+        console.error('Failed to expire pin:', err);
+        return null;
+    }
+}
+
+/**
+ * Re-create a deleted pin under its original ID (requires authentication)
+ * @param {Object} pin - Pin as it was when deleted (a delete entry's before)
+ * @returns {Promise<Object|null>} Restored pin or null
+ */
+export async function restorePin(pin) {
+    try {
+        await requirePermission(canDeletePins, 'restore pins');
+        
+        const row = { ...toPinRow(pin), id: pin.id };
+        if (pin.created_at) {
+            row.created_at = pin.created_at;
+        }
+        if (pin.closed_at) {
+            row.closed_at = pin.closed_at;
+        }
+        
+        const [restored] = await backend.insert('pins', [row], { action: 'restore' });
+        return restored;
+    } catch (err) {
+        console.error('Failed to restore pin:', err);
+        return null;
+    }
+}
+
+// =============================================================================
+// Area CRUD
+// =============================================================================
+
+// Areas (polygons and lines) use the same status-based permissions as pins
+
+/**
+ * Get all areas, newest first
+ * @returns {Promise<Array>} Array of area objects
+ */
+export async function getAllAreas() {
+    try {
+        return await backend.select(AREAS_TABLE, {
+            order: { column: 'created_at', ascending: false }
+        });
+    } catch (err) {
+        console.error('Failed to load areas:', err);
+        return [];
+    }
+}
+
+/**
+ * Build an areas table row from area data, filling in defaults
+ * @param {Object} area - Area data
+ * @returns {Object} Row to insert
+ */
+function toAreaRow(area) {
+    return {
+        title: area.title,
+        kind: area.kind || 'polygon',
+        coordinates: area.coordinates,
+        summary: area.summary || '',
+        status: area.status || 'active',
+        url: area.url || '',
+        url_text: area.url_text || 'More Info'
+    };
+}
+
+/**
+ * Save a new area (requires authentication)
+ * @param {Object} area - Area data (kind, coordinates as [[lat, lng], ...])
+ * @returns {Promise<Object|null>} Saved area with id and created_at, or null
+ */
+export async function saveArea(area) {
+    try {
+        const row = toAreaRow(area);
+        await requirePermission(profile => canEditStatus(profile, row.status), `create ${row.status} areas`);
+        
+        const [saved] = await backend.insert(AREAS_TABLE, [row]);
+        return saved;
+    } catch (err) {
+        console.error('Failed to save area:', err);
+        return null;
+    }
+}
+
+/**
+ * Update an existing area (requires authentication)
+ * @param {string|number} id - Area ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated area or null
+ */
+export async function updateArea(id, updates) {
+    try {
+        const [before] = await backend.select(AREAS_TABLE, { filters: { id } });
+        if (!before) return null;
+        await requirePermission(profile => canUpdatePin(profile, before, updates), 'edit areas with these statuses');
+        
+        const [updated] = await backend.update(AREAS_TABLE, { id }, {
+            ...updates,
+            updated_at: new Date().toISOString()
+        });
+        return updated || null;
+    } catch (err) {
+        console.error('Failed to update area:', err);
+        return null;
+    }
+}
+
+/**
+ * Delete an area (requires authentication)
+ * @param {string|number} id - Area ID
+ * @returns {Promise<boolean>} Success
+ */
+export async function deleteArea(id) {
+    try {
+        await requirePermission(canDeletePins, 'delete areas');
+        await backend.remove(AREAS_TABLE, { id });
+        return true;
+    } catch (err) {
+        console.error('Failed to delete area:', err);
+        return false;
+    }
+}
+
+// =============================================================================
+// Status CRUD
+// =============================================================================
+
+// Statuses are readable by everyone and editable by admins only
+
+/**
+ * Get all pin statuses in legend order, falling back to the last saved
+ * snapshot when the backend can't be reached
+ * @returns {Promise<Array>} Status rows (empty if none are set up - callers
+ *   use the built-in statuses then)
+ */
+export async function getAllStatuses() {
+    try {
+        const statuses = await backend.select(STATUSES_TABLE, {
+            order: { column: 'position', ascending: true }
+        });
+        saveStatusSnapshot(statuses);
+        return statuses;
+    } catch (err) {
+        console.error('Failed to load statuses, using offline snapshot:', err);
+        return loadStatusSnapshot() || [];
+    }
+}
+
+/**
+ * Build a statuses table row from status data, filling in defaults
+ * @param {Object} status - Status data
+ * @returns {Object} Row to insert
+ */
+function toStatusRow(status) {
+    return {
+        key: status.key,
+        label: status.label,
+        color: status.color,
+        emoji: status.emoji || '',
+        pulse: status.pulse === true,
+        severity: status.severity || 0,
+        position: status.position || 0
+    };
+}
+
+/**
+ * Save a new status (admins only)
+ * @param {Object} status - Status data (see statuses.js)
+ * @returns {Promise<Object|null>} Saved status with id, or null
+ */
+export async function saveStatus(status) {
+    try {
+        await requirePermission(canManageStatuses, 'manage statuses');
+        const [saved] = await backend.insert(STATUSES_TABLE, [toStatusRow(status)]);
+        return saved;
+    } catch (err) {
+        console.error('Failed to save status:', err);
+        return null;
+    }
+}
+
+/**
+ * Save several new statuses at once, e.g. the built-in set (admins only)
+ * @param {Array} statuses - Status data
+ * @returns {Promise<Array|null>} Saved statuses, or null on failure
+ */
+export async function saveStatuses(statuses) {
+    try {
+        await requirePermission(canManageStatuses, 'manage statuses');
+        return await backend.insert(STATUSES_TABLE, statuses.map(toStatusRow));
+    } catch (err) {
+        console.error('Failed to save statuses:', err);
+        return null;
+    }
+}
+
+/**
+ * Update a status (admins only). Its key is fixed - pins refer to it.
+ * @param {string|number} id - Status row ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated status or null
+ */
+export async function updateStatus(id, updates) {
+    try {
+        await requirePermission(canManageStatuses, 'manage statuses');
+        const { key, ...changes } = updates;
+        const [updated] = await backend.update(STATUSES_TABLE, { id }, changes);
+        return updated || null;
+    } catch (err) {
+        console.error('Failed to update status:', err);
+        return null;
+    }
+}
+
+/**
+ * Delete a status (admins only)
+ * @param {string|number} id - Status row ID
+ * @returns {Promise<boolean>} Success
+ */
+export async function deleteStatus(id) {
+    try {
+        await requirePermission(canManageStatuses, 'manage statuses');
+        await backend.remove(STATUSES_TABLE, { id });
+        return true;
+    } catch (err) {
+        console.error('Failed to delete status:', err);
+        return false;
+    }
+}
+
+// =============================================================================
+// Help Requests
+// =============================================================================
+
+// Anyone can submit a request; it stays pending (and private - it holds
+// contact details) until a reviewer approves it into a pin, merges it into
+// an existing pin or rejects it
+
+/**
+ * Submit a help request from the public map (no sign-in needed)
+ * @param {Object} request - { lat, lng, address, description, name,
+ *   contact, photo (data URL or '') }
+ * @returns {Promise<boolean>} Success
+ */
+export async function submitHelpRequest(request) {
+    try {
+        // The public can't read requests back, so don't ask for the row
+        await backend.insert(HELP_REQUESTS_TABLE, [{
+            lat: request.lat,
+            lng: request.lng,
+            address: request.address || '',
+            description: request.description,
+            name: request.name || '',
+            contact: request.contact,
+            photo: request.photo || '',
+            status: 'pending'
+        }], { returning: false });
+        return true;
+    } catch (err) {
+        console.error('Failed to submit help request:', err);
+        return false;
+    }
+}
+
+/**
+ * Get help requests waiting for review, oldest first (reviewers only)
+ * @returns {Promise<Array>} Pending requests
+ */
+export async function getPendingHelpRequests() {
+    try {
+        await requirePermission(canReviewHelpRequests, 'review help requests');
+        return await backend.select(HELP_REQUESTS_TABLE, {
+            filters: { status: 'pending' },
+            order: { column: 'created_at', ascending: true }
+        });
+    } catch (err) {
+        console.error('Failed to load help requests:', err);
+        return [];
+    }
+}
+
+/**
+ * Close a help request (reviewers only). Only pending requests are updated,
+ * so when two reviewers act on the same request the second one finds out.
+ * @param {string|number} id - Request ID
+ * @param {string} status - 'approved', 'merged' or 'rejected'
+ * @param {string|number|null} pinId - Pin the request became or was merged
+ *   into
+ * @returns {Promise<{request: Object|null, alreadyHandled: boolean}>}
+ *   request is the updated request (null on failure or if it had already
+ *   been handled)
+ */
+export async function resolveHelpRequest(id, status, pinId = null) {
+    try {
+        const profile = await requirePermission(canReviewHelpRequests, 'review help requests');
+        const [updated] = await backend.update(HELP_REQUESTS_TABLE, { id, status: 'pending' }, {
+            status,
+            pin_id: pinId,
+            reviewed_by: profile.email || null,
+            reviewed_at: new Date().toISOString()
+        });
+        return { request: updated || null, alreadyHandled: !updated };
+    } catch (err) {
+        console.error('Failed to update help request:', err);
+        return { request: null, alreadyHandled: false };
+    }
+}
+
 // =============================================================================
 // Realtime
 // =============================================================================
@@ -242,27 +841,50 @@ export async function getPinById(id) {
  * @param {Function} onInsert - Callback for new pins
  * @param {Function} onUpdate - Callback for updated pins
  * @param {Function} onDelete - Callback for deleted pins
- * @returns {Object} Supabase channel (call .unsubscribe() to stop)
- */
-export function subscribeToChanges(onInsert, onUpdate, onDelete) {
-    const channel = getClient()
-        .channel('pins-realtime')
-        .on(
-            'postgres_changes',
-            { event: 'INSERT', schema: 'public', table: 'pins' },
-            (payload) => onInsert?.(payload.new)
-        )
-        .on(
-            'postgres_changes',
-            { event: 'UPDATE', schema: 'public', table: 'pins' },
-            (payload) => onUpdate?.(payload.new)
-        )
-        .on(
-            'postgres_changes',
-            { event: 'DELETE', schema: 'public', table: 'pins' },
-            (payload) => onDelete?.(payload.old)
-        )
-        .subscribe();
-    
-    return channel;
+ * @param {Function} onStatus - Optional callback for channel status
+ *   (SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED)
+ * @returns {Object} Channel (call .unsubscribe() to stop)
+ */
+export function subscribeToChanges(onInsert, onUpdate, onDelete, onStatus) {
+    return backend.subscribe('pins', { onInsert, onUpdate, onDelete, onStatus });
+}
+
+/**
+ * Subscribe to realtime area changes
+ * @param {Function} onInsert - Callback for new areas
+ * @param {Function} onUpdate - Callback for updated areas
+ * @param {Function} onDelete - Callback for deleted areas
+ * @returns {Object} Channel (call .unsubscribe() to stop)
+ */
+export function subscribeToAreaChanges(onInsert, onUpdate, onDelete) {
+    return backend.subscribe(AREAS_TABLE, { onInsert, onUpdate, onDelete });
+}
+
+/**
+ * Subscribe to realtime status changes
+ * @param {Function} onChange - Called with no arguments on any insert,
+ *   update or delete (statuses are few - callers reload the whole list)
+ * @returns {Object} Channel (call .unsubscribe() to stop)
+ */
+export function subscribeToStatusChanges(onChange) {
+    return backend.subscribe(STATUSES_TABLE, {
+        onInsert: () => onChange(),
+        onUpdate: () => onChange(),
+        onDelete: () => onChange()
+    });
+}
+
+/**
+ * Subscribe to realtime help request changes (only delivered to users who
+ * can read the table)
+ * @param {Function} onChange - Called with no arguments on any insert,
+ *   update or delete (callers reload the pending queue)
+ * @returns {Object} Channel (call .unsubscribe() to stop)
+ */
+export function subscribeToHelpRequestChanges(onChange) {
+    return backend.subscribe(HELP_REQUESTS_TABLE, {
+        onInsert: () => onChange(),
+        onUpdate: () => onChange(),
+        onDelete: () => onChange()
+    });
 }
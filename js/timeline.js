@@ -0,0 +1,60 @@
+// =============================================================================
+// FILENAME: timeline.js
+// =============================================================================
+// Purpose: Reconstruct which pins were on the map at a past moment
+//
+// Responsibilities:
+// - Decide how a pin looked at a given time from its created_at, closed_at
+//   and expiry timestamps
+// - Work out the time span the timeline slider should cover
+//
+// Dependencies:
+// - expiry.js (applyExpiry)
+//
+// The public data only holds each pin's current version, so the replay is
+// approximate: a pin now in Past that closed (moved to Past) after the chosen
+// time is shown as Active (it was still open then, but its earlier status
+// isn't known). Past pins with no closed_at were created in Past.
+// =============================================================================
+
+import { applyExpiry } from './expiry.js';
+
+/**
+ * Get a pin as it would have been displayed at a given time
+ * @param {Object} pin - Pin data (current version)
+ * @param {number} time - Time in ms
+ * @returns {Object|null} Pin to display, or null if it wasn't on the map yet
+ *   (or had expired and been hidden)
+ */
+export function getPinAt(pin, time) {
+    if (pin.created_at && new Date(pin.created_at).getTime() > time) {
+        return null;
+    }
+    
+    if (pin.status === 'past' && pin.closed_at && new Date(pin.closed_at).getTime() > time) {
+        return applyExpiry({ ...pin, status: 'active' }, time);
+    }
+    
+    return applyExpiry(pin, time);
+}
+
+/**
+ * Get the span a timeline over these pins should cover - from the first
+ * pin's creation (rounded down to the hour) to now
+ * @param {Array} pins - Array of pin objects
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {{start: number, end: number}} Times in ms
+ */
+export function getTimelineRange(pins, now = Date.now()) {
+    const created = pins
+        .map(pin => new Date(pin.created_at).getTime())
+        .filter(Number.isFinite);
+    
+    const hourMs = 60 * 60 * 1000;
+    const first = created.length > 0 ? Math.min(...created) : now - 24 * hourMs;
+    
+    return {
+        start: Math.min(Math.floor(first / hourMs) * hourMs, now),
+        end: now
+    };
+}
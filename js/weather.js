@@ -0,0 +1,134 @@
+// =============================================================================
+// FILENAME: weather.js
+// =============================================================================
+// Purpose: Load National Weather Service alerts for the map overlay
+//
+// Responsibilities:
+// - Fetch NWS-style alert GeoJSON from CONFIG.WeatherAlertsUrl (the NWS API,
+//   or data/nws-alerts-sample.json for development)
+// - Normalize alert features to the fields the overlay shows
+// - Outline alerts issued by forecast zone (no polygon of their own) with
+//   their zones' boundaries, fetched once and cached
+// - Map NWS severity levels to overlay colors
+//
+// Dependencies:
+// - config.js (CONFIG)
+//
+// Alert shape: { id, event, headline, severity, areaDesc, expires, zones,
+// geometry } - geometry is null when neither the alert nor its zones gave an
+// area to draw
+// =============================================================================
+
+import { CONFIG } from './config.js';
+
+// NWS (CAP) severity levels, most severe first
+export const ALERT_SEVERITY = {
+    Extreme: { label: 'Extreme', color: '#7e22ce' },
+    Severe: { label: 'Severe', color: '#dc2626' },
+    Moderate: { label: 'Moderate', color: '#f97316' },
+    Minor: { label: 'Minor', color: '#eab308' },
+    Unknown: { label: 'Unknown', color: '#64748b' }
+};
+
+const POLYGON_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Zone URL -> Promise of its geometry (or null). Zone boundaries don't
+// change, so each is fetched once per page load.
+const zoneGeometryCache = new Map();
+
+/**
+ * Fetch the current alerts, with zone outlines filled in for alerts issued
+ * by forecast zone
+ * @returns {Promise<Array>} Alerts
+ * @throws {Error} If the feed can't be reached or isn't JSON
+ */
+export async function fetchWeatherAlerts() {
+    const response = await fetch(CONFIG.WeatherAlertsUrl, {
+        headers: { Accept: 'application/geo+json' }
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Weather alerts request failed: ${response.status}`);
+    }
+    
+    return resolveAlertZones(parseWeatherAlerts(await response.json()));
+}
+
+/**
+ * Convert an alert FeatureCollection to alerts. Alerts issued by forecast
+ * zone (most watches and tropical warnings) come without a polygon - their
+ * geometry is null and zones lists the zone URLs to outline them with.
+ * @param {Object} data - GeoJSON FeatureCollection of NWS alerts
+ * @returns {Array} Alerts
+ */
+export function parseWeatherAlerts(data) {
+    const features = Array.isArray(data?.features) ? data.features : [];
+    
+    return features
+        .filter(Boolean)
+        .map(feature => {
+            const properties = feature.properties || {};
+            
+            return {
+                id: properties.id || feature.id,
+                event: properties.event || 'Weather Alert',
+                headline: properties.headline || '',
+                severity: ALERT_SEVERITY[properties.severity] ? properties.severity : 'Unknown',
+                areaDesc: properties.areaDesc || '',
+                expires: properties.ends || properties.expires || null,
+                zones: Array.isArray(properties.affectedZones) ? properties.affectedZones : [],
+                geometry: POLYGON_TYPES.includes(feature.geometry?.type) ? feature.geometry : null
+            };
+        });
+}
+
+/**
+ * Give zone-based alerts the combined outline of their zones. Zones that
+ * fail to load are left out; an alert with none left keeps a null geometry.
+ * @param {Array} alerts - Alerts from parseWeatherAlerts
+ * @returns {Promise<Array>} Alerts
+ */
+async function resolveAlertZones(alerts) {
+    return Promise.all(alerts.map(async alert => {
+        if (alert.geometry || alert.zones.length === 0) return alert;
+        
+        const geometries = await Promise.all(alert.zones.map(fetchZoneGeometry));
+        const polygons = geometries.filter(Boolean).flatMap(geometry =>
+            geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+        );
+        
+        return {
+            ...alert,
+            geometry: polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null
+        };
+    }));
+}
+
+/**
+ * Fetch a forecast zone's boundary (cached)
+ * @param {string} url - Zone URL from an alert's affectedZones
+ * @returns {Promise<Object|null>} Polygon/MultiPolygon geometry, or null if
+ *   it couldn't be loaded
+ */
+function fetchZoneGeometry(url) {
+    if (!zoneGeometryCache.has(url)) {
+        const request = fetch(url, { headers: { Accept: 'application/geo+json' } })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Zone request failed: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(zone => POLYGON_TYPES.includes(zone?.geometry?.type) ? zone.geometry : null)
+            .catch(err => {
+                // Try again on the next refresh
+                console.error('Failed to load alert zone:', url, err);
+                zoneGeometryCache.delete(url);
+                return null;
+            });
+        
+        zoneGeometryCache.set(url, request);
+    }
+    
+    return zoneGeometryCache.get(url);
+}
@@ -0,0 +1,189 @@
+// =============================================================================
+// FILENAME: sw.js
+// =============================================================================
+// Purpose: Service worker that keeps the map and admin panel usable offline
+//
+// Responsibilities:
+// - Precache the app shell (HTML, CSS, JS modules, Leaflet/Supabase scripts)
+// - Serve app files network-first, falling back to the cache when offline
+// - Cache recently viewed OSM tiles (stale-while-revalidate, size-capped)
+//
+// Pin data is NOT cached here - API requests pass straight through and
+// js/offline.js keeps the pin snapshot instead.
+// =============================================================================
+
+const SHELL_CACHE = 'ucn-shell-v1';
+const TILE_CACHE = 'ucn-tiles-v1';
+const MAX_TILES = 600;
+// Browsers pad each opaque (no-cors) response to several MB of quota, so a
+// tile server without CORS headers gets a much smaller cache
+const MAX_OPAQUE_TILES = 40;
+
+// Keep in sync with CONFIG.TileUrl
+const TILE_HOST_PATTERN = /(^|\.)tile\.openstreetmap\.org$/;
+
+// Keep in sync with the scripts index.html, embed.html and admin.html load
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    './embed.html',
+    './admin.html',
+    './css/styles.css',
+    './js/config.js',
+    './js/statuses.js',
+    './js/main.js',
+    './js/admin.js',
+    './js/map.js',
+    './js/storage.js',
+    './js/offline.js',
+    './js/outbox.js',
+    './js/export.js',
+    './js/import.js',
+    './js/geocode.js',
+    './js/permissions.js',
+    './js/expiry.js',
+    './js/timeline.js',
+    './js/weather.js',
+    './js/permalink.js',
+    './js/help-requests.js',
+    './js/i18n.js',
+    './js/locales/en.js',
+    './js/locales/es.js',
+    './js/locales/vi.js',
+    './js/locales/fr.js',
+    './js/geocoders/nominatim.js',
+    './js/geocoders/local.js',
+    './js/backends/supabase.js',
+    './js/backends/local.js'
+];
+
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/@supabase/supabase-js@2'
+];
+
+// =============================================================================
+// Lifecycle
+// =============================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all([
+            cache.addAll(SHELL_ASSETS),
+            // A CDN hiccup shouldn't block install - these are also cached on first use
+            ...CDN_ASSETS.map(url => cache.add(url).catch(err => {
+                console.warn('Failed to precache', url, err);
+            }))
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, TILE_CACHE];
+    
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// =============================================================================
+// Fetch
+// =============================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (TILE_HOST_PATTERN.test(url.hostname)) {
+        event.respondWith(handleTileRequest(request));
+        return;
+    }
+    
+    if (url.origin === self.location.origin || CDN_ASSETS.includes(request.url)) {
+        event.respondWith(handleShellRequest(request));
+    }
+    
+    // Everything else (Supabase API, geocoding, weather alerts) goes straight to the network
+});
+
+/**
+ * Network-first for app files so deploys show up immediately
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleShellRequest(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const url = new URL(request.url);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone())
+                .catch(err => console.warn('Failed to cache', request.url, err));
+        }
+        return response;
+    } catch (err) {
+        // Query strings don't change which file is served
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        
+        if (request.mode === 'navigate') {
+            const page = url.pathname.includes('admin') ? './admin.html'
+                : url.pathname.includes('embed') ? './embed.html'
+                : './index.html';
+            const shell = await cache.match(page);
+            if (shell) return shell;
+        }
+        
+        throw err;
+    }
+}
+
+/**
+ * Stale-while-revalidate for map tiles
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleTileRequest(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    
+    const network = fetch(request)
+        .then(response => {
+            // Opaque (no-cors) responses report status 0
+            if (response.ok || response.type === 'opaque') {
+                const maxTiles = response.type === 'opaque' ? MAX_OPAQUE_TILES : MAX_TILES;
+                // Running out of quota just means this tile isn't kept
+                cache.put(request, response.clone())
+                    .then(() => trimCache(cache, maxTiles))
+                    .catch(err => console.warn('Failed to cache tile', err));
+            }
+            return response;
+        })
+        .catch(err => {
+            if (!cached) throw err;
+        });
+    
+    return cached || network;
+}
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ * @param {Cache} cache
+ * @param {number} maxEntries
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}